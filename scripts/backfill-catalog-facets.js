@@ -0,0 +1,23 @@
+/**
+ * Copy the latest version's file size and minimum Unity version onto assets
+ * saved before the catalog filtered on them. Safe to run more than once.
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { backfillFacetFields } = require('../src/services/facetService');
+
+async function backfill() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB\n');
+
+    const updated = await backfillFacetFields();
+    console.log(`🗂️ Updated catalog filter fields of ${updated} assets`);
+  } catch (error) {
+    console.error('❌ Error:', error);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+backfill();
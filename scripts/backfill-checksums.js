@@ -0,0 +1,23 @@
+/**
+ * Compute the sha256 of thumbnails and package versions uploaded before
+ * checksums were recorded. Safe to run more than once.
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { backfillChecksums } = require('../src/services/integrityService');
+
+async function backfill() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB\n');
+
+    const { updated, failed } = await backfillChecksums();
+    console.log(`🔏 Recorded ${updated} checksums (${failed} files could not be read)`);
+  } catch (error) {
+    console.error('❌ Error:', error);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+backfill();
@@ -0,0 +1,32 @@
+/**
+ * Report how many accounts still store a legacy plaintext password.
+ * These are rehashed with bcrypt the first time the user logs in successfully.
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { User } = require('../src/models/index');
+const { unmigratedPasswordQuery } = require('../src/utils/password');
+
+async function checkPasswordMigration() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB\n');
+
+    const totalUsers = await User.countDocuments();
+    const unmigratedUsers = await User.find(unmigratedPasswordQuery()).select('email role createdAt');
+
+    console.log(`👥 Total users: ${totalUsers}`);
+    console.log(`🔐 Hashed passwords: ${totalUsers - unmigratedUsers.length}`);
+    console.log(`⚠️  Plaintext passwords: ${unmigratedUsers.length}\n`);
+
+    for (const user of unmigratedUsers) {
+      console.log(`   - ${user.email} (${user.role})`);
+    }
+  } catch (error) {
+    console.error('❌ Error:', error);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+checkPasswordMigration();
@@ -0,0 +1,71 @@
+/**
+ * List the route permission table and verify that every registered API route
+ * has an entry (and that no entry points at a route that no longer exists).
+ * Exits with code 1 on any mismatch so it can gate CI.
+ */
+require('dotenv').config();
+
+// Routers are only inspected, never called - Stripe just needs a key to initialise
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || 'sk_test_route_permission_check';
+
+const { apiRoutes } = require('../src/routes/index');
+const { routePermissions } = require('../src/config/permissions');
+
+// Routes registered directly on the app in server.js
+const appRoutes = [
+  { method: 'GET', path: '/api/health' }
+];
+
+function collectRoutes() {
+  const routes = [...appRoutes];
+
+  for (const { path: basePath, router } of apiRoutes) {
+    for (const layer of router.stack) {
+      if (!layer.route) continue;
+
+      const routePath = `${basePath}${layer.route.path}`.replace(/\/+$/, '');
+      for (const method of Object.keys(layer.route.methods)) {
+        if (method === '_all') continue;
+        routes.push({ method: method.toUpperCase(), path: routePath });
+      }
+    }
+  }
+
+  return routes;
+}
+
+function checkRoutePermissions() {
+  const routes = collectRoutes();
+  const key = ({ method, path }) => `${method} ${path}`;
+
+  const tableKeys = new Set(routePermissions.map(key));
+  const routeKeys = new Set(routes.map(key));
+
+  const unguarded = routes.filter(route => !tableKeys.has(key(route)));
+  const stale = routePermissions.filter(entry => !routeKeys.has(key(entry)));
+
+  console.log('🔐 Route permission table\n');
+  for (const entry of routePermissions) {
+    console.log(`   ${entry.access.padEnd(14)} ${entry.method.padEnd(7)} ${entry.path}`);
+  }
+  console.log(`\n📋 ${routes.length} registered routes, ${routePermissions.length} permission entries`);
+
+  if (unguarded.length > 0) {
+    console.log('\n❌ Routes missing from the permission table (they will return 404):');
+    unguarded.forEach(route => console.log(`   ${key(route)}`));
+  }
+
+  if (stale.length > 0) {
+    console.log('\n⚠️  Permission entries with no matching route:');
+    stale.forEach(entry => console.log(`   ${key(entry)}`));
+  }
+
+  if (unguarded.length > 0 || stale.length > 0) {
+    process.exit(1);
+  }
+
+  console.log('\n✅ Every route has an explicit access level');
+  process.exit(0);
+}
+
+checkRoutePermissions();
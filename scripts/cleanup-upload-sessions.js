@@ -0,0 +1,23 @@
+/**
+ * Delete the stored chunks and files of expired upload sessions that were
+ * never attached to an asset. Safe to run on a schedule (e.g. a daily cron).
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { cleanupExpiredUploadSessions } = require('../src/services/uploadSessionService');
+
+async function cleanupUploadSessions() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB\n');
+
+    const cleaned = await cleanupExpiredUploadSessions();
+    console.log(`🧹 Cleaned up ${cleaned} expired upload sessions`);
+  } catch (error) {
+    console.error('❌ Error:', error);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+cleanupUploadSessions();
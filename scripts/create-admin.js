@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { hashPassword } = require('../src/utils/password');
 require('dotenv').config();
 
 // Basic User Schema (same as in server)
@@ -40,8 +41,11 @@ async function createAdminUser() {
       return;
     }
     
-    // Create admin user
-    const adminUser = await User.create(adminData);
+    // Create admin user (this local schema has no hashing hook)
+    const adminUser = await User.create({
+      ...adminData,
+      password: await hashPassword(adminData.password)
+    });
     console.log('✅ Admin user created successfully!');
     console.log('📧 Email:', adminUser.email);
     console.log('🔑 Password:', 'Anas&FahadUnit');
@@ -0,0 +1,24 @@
+/**
+ * Generate card/detail/full derivatives for assets uploaded before preview
+ * images existed, turning their thumbnail into the first gallery image.
+ * Safe to run more than once.
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { backfillPreviewImages } = require('../src/services/imageService');
+
+async function generatePreviewImages() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB\n');
+
+    const { converted, failed } = await backfillPreviewImages();
+    console.log(`🖼️  Created preview images for ${converted} assets (${failed} failed)`);
+  } catch (error) {
+    console.error('❌ Error:', error);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+generatePreviewImages();
@@ -1,169 +1,133 @@
-const { S3Client, PutObjectCommand } = require('@aws-sdk/client-s3');
+require('dotenv').config();
 const mongoose = require('mongoose');
-const fs = require('fs');
 const path = require('path');
-require('dotenv').config();
-
-// Initialize S3 client
-const s3Client = new S3Client({
-  region: process.env.AWS_REGION || 'eu-north-1',
-  credentials: {
-    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
-  }
-});
-
-// Asset schema (simplified)
-const assetSchema = new mongoose.Schema({
-  name: String,
-  description: String,
-  thumbnail: String,
-  fileUrl: String,
-  downloadCount: { type: Number, default: 0 },
-  tags: [String],
-  categoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Category' },
-  uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-  isActive: { type: Boolean, default: true },
-  createdAt: { type: Date, default: Date.now },
-  updatedAt: { type: Date, default: Date.now }
-});
-
-const Asset = mongoose.model('Asset', assetSchema);
-
-// Helper function to upload file to S3
-async function uploadToS3(filePath, key, contentType) {
-  try {
-    const fileContent = fs.readFileSync(filePath);
-    
-    const uploadParams = {
-      Bucket: process.env.AWS_S3_BUCKET_NAME,
-      Key: key,
-      Body: fileContent,
-      ContentType: contentType,
-      ACL: 'public-read'
-    };
+const { Asset } = require('../src/models/index');
+const { createStorage, getKeyFolder } = require('../src/services/storage');
+const { IMAGE_DERIVATIVES } = require('../src/services/imageService');
 
-    const command = new PutObjectCommand(uploadParams);
-    const result = await s3Client.send(command);
-    
-    // Return S3 URL
-    return `https://${process.env.AWS_S3_BUCKET_NAME}.s3.${process.env.AWS_REGION}.amazonaws.com/${key}`;
-  } catch (error) {
-    console.error(`Error uploading ${key} to S3:`, error);
-    throw error;
-  }
-}
-
-// Helper function to get content type
-function getContentType(filePath) {
-  const ext = path.extname(filePath).toLowerCase();
-  switch (ext) {
-    case '.png': return 'image/png';
-    case '.jpg': case '.jpeg': return 'image/jpeg';
-    case '.gif': return 'image/gif';
-    case '.webp': return 'image/webp';
-    case '.unitypackage': return 'application/octet-stream';
-    case '.zip': return 'application/zip';
-    case '.rar': return 'application/x-rar-compressed';
-    case '.7z': return 'application/x-7z-compressed';
-    default: return 'application/octet-stream';
-  }
-}
+// Files from before storage keys had folders sit at the top level of uploads/.
+// Their names start with the upload field ("thumbnail-...", "images-..."), which
+// picks the folder - preview images and their derivatives stay public.
+const toTargetKey = (key) => {
+  if (key.includes('/')) return key;
+  return `${getKeyFolder(path.basename(key).split('-')[0])}/${key}`;
+};
 
 async function migrateToS3() {
   try {
     console.log('🚀 Starting S3 migration...');
-    
+
     // Check if S3 is configured
     if (!process.env.AWS_ACCESS_KEY_ID || !process.env.AWS_SECRET_ACCESS_KEY || !process.env.AWS_S3_BUCKET_NAME) {
       console.error('❌ S3 credentials not configured. Please set AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY, and AWS_S3_BUCKET_NAME in .env');
       process.exit(1);
     }
-    
+
+    const source = createStorage('local');
+    const target = createStorage('s3');
+
     // Connect to MongoDB
     await mongoose.connect(process.env.MONGODB_URI);
     console.log('✅ Connected to MongoDB');
-    
-    // Get all assets with local file paths
-    const assets = await Asset.find({
-      $or: [
-        { thumbnail: { $regex: '^/uploads/' } },
-        { fileUrl: { $regex: '^/uploads/' } }
-      ]
-    });
-    
-    console.log(`📁 Found ${assets.length} assets with local files to migrate`);
-    
-    const uploadsDir = path.join(__dirname, '../uploads');
-    let migratedCount = 0;
+
+    // Copy every local file, skipping ones already in the bucket
+    const files = await source.list();
+    console.log(`📁 Found ${files.length} local files to migrate`);
+
+    const migratedKeys = new Map(); // local key -> S3 key
+    let copiedCount = 0;
     let errorCount = 0;
-    
+
+    for (const file of files) {
+      const targetKey = toTargetKey(file.key);
+
+      try {
+        const existing = await target.head(targetKey);
+        if (existing && existing.size === file.size) {
+          console.log(`  ⏭️  Already in S3: ${targetKey}`);
+        } else {
+          console.log(`  📤 Uploading ${file.key} -> ${targetKey}`);
+          await target.put(targetKey, await source.getStream(file.key));
+          copiedCount++;
+        }
+        migratedKeys.set(file.key, targetKey);
+      } catch (error) {
+        console.error(`  ❌ Error uploading ${file.key}:`, error.message);
+        errorCount++;
+      }
+    }
+
+    // Point asset documents at the migrated files
+    const migrateReference = (fileUrl, fileKey) => {
+      const localKey = fileKey || (fileUrl ? source.getKeyFromUrl(fileUrl) : null);
+      const targetKey = localKey && migratedKeys.get(localKey);
+      return targetKey ? { fileUrl: target.getUrl(targetKey), fileKey: targetKey } : null;
+    };
+
+    const assets = await Asset.find({});
+    let updatedCount = 0;
+
     for (const asset of assets) {
-      console.log(`\n📦 Processing asset: ${asset.name} (${asset._id})`);
       let updated = false;
-      const updates = {};
-      
-      try {
-        // Migrate thumbnail
-        if (asset.thumbnail && asset.thumbnail.startsWith('/uploads/')) {
-          const thumbnailFilename = path.basename(asset.thumbnail);
-          const thumbnailPath = path.join(uploadsDir, thumbnailFilename);
-          
-          if (fs.existsSync(thumbnailPath)) {
-            console.log(`  📸 Uploading thumbnail: ${thumbnailFilename}`);
-            const s3Key = `thumbnails/${thumbnailFilename}`;
-            const contentType = getContentType(thumbnailPath);
-            const s3Url = await uploadToS3(thumbnailPath, s3Key, contentType);
-            
-            updates.thumbnail = s3Url;
-            updated = true;
-            console.log(`  ✅ Thumbnail uploaded: ${s3Url}`);
-          } else {
-            console.log(`  ⚠️  Thumbnail file not found: ${thumbnailPath}`);
-          }
+
+      const thumbnail = migrateReference(asset.thumbnail);
+      if (thumbnail) {
+        asset.thumbnail = thumbnail.fileUrl;
+        updated = true;
+      }
+
+      const file = migrateReference(asset.fileUrl, asset.fileKey);
+      if (file) {
+        asset.fileUrl = file.fileUrl;
+        asset.fileKey = file.fileKey;
+        updated = true;
+      }
+
+      for (const version of asset.versions || []) {
+        const versionFile = migrateReference(version.fileUrl, version.fileKey);
+        if (versionFile) {
+          version.fileUrl = versionFile.fileUrl;
+          version.fileKey = versionFile.fileKey;
+          updated = true;
+        }
+      }
+
+      for (const image of asset.images || []) {
+        const original = migrateReference(image.originalUrl, image.originalKey);
+        if (original) {
+          image.originalUrl = original.fileUrl;
+          image.originalKey = original.fileKey;
+          updated = true;
         }
-        
-        // Migrate asset file
-        if (asset.fileUrl && asset.fileUrl.startsWith('/uploads/')) {
-          const assetFilename = path.basename(asset.fileUrl);
-          const assetPath = path.join(uploadsDir, assetFilename);
-          
-          if (fs.existsSync(assetPath)) {
-            console.log(`  📁 Uploading asset file: ${assetFilename}`);
-            const s3Key = `assets/${assetFilename}`;
-            const contentType = getContentType(assetPath);
-            const s3Url = await uploadToS3(assetPath, s3Key, contentType);
-            
-            updates.fileUrl = s3Url;
+
+        for (const name of Object.keys(IMAGE_DERIVATIVES)) {
+          const derivative = image.derivatives?.[name];
+          const derivativeFile = derivative && migrateReference(derivative.url, derivative.key);
+          if (derivativeFile) {
+            derivative.url = derivativeFile.fileUrl;
+            derivative.key = derivativeFile.fileKey;
             updated = true;
-            console.log(`  ✅ Asset file uploaded: ${s3Url}`);
-          } else {
-            console.log(`  ⚠️  Asset file not found: ${assetPath}`);
           }
         }
-        
-        // Update database if files were uploaded
-        if (updated) {
-          updates.updatedAt = new Date();
-          await Asset.findByIdAndUpdate(asset._id, updates);
-          migratedCount++;
-          console.log(`  ✅ Database updated for asset: ${asset.name}`);
-        }
-        
-      } catch (error) {
-        console.error(`  ❌ Error processing asset ${asset.name}:`, error.message);
-        errorCount++;
+      }
+
+      if (updated) {
+        asset.updatedAt = new Date();
+        await asset.save();
+        updatedCount++;
+        console.log(`  ✅ Database updated for asset: ${asset.name}`);
       }
     }
-    
+
     console.log(`\n🎉 Migration completed!`);
-    console.log(`✅ Successfully migrated: ${migratedCount} assets`);
-    console.log(`❌ Errors encountered: ${errorCount} assets`);
+    console.log(`✅ Files uploaded: ${copiedCount}`);
+    console.log(`✅ Assets updated: ${updatedCount}`);
+    console.log(`❌ Errors encountered: ${errorCount} files`);
     console.log(`\n💡 Next steps:`);
     console.log(`1. Restart your backend server to use S3 for new uploads`);
     console.log(`2. Test uploading a new asset to verify S3 configuration`);
     console.log(`3. Optionally, clean up local uploads directory after verifying everything works`);
-    
+
   } catch (error) {
     console.error('❌ Migration failed:', error);
   } finally {
@@ -173,4 +137,4 @@ async function migrateToS3() {
 }
 
 // Run migration
-migrateToS3();
\ No newline at end of file
+migrateToS3();
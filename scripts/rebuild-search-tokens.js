@@ -0,0 +1,27 @@
+/**
+ * Recompute the prefix search tokens of every asset, e.g. for assets created
+ * before catalog search supported prefix* terms. Safe to run more than once.
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { Asset } = require('../src/models/index');
+const { rebuildSearchTokens } = require('../src/services/searchService');
+
+async function rebuild() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB\n');
+
+    // Make sure the weighted text index exists before search is used
+    await Asset.syncIndexes();
+
+    const updated = await rebuildSearchTokens();
+    console.log(`🔎 Rebuilt search tokens for ${updated} assets`);
+  } catch (error) {
+    console.error('❌ Error:', error);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+rebuild();
@@ -0,0 +1,23 @@
+/**
+ * Recompute each asset's download count from the download history, e.g. for
+ * downloads recorded before the count was kept. Safe to run more than once.
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { recountAssetDownloads } = require('../src/services/downloadService');
+
+async function recount() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB\n');
+
+    const updated = await recountAssetDownloads();
+    console.log(`📥 Updated the download count of ${updated} assets`);
+  } catch (error) {
+    console.error('❌ Error:', error);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+recount();
@@ -0,0 +1,24 @@
+/**
+ * Scan every package file that is still PENDING_SCAN: uploads whose scan
+ * failed (e.g. the ClamAV daemon was down) and files uploaded before scanning
+ * existed. Run once after deploying, then on a schedule (e.g. every few minutes).
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { scanPendingAssets } = require('../src/services/scanService');
+
+async function scanPending() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB\n');
+
+    const counts = await scanPendingAssets();
+    console.log(`🛡️  Scan finished: ${counts.CLEAN} clean, ${counts.QUARANTINED} quarantined, ${counts.PENDING_SCAN} still pending`);
+  } catch (error) {
+    console.error('❌ Error:', error);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+scanPending();
@@ -0,0 +1,182 @@
+// Route permission table - every API endpoint must be listed here.
+// Requests that match no entry are rejected by enforceRoutePermissions,
+// so a new endpoint cannot ship without an explicit access level.
+// `scopes` lists the personal access token scopes accepted by a route;
+// routes without scopes only accept browser (JWT) sessions.
+
+const ACCESS = {
+  PUBLIC: 'public',               // No authentication
+  OPTIONAL: 'optional',           // No authentication, but a sent token identifies the caller (req.user)
+  AUTHENTICATED: 'authenticated', // Any logged-in, active user
+  ADMIN: 'admin',                 // Logged-in user with the ADMIN role
+  REGISTRY: 'registry'            // UPM registry token (see POST /api/users/profile/registry-token)
+};
+
+const API_SCOPES = {
+  CATALOG_READ: 'catalog:read',
+  DOWNLOAD: 'download'
+};
+
+const routePermissions = [
+  // Health
+  { method: 'GET', path: '/api/health', access: ACCESS.PUBLIC },
+
+  // Auth
+  { method: 'POST', path: '/api/auth/signup', access: ACCESS.PUBLIC },
+  { method: 'POST', path: '/api/auth/login', access: ACCESS.PUBLIC },
+  { method: 'POST', path: '/api/auth/refresh', access: ACCESS.PUBLIC },
+  { method: 'POST', path: '/api/auth/logout', access: ACCESS.PUBLIC },
+  { method: 'POST', path: '/api/auth/verify-email-otp', access: ACCESS.PUBLIC },
+  { method: 'POST', path: '/api/auth/resend-verification', access: ACCESS.PUBLIC },
+  { method: 'POST', path: '/api/auth/forgot-password', access: ACCESS.PUBLIC },
+  { method: 'POST', path: '/api/auth/reset-password', access: ACCESS.PUBLIC },
+  { method: 'POST', path: '/api/auth/device/code', access: ACCESS.PUBLIC },
+  { method: 'POST', path: '/api/auth/device/token', access: ACCESS.PUBLIC },
+  { method: 'GET', path: '/api/auth/device', access: ACCESS.AUTHENTICATED },
+  { method: 'POST', path: '/api/auth/device/approve', access: ACCESS.AUTHENTICATED },
+  { method: 'POST', path: '/api/auth/device/deny', access: ACCESS.AUTHENTICATED },
+
+  // Users
+  { method: 'GET', path: '/api/users/profile', access: ACCESS.AUTHENTICATED },
+  { method: 'POST', path: '/api/users/profile/registry-token', access: ACCESS.AUTHENTICATED },
+  { method: 'DELETE', path: '/api/users/profile/registry-token', access: ACCESS.AUTHENTICATED },
+  { method: 'GET', path: '/api/users/profile/tokens', access: ACCESS.AUTHENTICATED },
+  { method: 'POST', path: '/api/users/profile/tokens', access: ACCESS.AUTHENTICATED },
+  { method: 'DELETE', path: '/api/users/profile/tokens/:tokenId', access: ACCESS.AUTHENTICATED },
+  { method: 'GET', path: '/api/users', access: ACCESS.ADMIN },
+  { method: 'GET', path: '/api/users/stats', access: ACCESS.ADMIN },
+  { method: 'GET', path: '/api/users/password-migration', access: ACCESS.ADMIN },
+  { method: 'POST', path: '/api/users', access: ACCESS.ADMIN },
+  { method: 'PUT', path: '/api/users/:id', access: ACCESS.ADMIN },
+  { method: 'DELETE', path: '/api/users/:id', access: ACCESS.ADMIN },
+  { method: 'PATCH', path: '/api/users/:id/role', access: ACCESS.ADMIN },
+  { method: 'PATCH', path: '/api/users/:id/status', access: ACCESS.ADMIN },
+  { method: 'GET', path: '/api/users/:id/sessions', access: ACCESS.ADMIN },
+  { method: 'DELETE', path: '/api/users/:id/sessions', access: ACCESS.ADMIN },
+
+  // Assets
+  { method: 'GET', path: '/api/assets', access: ACCESS.OPTIONAL, scopes: [API_SCOPES.CATALOG_READ] },
+  { method: 'GET', path: '/api/assets/featured', access: ACCESS.PUBLIC, scopes: [API_SCOPES.CATALOG_READ] },
+  { method: 'GET', path: '/api/assets/suggest', access: ACCESS.PUBLIC, scopes: [API_SCOPES.CATALOG_READ] },
+  { method: 'GET', path: '/api/assets/stats', access: ACCESS.ADMIN },
+  { method: 'GET', path: '/api/assets/:id', access: ACCESS.OPTIONAL, scopes: [API_SCOPES.CATALOG_READ] },
+  { method: 'GET', path: '/api/assets/:id/contents', access: ACCESS.PUBLIC, scopes: [API_SCOPES.CATALOG_READ] },
+  { method: 'GET', path: '/api/assets/:id/changelog', access: ACCESS.PUBLIC, scopes: [API_SCOPES.CATALOG_READ] },
+  { method: 'POST', path: '/api/assets/:id/versions', access: ACCESS.ADMIN },
+  { method: 'POST', path: '/api/assets/:id/scan', access: ACCESS.ADMIN },
+  { method: 'POST', path: '/api/assets/:id/images', access: ACCESS.ADMIN },
+  { method: 'PUT', path: '/api/assets/:id/images/order', access: ACCESS.ADMIN },
+  { method: 'DELETE', path: '/api/assets/:id/images/:imageId', access: ACCESS.ADMIN },
+  { method: 'GET', path: '/api/assets/:id/reviews', access: ACCESS.PUBLIC, scopes: [API_SCOPES.CATALOG_READ] },
+  { method: 'GET', path: '/api/assets/:id/reviews/mine', access: ACCESS.AUTHENTICATED },
+  { method: 'PUT', path: '/api/assets/:id/reviews/mine', access: ACCESS.AUTHENTICATED },
+  { method: 'GET', path: '/api/assets/:id/recommendations', access: ACCESS.OPTIONAL, scopes: [API_SCOPES.CATALOG_READ] },
+  { method: 'POST', path: '/api/assets', access: ACCESS.ADMIN },
+  { method: 'POST', path: '/api/assets/direct-uploads', access: ACCESS.ADMIN },
+  { method: 'POST', path: '/api/assets/direct-uploads/:uploadId/complete', access: ACCESS.ADMIN },
+  { method: 'DELETE', path: '/api/assets/direct-uploads/:uploadId', access: ACCESS.ADMIN },
+  { method: 'PATCH', path: '/api/assets/:id', access: ACCESS.ADMIN },
+  { method: 'PATCH', path: '/api/assets/:id/status', access: ACCESS.ADMIN },
+  { method: 'DELETE', path: '/api/assets/:id', access: ACCESS.ADMIN },
+
+  // Review moderation
+  { method: 'GET', path: '/api/reviews', access: ACCESS.ADMIN },
+  { method: 'PATCH', path: '/api/reviews/:reviewId/visibility', access: ACCESS.ADMIN },
+  { method: 'PUT', path: '/api/reviews/:reviewId/response', access: ACCESS.ADMIN },
+  { method: 'DELETE', path: '/api/reviews/:reviewId', access: ACCESS.ADMIN },
+
+  // Favorites
+  { method: 'GET', path: '/api/favorites', access: ACCESS.AUTHENTICATED },
+  { method: 'PUT', path: '/api/favorites/:assetId', access: ACCESS.AUTHENTICATED },
+  { method: 'DELETE', path: '/api/favorites/:assetId', access: ACCESS.AUTHENTICATED },
+
+  // Collections
+  { method: 'GET', path: '/api/collections', access: ACCESS.AUTHENTICATED },
+  { method: 'POST', path: '/api/collections', access: ACCESS.AUTHENTICATED },
+  { method: 'GET', path: '/api/collections/shared/:shareToken', access: ACCESS.OPTIONAL },
+  { method: 'GET', path: '/api/collections/:collectionId', access: ACCESS.AUTHENTICATED },
+  { method: 'PATCH', path: '/api/collections/:collectionId', access: ACCESS.AUTHENTICATED },
+  { method: 'DELETE', path: '/api/collections/:collectionId', access: ACCESS.AUTHENTICATED },
+  { method: 'PUT', path: '/api/collections/:collectionId/assets/:assetId', access: ACCESS.AUTHENTICATED },
+  { method: 'DELETE', path: '/api/collections/:collectionId/assets/:assetId', access: ACCESS.AUTHENTICATED },
+
+  // Categories
+  { method: 'GET', path: '/api/categories', access: ACCESS.PUBLIC, scopes: [API_SCOPES.CATALOG_READ] },
+  { method: 'GET', path: '/api/categories/active', access: ACCESS.PUBLIC, scopes: [API_SCOPES.CATALOG_READ] },
+  { method: 'GET', path: '/api/categories/:id', access: ACCESS.PUBLIC, scopes: [API_SCOPES.CATALOG_READ] },
+  { method: 'GET', path: '/api/categories/slug/:slug', access: ACCESS.PUBLIC, scopes: [API_SCOPES.CATALOG_READ] },
+  { method: 'POST', path: '/api/categories', access: ACCESS.ADMIN },
+  { method: 'PATCH', path: '/api/categories/:id', access: ACCESS.ADMIN },
+  { method: 'DELETE', path: '/api/categories/:id', access: ACCESS.ADMIN },
+  { method: 'PATCH', path: '/api/categories/:id/toggle-status', access: ACCESS.ADMIN },
+
+  // Subscriptions
+  { method: 'GET', path: '/api/subscriptions/plans', access: ACCESS.PUBLIC },
+  { method: 'GET', path: '/api/subscriptions/admin/stats', access: ACCESS.ADMIN },
+  { method: 'POST', path: '/api/subscriptions/assign', access: ACCESS.ADMIN },
+
+  // Payments
+  { method: 'POST', path: '/api/payments/create-checkout-session', access: ACCESS.AUTHENTICATED },
+  { method: 'POST', path: '/api/payments/create-subscription-manual', access: ACCESS.ADMIN },
+  { method: 'POST', path: '/api/payments/webhook', access: ACCESS.PUBLIC }, // Verified by Stripe signature
+  { method: 'GET', path: '/api/payments/subscription-status', access: ACCESS.AUTHENTICATED },
+
+  // Downloads
+  { method: 'POST', path: '/api/downloads/:assetId', access: ACCESS.AUTHENTICATED, scopes: [API_SCOPES.DOWNLOAD] },
+  { method: 'GET', path: '/api/downloads/status', access: ACCESS.AUTHENTICATED, scopes: [API_SCOPES.DOWNLOAD] },
+  { method: 'GET', path: '/api/downloads/my-downloads', access: ACCESS.AUTHENTICATED, scopes: [API_SCOPES.DOWNLOAD] },
+  { method: 'GET', path: '/api/downloads/file', access: ACCESS.PUBLIC }, // Verified by URL signature
+
+  // Resumable uploads (package files for assets)
+  { method: 'POST', path: '/api/uploads', access: ACCESS.ADMIN },
+  { method: 'GET', path: '/api/uploads/:uploadId', access: ACCESS.ADMIN },
+  { method: 'PUT', path: '/api/uploads/:uploadId/chunks/:index', access: ACCESS.ADMIN },
+  { method: 'POST', path: '/api/uploads/:uploadId/complete', access: ACCESS.ADMIN },
+  { method: 'DELETE', path: '/api/uploads/:uploadId', access: ACCESS.ADMIN },
+
+  // Unity Package Manager scoped registry
+  { method: 'GET', path: '/api/upm/-/v1/search', access: ACCESS.REGISTRY, scopes: [API_SCOPES.DOWNLOAD] },
+  { method: 'GET', path: '/api/upm/:packageName', access: ACCESS.REGISTRY, scopes: [API_SCOPES.DOWNLOAD] },
+  { method: 'GET', path: '/api/upm/:packageName/-/:tarball', access: ACCESS.REGISTRY, scopes: [API_SCOPES.DOWNLOAD] }
+];
+
+// Split a path into segments, ignoring leading/trailing slashes
+const toSegments = (path) => path.split('/').filter(Boolean);
+
+// Match a concrete request path against a route pattern like /api/users/:id
+const matchPath = (pattern, path) => {
+  const patternSegments = toSegments(pattern);
+  const pathSegments = toSegments(path);
+
+  if (patternSegments.length !== pathSegments.length) {
+    return false;
+  }
+
+  return patternSegments.every((segment, i) => segment.startsWith(':') || segment === pathSegments[i]);
+};
+
+// Number of literal segments - used so /api/assets/stats wins over /api/assets/:id
+const specificity = (pattern) => toSegments(pattern).filter(segment => !segment.startsWith(':')).length;
+
+// Find the permission entry for a request, preferring the most specific pattern
+const findRoutePermission = (method, path) => {
+  const requestMethod = method === 'HEAD' ? 'GET' : method;
+
+  let best = null;
+  for (const entry of routePermissions) {
+    if (entry.method !== requestMethod || !matchPath(entry.path, path)) continue;
+    if (!best || specificity(entry.path) > specificity(best.path)) {
+      best = entry;
+    }
+  }
+
+  return best;
+};
+
+module.exports = {
+  ACCESS,
+  API_SCOPES,
+  routePermissions,
+  matchPath,
+  findRoutePermission
+};
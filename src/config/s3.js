@@ -1,9 +1,16 @@
 const { S3Client } = require('@aws-sdk/client-s3');
 require('dotenv').config();
 
-// Initialize S3 client
+// Initialize S3 client. Set AWS_S3_ENDPOINT to use an S3-compatible server such as MinIO.
 const s3Client = new S3Client({
   region: process.env.AWS_REGION || 'eu-north-1',
+  // Only add checksums when S3 requires them - otherwise presigned upload URLs
+  // carry a checksum of an empty body and browser uploads fail
+  requestChecksumCalculation: 'WHEN_REQUIRED',
+  ...(process.env.AWS_S3_ENDPOINT && {
+    endpoint: process.env.AWS_S3_ENDPOINT,
+    forcePathStyle: process.env.AWS_S3_FORCE_PATH_STYLE !== 'false'
+  }),
   credentials: {
     accessKeyId: process.env.AWS_ACCESS_KEY_ID || '',
     secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY || ''
@@ -0,0 +1,25 @@
+// Unity render pipelines an asset can support, keyed by stored value with their storefront labels
+const RENDER_PIPELINES = {
+  BUILT_IN: 'Built-in',
+  URP: 'URP',
+  HDRP: 'HDRP'
+};
+
+// Build targets an asset can declare support for
+const PLATFORMS = {
+  WINDOWS: 'Windows',
+  MACOS: 'macOS',
+  LINUX: 'Linux',
+  ANDROID: 'Android',
+  IOS: 'iOS',
+  WEBGL: 'WebGL',
+  PLAYSTATION: 'PlayStation',
+  XBOX: 'Xbox',
+  SWITCH: 'Nintendo Switch',
+  XR: 'VR / AR'
+};
+
+module.exports = {
+  RENDER_PIPELINES,
+  PLATFORMS
+};
@@ -1,35 +1,23 @@
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { ACCESS, findRoutePermission } = require('../config/permissions');
+const { notFoundHandler } = require('./errorHandler');
+const { isApiToken, findActiveApiToken } = require('../services/apiTokenService');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
 
-// Helper function to extract user ID from JWT token
-function extractUserIdFromToken(authHeader) {
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return null;
-  }
-
-  try {
-    const token = authHeader.split(' ')[1];
-    const base64Payload = token.split('.')[1];
-    const payload = JSON.parse(Buffer.from(base64Payload, 'base64').toString());
-    return payload.userId || payload.id || payload.sub;
-  } catch (error) {
-    console.error('Error decoding JWT token:', error);
-    return null;
-  }
-}
-
-// Generate JWT Access Token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, JWT_SECRET, {
+// Generate JWT Access Token (sid ties it to a session family so it can be revoked)
+const generateToken = (userId, sessionId) => {
+  return jwt.sign({ userId, ...(sessionId && { sid: sessionId }) }, JWT_SECRET, {
     expiresIn: '15m' // Short-lived access token
   });
 };
 
-// Generate JWT Refresh Token
-const generateRefreshToken = (userId) => {
-  return jwt.sign({ userId, type: 'refresh' }, JWT_SECRET, {
-    expiresIn: '30d' // Long-lived refresh token
+// Generate JWT Refresh Token (jti makes every rotated token unique)
+const generateRefreshToken = (userId, sessionId) => {
+  return jwt.sign({ userId, type: 'refresh', ...(sessionId && { sid: sessionId }) }, JWT_SECRET, {
+    expiresIn: '30d', // Long-lived refresh token
+    jwtid: crypto.randomUUID()
   });
 };
 
@@ -38,51 +26,164 @@ const verifyToken = (token) => {
   return jwt.verify(token, JWT_SECRET);
 };
 
-// Protect routes - require authentication
-const protect = async (req, res, next) => {
-  let token;
+const NOT_AUTHORIZED = 'Not authorized to access this route';
+
+const authError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Bearer token from the Authorization header, if any
+const getBearerToken = (req) => {
+  const header = req.headers.authorization;
+  return header && header.startsWith('Bearer') ? header.split(' ')[1] : null;
+};
+
+// Resolve a bearer token - a JWT access token or a personal access token - to
+// its active user: { user, apiToken }. Throws an error with the HTTP status to
+// answer when the token is invalid, expired, revoked or not allowed on this
+// route. Every token check lives here, for protect and optionalAuth alike.
+const authenticateToken = async (req, token) => {
+  const { User, Session } = require('../models/index');
+
+  if (isApiToken(token)) {
+    // The route's permission entry lists which token scopes may call it; routes without scopes reject tokens
+    const allowedScopes = req.routePermission?.scopes || [];
+    if (allowedScopes.length === 0) {
+      throw authError(403, 'Personal access tokens cannot be used for this route');
+    }
+
+    const apiToken = await findActiveApiToken(token);
+    if (!apiToken) {
+      throw authError(401, 'Invalid or expired access token');
+    }
+    if (!allowedScopes.some(scope => apiToken.scopes.includes(scope))) {
+      throw authError(403, `Access token requires one of these scopes: ${allowedScopes.join(', ')}`);
+    }
 
-  // Check for token in headers
-  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-    token = req.headers.authorization.split(' ')[1];
+    const user = await User.findById(apiToken.userId).select('-password');
+    if (!user || !user.isActive) {
+      throw authError(401, 'User account is deactivated');
+    }
+    return { user, apiToken };
   }
 
+  let decoded;
+  try {
+    decoded = verifyToken(token);
+  } catch (error) {
+    throw authError(401, NOT_AUTHORIZED);
+  }
+
+  // Refresh tokens are only accepted by /api/auth/refresh
+  if (decoded.type === 'refresh') {
+    throw authError(401, NOT_AUTHORIZED);
+  }
+
+  // Reject access tokens whose session family has been revoked
+  if (decoded.sid && !(await Session.exists({ familyId: decoded.sid, revokedAt: null }))) {
+    throw authError(401, 'Session has been revoked');
+  }
+
+  const user = await User.findById(decoded.userId).select('-password');
+  if (!user) {
+    throw authError(404, 'No user found with this ID');
+  }
+  if (!user.isActive) {
+    throw authError(401, 'User account is deactivated');
+  }
+  return { user, apiToken: null };
+};
+
+// Protect routes - require authentication
+const protect = async (req, res, next) => {
+  const token = getBearerToken(req);
+
   if (!token) {
     return res.status(401).json({
       success: false,
-      message: 'Not authorized to access this route'
+      message: NOT_AUTHORIZED
     });
   }
 
+  let auth;
   try {
-    // Verify token
-    const decoded = verifyToken(token);
+    auth = await authenticateToken(req, token);
+  } catch (error) {
+    return res.status(error.status || 401).json({
+      success: false,
+      message: error.status ? error.message : NOT_AUTHORIZED
+    });
+  }
 
-    // Find user by ID
-    const { User } = require('../models/index');
-    const user = await User.findById(decoded.userId).select('-password');
+  // Attach user (and the personal access token used, if any) to the request
+  req.user = auth.user;
+  if (auth.apiToken) req.apiToken = auth.apiToken;
+  next();
+};
 
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'No user found with this ID'
-      });
+// Identify the caller on routes that work without authentication (e.g. to
+// flag their favorites). A bad or expired token never fails the request - it
+// is served as anonymous.
+const optionalAuth = async (req, res, next) => {
+  const token = getBearerToken(req);
+
+  if (token) {
+    try {
+      const { user, apiToken } = await authenticateToken(req, token);
+      req.user = user;
+      if (apiToken) req.apiToken = apiToken;
+    } catch (error) {
+      req.user = undefined;
     }
+  }
+  next();
+};
+
+// Generate a UPM registry token. Only the sha256 hash is stored on the user.
+const generateRegistryToken = () => {
+  const token = `upm_${crypto.randomBytes(32).toString('hex')}`;
+  return {
+    token,
+    tokenHash: crypto.createHash('sha256').update(token).digest('hex')
+  };
+};
+
+// Protect UPM registry routes - require a per-user registry token
+const protectRegistryToken = async (req, res, next) => {
+  const token = getBearerToken(req);
+
+  // Personal access tokens with the download scope also work here
+  if (isApiToken(token)) {
+    return protect(req, res, next);
+  }
 
-    if (!user.isActive) {
+  if (!token || !token.startsWith('upm_')) {
+    return res.status(401).json({
+      success: false,
+      message: 'Registry token required'
+    });
+  }
+
+  try {
+    const { User } = require('../models/index');
+    const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+    const user = await User.findOne({ registryTokenHash: tokenHash }).select('-password');
+
+    if (!user || !user.isActive) {
       return res.status(401).json({
         success: false,
-        message: 'User account is deactivated'
+        message: 'Invalid registry token'
       });
     }
 
-    // Attach user to request object
     req.user = user;
     next();
   } catch (error) {
     return res.status(401).json({
       success: false,
-      message: 'Not authorized to access this route'
+      message: 'Invalid registry token'
     });
   }
 };
@@ -108,15 +209,49 @@ const authorize = (...roles) => {
   };
 };
 
-// Admin only middleware
-const adminOnly = authorize('admin');
+// Admin only middleware (role values match the User schema enum)
+const adminOnly = authorize('ADMIN');
+
+// Apply the route permission table to every API request.
+// Unlisted routes are rejected so nothing ships unguarded.
+const enforceRoutePermissions = (req, res, next) => {
+  const path = `${req.baseUrl}${req.path}`.replace(/\/+$/, '') || '/';
+  const permission = findRoutePermission(req.method, path);
+
+  if (!permission) {
+    return notFoundHandler(req, res);
+  }
+
+  req.routePermission = permission;
+
+  switch (permission.access) {
+    case ACCESS.PUBLIC:
+      return next();
+    case ACCESS.OPTIONAL:
+      return optionalAuth(req, res, next);
+    case ACCESS.AUTHENTICATED:
+      return protect(req, res, next);
+    case ACCESS.ADMIN:
+      return protect(req, res, () => adminOnly(req, res, next));
+    case ACCESS.REGISTRY:
+      return protectRegistryToken(req, res, next);
+    default:
+      return res.status(500).json({
+        success: false,
+        message: 'Route permission misconfigured'
+      });
+  }
+};
 
 module.exports = {
-  extractUserIdFromToken,
   generateToken,
   generateRefreshToken,
   verifyToken,
   protect,
+  optionalAuth,
+  generateRegistryToken,
+  protectRegistryToken,
   authorize,
-  adminOnly
+  adminOnly,
+  enforceRoutePermissions
 };
@@ -7,6 +7,8 @@ const notFoundHandler = (req, res) => {
       'GET /api/health',
       'POST /api/auth/register',
       'POST /api/auth/login',
+      'POST /api/auth/refresh',
+      'POST /api/auth/forgot-password',
       'GET /api/users/profile',
       'GET /api/assets',
       'GET /api/categories',
@@ -38,6 +40,24 @@ const errorHandler = (err, req, res, next) => {
     });
   }
 
+  // Rejected uploads (see services/fileValidationService.js)
+  if (err.name === 'FileValidationError') {
+    return res.status(err.status).json({
+      success: false,
+      message: err.message,
+      errors: err.errors
+    });
+  }
+
+  // Multer limits (file too large, too many files, unexpected field)
+  if (err.name === 'MulterError') {
+    return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+      success: false,
+      message: err.message,
+      errors: [{ field: err.field, code: err.code, message: err.message }]
+    });
+  }
+
   // JWT errors
   if (err.name === 'JsonWebTokenError') {
     return res.status(401).json({
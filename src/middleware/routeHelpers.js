@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Shared responses for route handlers that delegate to services. Services
+// throw errors carrying an HTTP `status` (and optionally field `errors`);
+// anything else is unexpected and answered with a 500.
+
+/**
+ * Send the error response for a failed handler. `message` is used for
+ * unexpected errors, which are also logged.
+ */
+const handleServiceError = (res, error, message) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      ...(error.errors && { errors: error.errors })
+    });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+  });
+};
+
+/**
+ * Answer 503 and return false when MongoDB is not connected
+ */
+const checkDatabase = (res) => {
+  if (mongoose.connection.readyState !== 1) {
+    res.status(503).json({
+      success: false,
+      message: 'Database not available'
+    });
+    return false;
+  }
+  return true;
+};
+
+module.exports = {
+  handleServiceError,
+  checkDatabase
+};
@@ -1,8 +1,16 @@
 const multer = require('multer');
-const multerS3 = require('multer-s3');
-const path = require('path');
-const fs = require('fs');
-const { s3Client, isS3Configured } = require('../config/s3');
+const crypto = require('crypto');
+const { pipeline } = require('stream');
+const { isS3Configured } = require('../config/s3');
+const { getStorage, buildKey } = require('../services/storage');
+const { createChecksumStream } = require('../utils/checksum');
+const {
+  FILE_HEAD_BYTES,
+  UPLOAD_RULES,
+  fileValidationError,
+  checkFileType,
+  validateFileContents
+} = require('../services/fileValidationService');
 
 console.log('🔍 Upload Middleware - S3 Configuration Check:');
 console.log('AWS_ACCESS_KEY_ID:', process.env.AWS_ACCESS_KEY_ID ? '✅ Set' : '❌ Missing');
@@ -10,66 +18,91 @@ console.log('AWS_SECRET_ACCESS_KEY:', process.env.AWS_SECRET_ACCESS_KEY ? '✅ S
 console.log('AWS_S3_BUCKET_NAME:', process.env.AWS_S3_BUCKET_NAME || '❌ Missing');
 console.log('isS3Configured:', isS3Configured ? '✅ TRUE - Using S3' : '❌ FALSE - Using Local Storage');
 
-// Local storage configuration
-const localStorage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const uploadsDir = path.join(__dirname, '../../uploads');
+// Multer storage engine that streams uploads into the configured storage driver.
+// Thumbnails are stored under public keys; package files stay private and are
+// only reachable through signed download URLs. Checksums are computed on the way through,
+// and the head of each file is sniffed against its field's rules once it is stored -
+// a file that fails is deleted again before the error reaches multer.
+const driverStorage = {
+  _handleFile(req, file, cb) {
+    const storage = getStorage();
+    const key = buildKey(file.fieldname, file.originalname);
+    const { label, maxSize = Infinity } = UPLOAD_RULES[file.fieldname];
+    const hashing = createChecksumStream({
+      maxBytes: maxSize,
+      // Also fails the upload stream, so multer sees this error first
+      tooLargeError: () => fileValidationError(file.fieldname, file.originalname, 'FILE_TOO_LARGE',
+        `${label} must be at most ${Math.round(maxSize / (1024 * 1024))}MB`),
+      headBytes: FILE_HEAD_BYTES
+    });
 
-    // Ensure uploads directory exists
-    if (!fs.existsSync(uploadsDir)) {
-      fs.mkdirSync(uploadsDir, { recursive: true });
-    }
+    pipeline(file.stream, hashing, () => {});
 
-    cb(null, uploadsDir);
+    storage.put(key, hashing, { contentType: file.mimetype })
+      .then(({ url }) => {
+        validateFileContents(file.fieldname, file.originalname, hashing.head());
+        return { key, url, size: hashing.bytes, checksums: hashing.digests() };
+      })
+      .then(stored => cb(null, stored))
+      .catch(async (error) => {
+        await storage.delete(key).catch(() => {});
+        cb(error);
+      });
   },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const extension = path.extname(file.originalname);
-    cb(null, `${file.fieldname}-${uniqueSuffix}${extension}`);
-  }
-});
 
-// S3 storage configuration
-const s3Storage = multerS3({
-  s3: s3Client,
-  bucket: process.env.AWS_S3_BUCKET_NAME || '',
-  acl: 'public-read',
-  metadata: (req, file, cb) => {
-    cb(null, { fieldName: file.fieldname });
-  },
-  key: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const extension = path.extname(file.originalname);
-    const folder = file.fieldname === 'thumbnail' ? 'thumbnails' : 'assets';
-    cb(null, `${folder}/${file.fieldname}-${uniqueSuffix}${extension}`);
+  _removeFile(req, file, cb) {
+    getStorage().delete(file.key).then(() => cb(null), cb);
   }
-});
-
-// Choose storage based on configuration
-const storage = isS3Configured ? s3Storage : localStorage;
+};
 
 const upload = multer({
-  storage: storage,
+  storage: driverStorage,
   limits: { fileSize: 100 * 1024 * 1024 }, // 100MB limit
+  // Reject unknown fields and extensions before anything is stored
   fileFilter: (req, file, cb) => {
-    console.log(`📁 Uploading file: ${file.originalname} (${file.mimetype}) to ${isS3Configured ? 'S3' : 'Local Storage'}`);
+    try {
+      checkFileType(file.fieldname, file.originalname);
+    } catch (error) {
+      console.log(`🚫 Rejected upload: ${file.originalname} (${error.message})`);
+      return cb(error);
+    }
+    console.log(`📁 Uploading file: ${file.originalname} (${file.mimetype}) to ${getStorage().name} storage`);
     cb(null, true);
   }
 });
 
 // Helper function to get file URL
 const getFileUrl = (file) => {
-  if (isS3Configured && file.location) {
-    // S3 file
-    console.log(`📎 S3 file URL: ${file.location}`);
-    return file.location;
-  } else {
-    // Local file
-    const baseUrl = process.env.API_BASE_URL || 'http://localhost:3001';
-    const url = `${baseUrl}/uploads/${file.filename}`;
-    console.log(`📎 Local file URL: ${url}`);
-    return url;
+  console.log(`📎 File URL: ${file.url}`);
+  return file.url;
+};
+
+// Helper function to get the storage key used to sign downloads of an uploaded file
+const getFileKey = (file) => file.key;
+
+// Helper function to get a checksum (sha256 by default) of an uploaded file
+const getFileChecksum = (file, algorithm = 'sha256') => {
+  if (file.checksums?.[algorithm]) {
+    return Promise.resolve(file.checksums[algorithm]);
   }
+
+  return getStorage().getStream(file.key).then(stream => new Promise((resolve, reject) => {
+    const hash = crypto.createHash(algorithm);
+    stream
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  }));
 };
 
-module.exports = { upload, getFileUrl, isS3Configured };
+// Helper function to open a readable stream over an uploaded file
+const openUploadedFile = (file) => getStorage().getStream(file.key);
+
+module.exports = {
+  upload,
+  getFileUrl,
+  getFileKey,
+  getFileChecksum,
+  openUploadedFile,
+  isS3Configured
+};
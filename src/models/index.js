@@ -1,4 +1,10 @@
 const mongoose = require('mongoose');
+const { hashPassword, verifyPassword } = require('../utils/password');
+const { API_SCOPES } = require('../config/permissions');
+const { SCAN_STATUS } = require('../services/scanning');
+const { buildSearchTokens } = require('../utils/search');
+const { RENDER_PIPELINES, PLATFORMS } = require('../config/unity');
+const { isValidUnityVersion, unityVersionKey } = require('../utils/versioning');
 
 // ==================== SCHEMAS ====================
 
@@ -13,18 +19,146 @@ const userSchema = new mongoose.Schema({
   isEmailVerified: { type: Boolean, default: false },
   emailVerificationOTP: { type: String, default: null },
   emailVerificationOTPExpiry: { type: Date, default: null },
+  resetPasswordToken: { type: String, default: null, select: false }, // sha256 of the emailed reset token
+  resetPasswordExpiry: { type: Date, default: null, select: false },
+  registryTokenHash: { type: String, default: null, select: false }, // sha256 of the UPM registry token
+  registryTokenCreatedAt: { type: Date, default: null },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
 
+userSchema.index({ registryTokenHash: 1 }, { sparse: true });
+
+// Hash password whenever it is set or changed. isModified keeps an
+// already-hashed password from being hashed again on later saves.
+userSchema.pre('save', async function() {
+  if (!this.isModified('password')) return;
+  this.password = await hashPassword(this.password);
+});
+
+// Compare a candidate password, transparently upgrading legacy plaintext passwords
+userSchema.methods.comparePassword = async function(candidatePassword) {
+  const { match, legacy } = await verifyPassword(candidatePassword, this.password);
+
+  if (match && legacy) {
+    // First successful login since hashing was introduced - rehash and persist
+    this.password = candidatePassword;
+    await this.save();
+    console.log(`🔐 Migrated legacy plaintext password for user ${this._id}`);
+  }
+
+  return match;
+};
+
+// Asset Version Schema - one published package file per semver release
+const assetVersionSchema = new mongoose.Schema({
+  version: { type: String, required: true }, // Semver, e.g. 1.2.0
+  fileUrl: { type: String, required: true },
+  fileKey: { type: String, default: null }, // Private storage key used to sign download URLs
+  fileSize: { type: Number, default: null }, // Bytes
+  checksum: { type: String, default: null }, // sha256 hex of the package file
+  shasum: { type: String, default: null }, // sha1 hex - npm/UPM tarball integrity field
+  etag: { type: String, default: null }, // S3 ETag, recorded for direct-to-S3 uploads
+  releaseNotes: { type: String, default: '' },
+  minUnityVersion: { type: String, default: null }, // e.g. 2021.3
+  scanStatus: { type: String, enum: Object.values(SCAN_STATUS), default: SCAN_STATUS.PENDING_SCAN }, // Only CLEAN files can be downloaded
+  scanSignature: { type: String, default: null }, // Malware detected in a QUARANTINED file
+  scanError: { type: String, default: null }, // Why the last scan attempt failed
+  scannedAt: { type: Date, default: null },
+  // Other assets already publishing the same package (DUPLICATE_PACKAGE warnings, see integrityService)
+  duplicateWarnings: [{
+    _id: false,
+    code: String,
+    message: String,
+    assetId: { type: mongoose.Schema.Types.ObjectId, ref: 'Asset' },
+    assetName: String,
+    version: String
+  }],
+  uploadedAt: { type: Date, default: Date.now }
+});
+
+// Package Contents Schema - file manifest parsed from an uploaded .unitypackage
+const packageContentsSchema = new mongoose.Schema({
+  files: [{ _id: false, path: String, size: Number, type: { type: String } }],
+  fileCount: { type: Number, default: 0 },
+  totalSize: { type: Number, default: 0 }, // Uncompressed bytes
+  fileTypes: { type: Map, of: Number, default: {} }, // e.g. { scripts: 12, prefabs: 4 }
+  truncated: { type: Boolean, default: false },
+  parsedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Image Derivative Schema - a resized copy generated from a preview image
+const imageDerivativeSchema = new mongoose.Schema({
+  key: String,
+  url: String,
+  width: Number,
+  height: Number
+}, { _id: false });
+
+// Preview Image Schema - an uploaded gallery image and its generated derivatives
+const assetImageSchema = new mongoose.Schema({
+  originalKey: String,
+  originalUrl: String,
+  width: Number,
+  height: Number,
+  checksum: { type: String, default: null }, // sha256 hex of the original
+  derivatives: {
+    card: imageDerivativeSchema, // Catalog grid
+    detail: imageDerivativeSchema, // Asset page
+    full: imageDerivativeSchema // Lightbox
+  },
+  uploadedAt: { type: Date, default: Date.now }
+});
+
+// Unity Version Range Schema - editors an asset supports. A bare release
+// stream (2022.3) covers every patch of it.
+const unityVersionRangeSchema = new mongoose.Schema({
+  min: { type: String, required: true },
+  max: { type: String, default: null }, // null: min and everything newer
+  minKey: Number, // Numeric bounds for catalog filters - see unityVersionKey
+  maxKey: { type: Number, default: null }
+}, { _id: false });
+
+unityVersionRangeSchema.pre('validate', function() {
+  this.minKey = isValidUnityVersion(this.min) ? unityVersionKey(this.min) : null;
+  this.maxKey = this.max && isValidUnityVersion(this.max) ? unityVersionKey(this.max, { upper: true }) : null;
+});
+
+// Package Dependency Schema - another UPM package an asset needs
+const packageDependencySchema = new mongoose.Schema({
+  name: { type: String, required: true }, // e.g. com.unity.textmeshpro
+  version: { type: String, required: true } // Minimum semver
+}, { _id: false });
+
 // Asset Schema (No price - subscription-based system)
 const assetSchema = new mongoose.Schema({
   name: { type: String, required: true },
   description: String,
-  thumbnail: String,
-  fileUrl: String,
+  thumbnail: String, // Card derivative of the first preview image
+  thumbnailChecksum: { type: String, default: null }, // sha256 hex of the first preview image's original
+  images: [assetImageSchema], // Preview gallery in display order - the first is the cover
+  fileUrl: String, // Mirrors the latest version's file for older clients
+  fileKey: String, // Mirrors the latest version's storage key
+  versions: [assetVersionSchema], // Ordered oldest -> newest
+  latestVersion: { type: String, default: null },
+  scanStatus: { type: String, enum: Object.values(SCAN_STATUS), default: SCAN_STATUS.PENDING_SCAN }, // Mirrors the latest version's scan
+  fileSize: { type: Number, default: null }, // Mirrors the latest version's file size - catalog filter
+  minUnityVersion: { type: String, default: null }, // Mirrors the latest version's requirement - catalog filter
+  unityVersions: [unityVersionRangeSchema], // Supported editors - when empty, minUnityVersion and newer
+  renderPipelines: [{ type: String, enum: Object.keys(RENDER_PIPELINES) }],
+  platforms: [{ type: String, enum: Object.keys(PLATFORMS) }],
+  dependencies: [packageDependencySchema], // Also listed in the asset's UPM package manifest
+  contents: { type: packageContentsSchema, default: null }, // Manifest of the latest .unitypackage
+  upmPackageName: { type: String, default: null }, // e.g. com.unityassets.fantasy-characters - published on the UPM registry when set
   downloadCount: { type: Number, default: 0 },
+  favoriteCount: { type: Number, default: 0 },
+  rating: { // Aggregated from visible reviews - see reviewService.refreshAssetRating
+    average: { type: Number, default: 0 }, // 0 while unrated
+    count: { type: Number, default: 0 },
+    histogram: { type: [Number], default: () => [0, 0, 0, 0, 0] } // Number of 1..5 star reviews
+  },
   tags: [String],
+  searchTokens: { type: [String], select: false }, // Words of name/tags/description for prefix search
   categoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Category' },
   category: {
     name: String,
@@ -39,13 +173,114 @@ const assetSchema = new mongoose.Schema({
   updatedAt: { type: Date, default: Date.now }
 });
 
+// Package names must be unique among published assets
+assetSchema.index({ upmPackageName: 1 }, { unique: true, partialFilterExpression: { upmPackageName: { $type: 'string' } } });
+
+// Full-text search, ranked name > tags > description
+assetSchema.index(
+  { name: 'text', tags: 'text', description: 'text' },
+  { name: 'asset_text_search', weights: { name: 10, tags: 5, description: 1 } }
+);
+assetSchema.index({ searchTokens: 1 });
+
+// Keep the prefix search tokens in step with the searchable fields
+assetSchema.pre('save', function() {
+  if (this.isNew || this.isModified('name') || this.isModified('tags') || this.isModified('description')) {
+    this.searchTokens = buildSearchTokens(this);
+  }
+});
+
+// Mirror the latest version's fields the catalog filters on
+assetSchema.pre('save', function() {
+  if (this.isModified('versions') || this.isModified('latestVersion')) {
+    const latest = this.versions.find(v => v.version === this.latestVersion);
+    this.fileSize = latest?.fileSize ?? null;
+    this.minUnityVersion = latest?.minUnityVersion ?? null;
+  }
+});
+
+// Catalog facet filters
+assetSchema.index({ categoryId: 1 });
+assetSchema.index({ tags: 1 });
+assetSchema.index({ renderPipelines: 1 });
+assetSchema.index({ platforms: 1 });
+assetSchema.index({ 'dependencies.name': 1 });
+assetSchema.index({ fileSize: 1 });
+assetSchema.index({ createdAt: -1 });
+
+// Catalog sort by rating
+assetSchema.index({ 'rating.average': -1, 'rating.count': -1 });
+
+// Duplicate detection looks assets up by file checksum
+assetSchema.index({ 'versions.checksum': 1 });
+assetSchema.index({ thumbnailChecksum: 1 });
+
 // Download Schema
 const downloadSchema = new mongoose.Schema({
   userId: { type: String, required: true },
   assetId: { type: String, required: true },
+  version: { type: String, default: null },
   downloadedAt: { type: Date, default: Date.now }
 });
 
+// Who downloaded an asset, and what else they downloaded (co-download recommendations)
+downloadSchema.index({ assetId: 1, userId: 1 });
+downloadSchema.index({ userId: 1, assetId: 1 });
+
+// Review Schema - one rating and review per user per asset
+const reviewSchema = new mongoose.Schema({
+  assetId: { type: mongoose.Schema.Types.ObjectId, ref: 'Asset', required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  rating: { type: Number, required: true, min: 1, max: 5 },
+  title: { type: String, default: '' },
+  body: { type: String, default: '' },
+  version: { type: String, default: null }, // Latest version the reviewer had downloaded
+  isHidden: { type: Boolean, default: false }, // Hidden by a moderator - left out of the asset rating
+  hiddenReason: { type: String, default: null },
+  moderatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  moderatedAt: { type: Date, default: null },
+  response: { // Public reply from the team
+    type: new mongoose.Schema({
+      body: { type: String, required: true },
+      respondedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      respondedAt: { type: Date, default: Date.now }
+    }, { _id: false }),
+    default: null
+  },
+  editedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+reviewSchema.index({ assetId: 1, userId: 1 }, { unique: true });
+reviewSchema.index({ assetId: 1, isHidden: 1, createdAt: -1 });
+
+// Favorite Schema - an asset a user has bookmarked
+const favoriteSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  assetId: { type: mongoose.Schema.Types.ObjectId, ref: 'Asset', required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+favoriteSchema.index({ userId: 1, assetId: 1 }, { unique: true });
+favoriteSchema.index({ userId: 1, createdAt: -1 });
+
+// Collection Schema - a user's named list of assets, optionally shared by link
+const collectionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  name: { type: String, required: true },
+  description: { type: String, default: '' },
+  assetIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Asset' }], // In the owner's order
+  visibility: { type: String, enum: ['PRIVATE', 'SHARED'], default: 'PRIVATE' },
+  shareToken: { type: String, default: null }, // Random link token while SHARED - a new one each time sharing is turned on
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+collectionSchema.index({ userId: 1, createdAt: -1 });
+collectionSchema.index({ shareToken: 1 }, { unique: true, partialFilterExpression: { shareToken: { $type: 'string' } } });
+collectionSchema.index({ assetIds: 1 });
+
 // Category Schema
 const categorySchema = new mongoose.Schema({
   name: { type: String, required: true },
@@ -93,15 +328,121 @@ const userSubscriptionSchema = new mongoose.Schema({
   updatedAt: { type: Date, default: Date.now }
 });
 
+// Session Schema - one document per issued refresh token.
+// Tokens issued by rotation share the familyId of the original login.
+const sessionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  familyId: { type: String, required: true, index: true },
+  tokenHash: { type: String, required: true, unique: true }, // sha256 of the refresh token
+  expiresAt: { type: Date, required: true },
+  rotatedAt: { type: Date, default: null }, // Set once the token has been exchanged
+  revokedAt: { type: Date, default: null },
+  revokedReason: { type: String, default: null },
+  userAgent: String,
+  ipAddress: String,
+  lastUsedAt: { type: Date, default: Date.now },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Let MongoDB purge expired sessions
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// ApiToken Schema - personal access tokens for the Unity editor and CI
+const apiTokenSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  tokenHash: { type: String, required: true, unique: true }, // sha256 of the token
+  tokenPrefix: { type: String, required: true }, // First characters, shown in listings
+  scopes: [{ type: String, enum: Object.values(API_SCOPES) }],
+  lastUsedAt: { type: Date, default: null },
+  expiresAt: { type: Date, default: null }, // null = never expires
+  revokedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// DeviceCode Schema - pending device authorization requests from the editor plugin
+const deviceCodeSchema = new mongoose.Schema({
+  deviceCodeHash: { type: String, required: true, unique: true }, // sha256 of the device code
+  userCode: { type: String, required: true, unique: true }, // Short code the user types in the browser
+  clientName: { type: String, default: 'Unity Editor', maxlength: 100 },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'denied', 'consumed'],
+    default: 'pending'
+  },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }, // Set on approval
+  interval: { type: Number, default: 5 }, // Minimum seconds between polls
+  lastPolledAt: { type: Date, default: null },
+  expiresAt: { type: Date, required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+deviceCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// UploadSession Schema - resumable chunked upload of a large package file.
+// Chunks are stored under chunks/<sessionId>/ until the session is completed.
+const uploadSessionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  fileName: { type: String, required: true },
+  fileSize: { type: Number, required: true }, // Bytes
+  chunkSize: { type: Number, required: true }, // Bytes; every chunk but the last is exactly this size
+  totalChunks: { type: Number, required: true },
+  checksum: { type: String, required: true }, // Expected sha256 hex of the assembled file
+  receivedChunks: [{ type: Number }], // Indexes of stored chunks
+  status: {
+    type: String,
+    enum: ['uploading', 'assembling', 'completed', 'attached', 'failed', 'aborted'],
+    default: 'uploading'
+  },
+  fileKey: { type: String, default: null }, // Assembled file, once completed
+  fileUrl: { type: String, default: null },
+  shasum: { type: String, default: null }, // sha1 hex of the assembled file
+  assetId: { type: mongoose.Schema.Types.ObjectId, ref: 'Asset', default: null }, // Set once attached
+  expiresAt: { type: Date, required: true },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// DirectUpload Schema - thumbnail and package uploaded by the browser straight to S3
+// with presigned URLs, then finalized into an Asset.
+const directUploadSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  thumbnailKey: { type: String, required: true },
+  thumbnailFileName: String,
+  thumbnailSize: { type: Number, required: true },
+  packageKey: { type: String, required: true },
+  packageFileName: { type: String, required: true },
+  packageSize: { type: Number, required: true },
+  multipartUploadId: { type: String, required: true }, // S3 multipart UploadId for the package
+  partSize: { type: Number, required: true },
+  partCount: { type: Number, required: true },
+  status: {
+    type: String,
+    enum: ['pending', 'finalizing', 'completed', 'aborted'],
+    default: 'pending'
+  },
+  assetId: { type: mongoose.Schema.Types.ObjectId, ref: 'Asset', default: null },
+  expiresAt: { type: Date, required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
 // ==================== MODELS ====================
 // Using mongoose.models to avoid re-registration errors
 
 const User = mongoose.models.User || mongoose.model('User', userSchema);
 const Asset = mongoose.models.Asset || mongoose.model('Asset', assetSchema);
 const Download = mongoose.models.Download || mongoose.model('Download', downloadSchema);
+const Review = mongoose.models.Review || mongoose.model('Review', reviewSchema);
+const Favorite = mongoose.models.Favorite || mongoose.model('Favorite', favoriteSchema);
+const Collection = mongoose.models.Collection || mongoose.model('Collection', collectionSchema);
 const Category = mongoose.models.Category || mongoose.model('Category', categorySchema);
 const SubscriptionPackage = mongoose.models.SubscriptionPlan || mongoose.model('SubscriptionPlan', subscriptionPackageSchema);
 const UserSubscription = mongoose.models.UserSubscription || mongoose.model('UserSubscription', userSubscriptionSchema);
+const Session = mongoose.models.Session || mongoose.model('Session', sessionSchema);
+const ApiToken = mongoose.models.ApiToken || mongoose.model('ApiToken', apiTokenSchema);
+const DeviceCode = mongoose.models.DeviceCode || mongoose.model('DeviceCode', deviceCodeSchema);
+const UploadSession = mongoose.models.UploadSession || mongoose.model('UploadSession', uploadSessionSchema);
+const DirectUpload = mongoose.models.DirectUpload || mongoose.model('DirectUpload', directUploadSchema);
 
 // ==================== EXPORTS ====================
 
@@ -109,16 +450,32 @@ const UserSubscription = mongoose.models.UserSubscription || mongoose.model('Use
 module.exports.User = User;
 module.exports.Asset = Asset;
 module.exports.Download = Download;
+module.exports.Review = Review;
+module.exports.Favorite = Favorite;
+module.exports.Collection = Collection;
 module.exports.Category = Category;
 module.exports.SubscriptionPackage = SubscriptionPackage;
 module.exports.UserSubscription = UserSubscription;
+module.exports.Session = Session;
+module.exports.ApiToken = ApiToken;
+module.exports.DeviceCode = DeviceCode;
+module.exports.UploadSession = UploadSession;
+module.exports.DirectUpload = DirectUpload;
 
 // Default export with all models
 module.exports.default = {
   User,
   Asset,
   Download,
+  Review,
+  Favorite,
+  Collection,
   Category,
   SubscriptionPackage,
-  UserSubscription
+  UserSubscription,
+  Session,
+  ApiToken,
+  DeviceCode,
+  UploadSession,
+  DirectUpload
 };
@@ -1,7 +1,49 @@
 const express = require('express');
 const mongoose = require('mongoose');
-const { upload, getFileUrl } = require('../middleware/upload');
-const { Asset, Category, Download } = require('../models/index');
+const path = require('path');
+const { upload, getFileUrl, getFileKey, getFileChecksum, openUploadedFile } = require('../middleware/upload');
+const { Asset, Category, Download, Review } = require('../models/index');
+const { isValidSemver, isValidUnityVersion, isValidUpmPackageName, compareSemver } = require('../utils/versioning');
+const { extractPackageContents } = require('../services/unityPackageService');
+const { deleteAssetFiles, deletePreviewImageFiles, deleteUploadedFiles } = require('../services/storage');
+const { SCAN_STATUS, queueAssetScan } = require('../services/scanService');
+const { findDuplicateAssets } = require('../services/integrityService');
+const {
+  buildTextSearch,
+  buildSearchHighlights,
+  suggestSearch,
+  suggestSpelling
+} = require('../services/searchService');
+const {
+  parseFacetFilters,
+  buildFacetConditions,
+  combineFacetConditions,
+  getFacetCounts
+} = require('../services/facetService');
+const { parseCompatibility } = require('../services/compatibilityService');
+const { listAssetReviews, getOwnReview, saveReview } = require('../services/reviewService');
+const { handleServiceError, checkDatabase } = require('../middleware/routeHelpers');
+const { addFavoriteFlags, deleteAssetFavorites } = require('../services/favoriteService');
+const { removeAssetFromAllCollections } = require('../services/collectionService');
+const { getRecommendations } = require('../services/recommendationService');
+const {
+  MAX_PREVIEW_IMAGES,
+  createPreviewImage,
+  createPreviewImages,
+  syncCoverImage
+} = require('../services/imageService');
+const {
+  getCompletedUploadFile,
+  markUploadAttached,
+  releaseUploadAttachment
+} = require('../services/uploadSessionService');
+const {
+  createDirectUpload,
+  getDirectUpload,
+  finalizeDirectUpload,
+  releaseDirectUpload,
+  abortDirectUpload
+} = require('../services/directUploadService');
 
 const router = express.Router();
 
@@ -92,6 +134,71 @@ const sampleCategories = [
   { _id: '507f1f77bcf86cd799439025', name: 'Audio', slug: 'audio', description: 'Music and sound effects', isActive: true }
 ];
 
+// UPM packages are npm-style tarballs; only those need an npm sha1 shasum
+const isTarball = (file) => path.extname(file.originalname || '').toLowerCase() === '.tgz';
+
+// Validate the metadata of a new asset. Returns an error message or null.
+const validateNewAssetFields = ({ name, description, categoryId, version, minUnityVersion }) => {
+  if (!name || !description || !categoryId) {
+    return 'Name, description, and category are required';
+  }
+  if (!isValidSemver(version)) {
+    return 'Version must be a semantic version like 1.0.0';
+  }
+  if (minUnityVersion && !isValidUnityVersion(minUnityVersion)) {
+    return 'Minimum Unity version must look like 2021.3 or 2022.3.10f1';
+  }
+  return null;
+};
+
+// Accept tags as an array or a comma-separated string
+const parseTags = (tags) => {
+  if (Array.isArray(tags)) {
+    return tags.filter(tag => tag && tag.trim()).map(tag => tag.trim());
+  }
+  if (typeof tags === 'string') {
+    return tags.split(',').filter(tag => tag.trim()).map(tag => tag.trim());
+  }
+  return [];
+};
+
+// Package files come either as a multipart assetFile or as the uploadId of a
+// completed resumable upload (see routes/uploads.route.js). Returns an error message or null.
+const checkPackageSource = (file, uploadId) => {
+  if (file && uploadId) {
+    return 'Send either an asset file or an uploadId, not both';
+  }
+  if (uploadId && !mongoose.Types.ObjectId.isValid(uploadId)) {
+    return 'Invalid upload ID format';
+  }
+  return null;
+};
+
+// Load the asset a sub-resource route (preview images, reviews) works on,
+// or send the error response and return null
+const loadAsset = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid asset ID format'
+    });
+    return null;
+  }
+
+  if (!checkDatabase(res)) return null;
+
+  // Deactivated assets are only visible to admins
+  const asset = await Asset.findById(req.params.id);
+  if (!asset || (!asset.isActive && req.user?.role !== 'ADMIN')) {
+    res.status(404).json({
+      success: false,
+      message: 'Asset not found'
+    });
+    return null;
+  }
+  return asset;
+};
+
 // ==================== ASSET ROUTES ====================
 
 // GET /api/assets - List assets with filtering, search, pagination
@@ -104,7 +211,7 @@ router.get('/', async (req, res) => {
       search = '',
       category = '',
       status = '',
-      sortBy = 'createdAt',
+      sortBy = '',
       sortOrder = 'desc'
     } = req.query;
 
@@ -116,21 +223,15 @@ router.get('/', async (req, res) => {
 
     if (mongoose.connection.readyState === 1) {
       console.log('✅ Using database mode');
+      const facetFilters = parseFacetFilters(req.query);
+
       // Build query for database
       let query = {};
 
-      // Search by name, description, or tags
-      if (search && search.trim()) {
-        query.$or = [
-          { name: { $regex: search.trim(), $options: 'i' } },
-          { description: { $regex: search.trim(), $options: 'i' } },
-          { tags: { $in: [new RegExp(search.trim(), 'i')] } }
-        ];
-      }
-
-      // Filter by category
-      if (category && category !== 'all') {
-        query.categoryId = category;
+      // Full-text search on name, tags and description
+      const textSearch = search && search.trim() ? await buildTextSearch(search) : null;
+      if (textSearch) {
+        Object.assign(query, textSearch.filter);
       }
 
       // Filter by status
@@ -138,19 +239,38 @@ router.get('/', async (req, res) => {
         query.isActive = status === 'active';
       }
 
-      // Sort options
+      // Sidebar facets (category, tags, Unity version, render pipeline, size, date added)
+      // are counted against the search and status filters only
+      const baseQuery = { ...query };
+      const facetConditions = await buildFacetConditions(facetFilters);
+      Object.assign(query, combineFacetConditions(facetConditions));
+
+      // Sort options - search results default to most relevant first
+      const sortField = sortBy || (textSearch ? 'relevance' : 'createdAt');
       const sortOptions = {};
-      sortOptions[sortBy] = sortOrder === 'asc' ? 1 : -1;
+      if (sortField === 'relevance' && query.$text) {
+        sortOptions.score = { $meta: 'textScore' };
+        sortOptions.createdAt = -1;
+      } else if (sortField === 'rating') {
+        // More reviews break ties between equal averages
+        const direction = sortOrder === 'asc' ? 1 : -1;
+        sortOptions['rating.average'] = direction;
+        sortOptions['rating.count'] = direction;
+      } else {
+        sortOptions[sortField === 'relevance' ? 'createdAt' : sortField] = sortOrder === 'asc' ? 1 : -1;
+      }
 
-      const [assets, totalAssets] = await Promise.all([
+      const [assets, totalAssets, facets] = await Promise.all([
         Asset.find(query)
+          .select(query.$text ? { 'contents.files': 0, score: { $meta: 'textScore' } } : '-contents.files')
           .populate('categoryId', 'name slug')
           .populate('uploadedBy', 'name email')
           .sort(sortOptions)
           .skip(skip)
           .limit(limitNum)
           .lean(),
-        Asset.countDocuments(query)
+        Asset.countDocuments(query),
+        getFacetCounts(baseQuery, facetConditions)
       ]);
 
       // Add download counts and transform response
@@ -193,17 +313,21 @@ router.get('/', async (req, res) => {
             ...asset,
             downloadCount,
             category: category || { _id: 'unknown', name: 'Unknown Category', slug: 'unknown' },
-            _count: { downloads: downloadCount }
+            _count: { downloads: downloadCount },
+            ...(textSearch && { highlights: buildSearchHighlights(asset, textSearch.highlightRegex) })
           };
         })
       );
 
       const totalPages = Math.ceil(totalAssets / limitNum);
 
+      // Offer a spelling correction when a search finds nothing
+      const didYouMean = textSearch && totalAssets === 0 ? await suggestSpelling(search) : null;
+
       res.json({
         success: true,
         data: {
-          assets: assetsWithCounts,
+          assets: await addFavoriteFlags(req.user, assetsWithCounts),
           pagination: {
             currentPage: pageNum,
             totalPages,
@@ -211,7 +335,9 @@ router.get('/', async (req, res) => {
             hasNextPage: pageNum < totalPages,
             hasPrevPage: pageNum > 1,
             limit: limitNum
-          }
+          },
+          facets,
+          ...(didYouMean && { didYouMean })
         }
       });
     } else {
@@ -322,9 +448,33 @@ router.get('/', async (req, res) => {
       });
     }
   } catch (error) {
+    handleServiceError(res, error, 'Failed to fetch assets');
+  }
+});
+
+// GET /api/assets/suggest?q= - Search box autocomplete (names, tags, categories)
+router.get('/suggest', async (req, res) => {
+  try {
+    const q = typeof req.query.q === 'string' ? req.query.q : '';
+
+    if (!checkDatabase(res)) return;
+
+    // Runs on every keystroke, so spelling corrections are left to the
+    // submitted search (GET /api/assets returns didYouMean when nothing matches)
+    const suggestions = await suggestSearch(q, { limit: req.query.limit });
+
+    res.json({
+      success: true,
+      data: {
+        query: q,
+        ...suggestions
+      }
+    });
+  } catch (error) {
+    console.error('Search suggestions error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch assets',
+      message: 'Failed to fetch search suggestions',
       error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
@@ -455,32 +605,51 @@ router.get('/stats', async (req, res) => {
 // POST /api/assets - Create asset with file upload (must come before parameterized routes)
 router.post('/', upload.fields([
   { name: 'thumbnail', maxCount: 1 },
+  { name: 'images', maxCount: MAX_PREVIEW_IMAGES - 1 },
   { name: 'assetFile', maxCount: 1 }
 ]), async (req, res) => {
   console.log('🔥 POST /api/assets route HIT!');
+  // Until the asset is published, every file multer stored for this request
+  // and every preview image derivative generated from it is deleted again
+  let published = false;
+  let images = [];
   try {
-    const { name, description, categoryId, tags } = req.body;
+    const { name, description, categoryId, tags, version = '1.0.0', releaseNotes, minUnityVersion, uploadId } = req.body;
     const files = req.files;
 
     console.log('Asset upload request received:', { name, description, categoryId, tags });
     console.log('Files received:', files);
 
     // Basic validation
-    if (!name || !description || !categoryId) {
+    const fieldError = validateNewAssetFields({ name, description, categoryId, version, minUnityVersion });
+    if (fieldError) {
       return res.status(400).json({
         success: false,
-        message: 'Name, description, and category are required'
+        message: fieldError
       });
     }
 
+    // Unity versions, render pipelines, platforms and dependencies
+    const compatibility = parseCompatibility(req.body);
+
     // Check if files are uploaded
-    if (!files?.thumbnail?.[0] || !files?.assetFile?.[0]) {
+    if (!files?.thumbnail?.[0] || (!files?.assetFile?.[0] && !uploadId)) {
       return res.status(400).json({
         success: false,
         message: 'Both thumbnail and asset file are required'
       });
     }
 
+    const packageSourceError = checkPackageSource(files.assetFile?.[0], uploadId);
+    if (packageSourceError) {
+      return res.status(400).json({
+        success: false,
+        message: packageSourceError
+      });
+    }
+
+    if (uploadId && !checkDatabase(res)) return;
+
     // Find category
     let category = null;
     if (mongoose.connection.readyState === 1) {
@@ -497,31 +666,49 @@ router.post('/', upload.fields([
     }
 
     // Process tags
-    let processedTags = [];
-    if (tags) {
-      if (Array.isArray(tags)) {
-        processedTags = tags.filter(tag => tag && tag.trim()).map(tag => tag.trim());
-      } else if (typeof tags === 'string') {
-        processedTags = tags.split(',').filter(tag => tag.trim()).map(tag => tag.trim());
-      }
-    }
+    const processedTags = parseTags(tags);
 
     // Get uploaded file paths
     const thumbnailFile = files.thumbnail[0];
-    const assetFileUpload = files.assetFile[0];
-
-    const thumbnailUrl = getFileUrl(thumbnailFile);
+    const assetFileUpload = uploadId
+      ? await getCompletedUploadFile(uploadId, req.user._id)
+      : files.assetFile[0];
+
+    // The thumbnail is the cover; extra images follow it in upload order
+    images = await createPreviewImages([thumbnailFile, ...(files.images || [])]);
+    const thumbnailUrl = images[0].derivatives.card.url;
+    const thumbnailChecksum = await getFileChecksum(thumbnailFile);
     const assetFileUrl = getFileUrl(assetFileUpload);
+    const assetFileKey = getFileKey(assetFileUpload);
 
     console.log('File paths:', { thumbnailUrl, assetFileUrl });
 
+    // Initial package release
+    const initialVersion = {
+      version: version.trim(),
+      fileUrl: assetFileUrl,
+      fileKey: assetFileKey,
+      fileSize: assetFileUpload.size ?? null,
+      checksum: await getFileChecksum(assetFileUpload),
+      shasum: isTarball(assetFileUpload) ? await getFileChecksum(assetFileUpload, 'sha1') : null,
+      releaseNotes: releaseNotes || 'Initial release',
+      minUnityVersion: minUnityVersion ? minUnityVersion.trim() : null,
+      uploadedAt: new Date()
+    };
+
+    // Parse the package manifest so buyers can see what they get
+    const contents = await extractPackageContents(assetFileUpload, openUploadedFile);
+
     // Create new asset object
     const newAsset = {
       _id: new Date().getTime().toString(), // Simple ID generation
       name: name.trim(),
       description: description.trim(),
       thumbnail: thumbnailUrl,
+      images,
       fileUrl: assetFileUrl,
+      versions: [initialVersion],
+      latestVersion: initialVersion.version,
       downloadCount: 0,
       tags: processedTags,
       categoryId: categoryId,
@@ -539,22 +726,50 @@ router.post('/', upload.fields([
         description: newAsset.description,
         categoryId: categoryId,
         tags: processedTags,
+        ...compatibility,
         thumbnail: thumbnailUrl,
+        thumbnailChecksum,
+        images,
         fileUrl: assetFileUrl,
+        fileKey: assetFileKey,
+        versions: [initialVersion],
+        latestVersion: initialVersion.version,
+        contents,
         uploadedBy: { name: 'Admin User', _id: 'admin-user-id' },
         isActive: true
       });
 
-      await asset.save();
+      // A completed upload can only be published once - it is released again if saving fails
+      if (uploadId && !(await markUploadAttached(uploadId, asset._id))) {
+        return res.status(409).json({
+          success: false,
+          message: 'This upload has already been attached to an asset'
+        });
+      }
+
+      let warnings;
+      try {
+        // Duplicates are allowed, but the uploader is warned
+        warnings = await findDuplicateAssets({ packageChecksum: initialVersion.checksum, thumbnailChecksum });
+        asset.versions[0].duplicateWarnings = warnings.filter(warning => warning.code === 'DUPLICATE_PACKAGE');
+        await asset.save();
+      } catch (error) {
+        if (uploadId) await releaseUploadAttachment(uploadId, asset._id);
+        throw error;
+      }
+      published = true;
+      queueAssetScan(asset._id, initialVersion.version);
 
       res.status(201).json({
         success: true,
-        message: 'Asset uploaded successfully',
+        message: 'Asset uploaded successfully - it can be downloaded once the malware scan passes',
+        ...(warnings.length > 0 && { warnings }),
         data: { asset: asset.toObject() }
       });
     } else {
       // Demo mode - add to sample assets array
       sampleAssets.push(newAsset);
+      published = true;
 
       res.status(201).json({
         success: true,
@@ -563,12 +778,155 @@ router.post('/', upload.fields([
       });
     }
   } catch (error) {
-    console.error('Asset upload error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Asset upload failed',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    handleServiceError(res, error, 'Asset upload failed');
+  } finally {
+    if (!published) {
+      await Promise.all(images.map(deletePreviewImageFiles));
+      await deleteUploadedFiles(req.files);
+    }
+  }
+});
+
+// POST /api/assets/direct-uploads - Get presigned S3 URLs to upload a thumbnail and package from the browser
+router.post('/direct-uploads', async (req, res) => {
+  try {
+    if (!checkDatabase(res)) return;
+
+    const { thumbnail, package: pkg } = req.body;
+    const { directUpload, ...uploads } = await createDirectUpload(req.user._id, { thumbnail, package: pkg });
+
+    res.status(201).json({
+      success: true,
+      message: 'Upload the files, then call POST /api/assets/direct-uploads/:uploadId/complete',
+      data: {
+        uploadId: directUpload._id,
+        expiresAt: directUpload.expiresAt,
+        ...uploads
+      }
     });
+  } catch (error) {
+    handleServiceError(res, error, 'Failed to start direct upload');
+  }
+});
+
+// POST /api/assets/direct-uploads/:uploadId/complete - Verify the uploaded objects and create the asset
+router.post('/direct-uploads/:uploadId/complete', async (req, res) => {
+  try {
+    const { uploadId } = req.params;
+    const { parts, name, description, categoryId, tags, version = '1.0.0', releaseNotes, minUnityVersion } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(uploadId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid upload ID format'
+      });
+    }
+
+    const fieldError = validateNewAssetFields({ name, description, categoryId, version, minUnityVersion });
+    if (fieldError) {
+      return res.status(400).json({
+        success: false,
+        message: fieldError
+      });
+    }
+
+    // Unity versions, render pipelines, platforms and dependencies
+    const compatibility = parseCompatibility(req.body);
+
+    if (!checkDatabase(res)) return;
+
+    const category = mongoose.Types.ObjectId.isValid(categoryId) ? await Category.findById(categoryId) : null;
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    const directUpload = await getDirectUpload(uploadId, req.user._id);
+    const asset = new Asset({
+      name: name.trim(),
+      description: description.trim(),
+      categoryId,
+      tags: parseTags(tags),
+      ...compatibility,
+      uploadedBy: { name: 'Admin User', _id: 'admin-user-id' },
+      isActive: true
+    });
+
+    const files = await finalizeDirectUpload(directUpload, parts, asset._id);
+
+    // The bytes never reach this server, so the S3 ETag stands in for the checksum
+    const initialVersion = {
+      version: version.trim(),
+      fileUrl: files.package.url,
+      fileKey: files.package.key,
+      fileSize: files.package.size,
+      etag: files.package.etag,
+      releaseNotes: releaseNotes || 'Initial release',
+      minUnityVersion: minUnityVersion ? minUnityVersion.trim() : null,
+      uploadedAt: new Date()
+    };
+
+    // If the asset cannot be created from here on, remove what was generated
+    // and hand the upload back so it can be finalized again or cancelled
+    let warnings;
+    try {
+      asset.images = [await createPreviewImage({ ...files.thumbnail, checksums: { sha256: files.thumbnail.checksum } })];
+      syncCoverImage(asset);
+      asset.fileUrl = files.package.url;
+      asset.fileKey = files.package.key;
+      asset.versions = [initialVersion];
+      asset.latestVersion = initialVersion.version;
+
+      // The package checksum is not known until the scan has read it - duplicate
+      // packages are then recorded on the version's duplicateWarnings
+      warnings = await findDuplicateAssets({ thumbnailChecksum: asset.thumbnailChecksum });
+
+      await asset.save();
+    } catch (error) {
+      await Promise.all(asset.images.map(image => deletePreviewImageFiles({ derivatives: image.derivatives })));
+      await releaseDirectUpload(directUpload, asset._id);
+      throw error;
+    }
+    queueAssetScan(asset._id, initialVersion.version);
+
+    console.log(`☁️ Direct upload finalized: ${asset.name} (${files.package.size} bytes)`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Asset uploaded successfully - it can be downloaded once the malware scan passes',
+      ...(warnings.length > 0 && { warnings }),
+      data: { asset: asset.toObject() }
+    });
+  } catch (error) {
+    handleServiceError(res, error, 'Failed to finalize direct upload');
+  }
+});
+
+// DELETE /api/assets/direct-uploads/:uploadId - Cancel a direct upload and delete uploaded objects
+router.delete('/direct-uploads/:uploadId', async (req, res) => {
+  try {
+    const { uploadId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(uploadId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid upload ID format'
+      });
+    }
+
+    if (!checkDatabase(res)) return;
+
+    const directUpload = await getDirectUpload(uploadId, req.user._id);
+    await abortDirectUpload(directUpload);
+
+    res.json({
+      success: true,
+      message: 'Direct upload cancelled'
+    });
+  } catch (error) {
+    handleServiceError(res, error, 'Failed to cancel direct upload');
   }
 });
 
@@ -585,8 +943,8 @@ router.get('/:id', async (req, res) => {
       });
     }
 
-    // Get asset from MongoDB database
-    const asset = await Asset.findById(assetId);
+    // Get asset from MongoDB database (full file list is served by /:id/contents)
+    const asset = await Asset.findById(assetId).select('-contents.files');
 
     if (!asset) {
       return res.status(404).json({
@@ -595,9 +953,20 @@ router.get('/:id', async (req, res) => {
       });
     }
 
+    const [{ isFavorited }] = await addFavoriteFlags(req.user, [{ _id: asset._id }]);
+
     res.json({
       success: true,
-      data: { asset }
+      data: {
+        asset,
+        isFavorited,
+        // sha256 digests the editor verifies downloaded files against (null until known)
+        integrity: {
+          algorithm: 'sha256',
+          thumbnail: asset.thumbnailChecksum,
+          versions: Object.fromEntries(asset.versions.map(v => [v.version, v.checksum]))
+        }
+      }
     });
   } catch (error) {
     console.error('Get asset by ID error:', error);
@@ -608,6 +977,441 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// POST /api/assets/:id/versions - Publish a new package version
+router.post('/:id/versions', upload.single('assetFile'), async (req, res) => {
+  // Until the version is published, the package multer stored for this request is deleted again
+  let published = false;
+  try {
+    const assetId = req.params.id;
+    const { version, releaseNotes, minUnityVersion, uploadId } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(assetId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid asset ID format'
+      });
+    }
+
+    if (!req.file && !uploadId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Asset file is required'
+      });
+    }
+
+    const packageSourceError = checkPackageSource(req.file, uploadId);
+    if (packageSourceError) {
+      return res.status(400).json({
+        success: false,
+        message: packageSourceError
+      });
+    }
+
+    if (!version || !isValidSemver(version)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Version must be a semantic version like 1.2.0'
+      });
+    }
+
+    if (minUnityVersion && !isValidUnityVersion(minUnityVersion)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Minimum Unity version must look like 2021.3 or 2022.3.10f1'
+      });
+    }
+
+    const asset = await Asset.findById(assetId);
+    if (!asset) {
+      return res.status(404).json({
+        success: false,
+        message: 'Asset not found'
+      });
+    }
+
+    const newVersionNumber = version.trim();
+
+    // Versions must strictly increase so "latest" is always the last entry
+    if (asset.latestVersion && compareSemver(newVersionNumber, asset.latestVersion) <= 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Version ${newVersionNumber} must be greater than the latest version ${asset.latestVersion}`
+      });
+    }
+
+    const packageFile = uploadId
+      ? await getCompletedUploadFile(uploadId, req.user._id)
+      : req.file;
+
+    const fileUrl = getFileUrl(packageFile);
+    const fileKey = getFileKey(packageFile);
+
+    const checksum = await getFileChecksum(packageFile);
+
+    asset.versions.push({
+      version: newVersionNumber,
+      fileUrl,
+      fileKey,
+      fileSize: packageFile.size ?? null,
+      checksum,
+      shasum: isTarball(packageFile) ? await getFileChecksum(packageFile, 'sha1') : null,
+      releaseNotes: releaseNotes || '',
+      minUnityVersion: minUnityVersion ? minUnityVersion.trim() : null,
+      uploadedAt: new Date()
+    });
+    asset.latestVersion = newVersionNumber;
+    asset.fileUrl = fileUrl;
+    asset.fileKey = fileKey;
+    asset.scanStatus = SCAN_STATUS.PENDING_SCAN;
+    asset.contents = await extractPackageContents(packageFile, openUploadedFile);
+    asset.updatedAt = new Date();
+
+    // A completed upload can only be published once - it is released again if saving fails
+    if (uploadId && !(await markUploadAttached(uploadId, asset._id))) {
+      return res.status(409).json({
+        success: false,
+        message: 'This upload has already been attached to an asset'
+      });
+    }
+
+    let warnings;
+    try {
+      warnings = await findDuplicateAssets({ packageChecksum: checksum }, asset._id);
+      asset.versions[asset.versions.length - 1].duplicateWarnings = warnings;
+      await asset.save();
+    } catch (error) {
+      if (uploadId) await releaseUploadAttachment(uploadId, asset._id);
+      throw error;
+    }
+    published = true;
+    queueAssetScan(asset._id, newVersionNumber);
+
+    res.status(201).json({
+      success: true,
+      message: `Version ${newVersionNumber} published successfully - it can be downloaded once the malware scan passes`,
+      ...(warnings.length > 0 && { warnings }),
+      data: {
+        asset,
+        version: asset.versions[asset.versions.length - 1]
+      }
+    });
+  } catch (error) {
+    handleServiceError(res, error, 'Failed to publish asset version');
+  } finally {
+    if (!published) {
+      await deleteUploadedFiles(req.file);
+    }
+  }
+});
+
+// GET /api/assets/:id/contents - File manifest of the latest package
+router.get('/:id/contents', async (req, res) => {
+  try {
+    const assetId = req.params.id;
+
+    if (!mongoose.Types.ObjectId.isValid(assetId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid asset ID format'
+      });
+    }
+
+    const asset = await Asset.findById(assetId).select('name latestVersion contents').lean();
+    if (!asset) {
+      return res.status(404).json({
+        success: false,
+        message: 'Asset not found'
+      });
+    }
+
+    if (!asset.contents) {
+      return res.status(404).json({
+        success: false,
+        message: 'No file manifest available for this asset'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        assetId: asset._id,
+        name: asset.name,
+        version: asset.latestVersion,
+        contents: asset.contents
+      }
+    });
+  } catch (error) {
+    console.error('Get asset contents error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get asset contents'
+    });
+  }
+});
+
+// GET /api/assets/:id/changelog - Release history, newest first
+router.get('/:id/changelog', async (req, res) => {
+  try {
+    const assetId = req.params.id;
+
+    if (!mongoose.Types.ObjectId.isValid(assetId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid asset ID format'
+      });
+    }
+
+    const asset = await Asset.findById(assetId).select('name latestVersion versions').lean();
+    if (!asset) {
+      return res.status(404).json({
+        success: false,
+        message: 'Asset not found'
+      });
+    }
+
+    const changelog = (asset.versions || [])
+      .map(({ version, fileSize, checksum, releaseNotes, minUnityVersion, uploadedAt }) => ({
+        version,
+        fileSize,
+        checksum,
+        releaseNotes,
+        minUnityVersion,
+        uploadedAt
+      }))
+      .sort((a, b) => compareSemver(b.version, a.version));
+
+    res.json({
+      success: true,
+      data: {
+        assetId: asset._id,
+        name: asset.name,
+        latestVersion: asset.latestVersion,
+        changelog
+      }
+    });
+  } catch (error) {
+    console.error('Get asset changelog error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get asset changelog'
+    });
+  }
+});
+
+// ==================== PREVIEW IMAGE ROUTES ====================
+
+// POST /api/assets/:id/images - Add preview images to the end of the gallery
+router.post('/:id/images', upload.array('images', MAX_PREVIEW_IMAGES), async (req, res) => {
+  const files = req.files || [];
+  // Stored uploads that never make it into the gallery are deleted again
+  const discardUploads = () => Promise.all(files.map(file => deletePreviewImageFiles({ originalKey: file.key })));
+
+  try {
+    if (files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one image is required'
+      });
+    }
+
+    const asset = await loadAsset(req, res);
+    if (!asset) {
+      await discardUploads();
+      return;
+    }
+
+    if (asset.images.length + files.length > MAX_PREVIEW_IMAGES) {
+      await discardUploads();
+      return res.status(400).json({
+        success: false,
+        message: `An asset can have at most ${MAX_PREVIEW_IMAGES} preview images (it has ${asset.images.length})`
+      });
+    }
+
+    const images = await createPreviewImages(files);
+    asset.images.push(...images);
+    syncCoverImage(asset);
+    asset.updatedAt = new Date();
+    try {
+      await asset.save();
+    } catch (error) {
+      await Promise.all(images.map(deletePreviewImageFiles));
+      throw error;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `${files.length} preview image${files.length === 1 ? '' : 's'} added`,
+      data: { images: asset.images }
+    });
+  } catch (error) {
+    handleServiceError(res, error, 'Failed to add preview images');
+  }
+});
+
+// PUT /api/assets/:id/images/order - Reorder the gallery (the first image becomes the cover)
+router.put('/:id/images/order', async (req, res) => {
+  try {
+    const { imageIds } = req.body;
+
+    const asset = await loadAsset(req, res);
+    if (!asset) return;
+
+    const currentIds = asset.images.map(image => image._id.toString());
+    const isPermutation = Array.isArray(imageIds)
+      && imageIds.length === currentIds.length
+      && new Set(imageIds).size === currentIds.length
+      && imageIds.every(id => currentIds.includes(String(id)));
+
+    if (!isPermutation) {
+      return res.status(400).json({
+        success: false,
+        message: 'imageIds must list every preview image of the asset exactly once'
+      });
+    }
+
+    asset.images = imageIds.map(id => asset.images.id(id));
+    syncCoverImage(asset);
+    asset.updatedAt = new Date();
+    await asset.save();
+
+    res.json({
+      success: true,
+      message: 'Preview images reordered',
+      data: { images: asset.images }
+    });
+  } catch (error) {
+    console.error('Reorder preview images error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reorder preview images',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// DELETE /api/assets/:id/images/:imageId - Remove a preview image and its derivatives
+router.delete('/:id/images/:imageId', async (req, res) => {
+  try {
+    const asset = await loadAsset(req, res);
+    if (!asset) return;
+
+    const image = mongoose.Types.ObjectId.isValid(req.params.imageId) ? asset.images.id(req.params.imageId) : null;
+    if (!image) {
+      return res.status(404).json({
+        success: false,
+        message: 'Preview image not found'
+      });
+    }
+
+    if (asset.images.length === 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'An asset needs at least one preview image - add another before removing this one'
+      });
+    }
+
+    asset.images.pull(image._id);
+    syncCoverImage(asset);
+    asset.updatedAt = new Date();
+    await asset.save();
+    await deletePreviewImageFiles(image);
+
+    res.json({
+      success: true,
+      message: 'Preview image removed',
+      data: { images: asset.images }
+    });
+  } catch (error) {
+    console.error('Remove preview image error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove preview image',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// GET /api/assets/:id/reviews - Visible reviews and the rating summary (?sort=newest|oldest|highest|lowest&rating=)
+router.get('/:id/reviews', async (req, res) => {
+  try {
+    const asset = await loadAsset(req, res);
+    if (!asset) return;
+
+    const { page, limit, sort, rating } = req.query;
+    const data = await listAssetReviews(asset, { page, limit, sort, rating });
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    handleServiceError(res, error, 'Failed to fetch reviews');
+  }
+});
+
+// GET /api/assets/:id/reviews/mine - The current user's review and whether they can write one
+router.get('/:id/reviews/mine', async (req, res) => {
+  try {
+    const asset = await loadAsset(req, res);
+    if (!asset) return;
+
+    const { review, canReview } = await getOwnReview(req.user._id, asset._id);
+
+    res.json({
+      success: true,
+      data: { review, canReview }
+    });
+  } catch (error) {
+    handleServiceError(res, error, 'Failed to fetch your review');
+  }
+});
+
+// PUT /api/assets/:id/reviews/mine - Rate and review a downloaded asset, or edit that review
+router.put('/:id/reviews/mine', async (req, res) => {
+  try {
+    const asset = await loadAsset(req, res);
+    if (!asset) return;
+
+    const { rating, title, body } = req.body || {};
+    const { review, created } = await saveReview(req.user, asset, { rating, title, body });
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Review published' : 'Review updated',
+      data: { review }
+    });
+  } catch (error) {
+    handleServiceError(res, error, 'Failed to save review');
+  }
+});
+
+// GET /api/assets/:id/recommendations - Related assets and what users also downloaded (?limit=)
+router.get('/:id/recommendations', async (req, res) => {
+  try {
+    const asset = await loadAsset(req, res);
+    if (!asset) return;
+
+    const { related, alsoDownloaded, fallback } = await getRecommendations(asset, req.user, { limit: req.query.limit });
+
+    res.json({
+      success: true,
+      data: {
+        related: await addFavoriteFlags(req.user, related),
+        alsoDownloaded: await addFavoriteFlags(req.user, alsoDownloaded),
+        fallback
+      }
+    });
+  } catch (error) {
+    console.error('Get recommendations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get recommendations',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 // PATCH /api/assets/:id - Update asset endpoint
 router.patch('/:id', async (req, res) => {
   try {
@@ -630,6 +1434,33 @@ router.patch('/:id', async (req, res) => {
     if (updateData.isActive !== undefined) asset.isActive = updateData.isActive;
     if (updateData.tags !== undefined) asset.tags = updateData.tags;
 
+    // Unity versions, render pipelines, platforms and dependencies
+    Object.assign(asset, parseCompatibility(updateData));
+
+    // Publish on (or withdraw from) the UPM registry
+    if (updateData.upmPackageName !== undefined) {
+      const packageName = updateData.upmPackageName ? String(updateData.upmPackageName).trim() : null;
+
+      if (packageName && !isValidUpmPackageName(packageName)) {
+        return res.status(400).json({
+          success: false,
+          message: 'UPM package name must be lowercase reverse-domain notation, e.g. com.studio.my-package'
+        });
+      }
+
+      if (packageName) {
+        const existing = await Asset.findOne({ upmPackageName: packageName, _id: { $ne: asset._id } });
+        if (existing) {
+          return res.status(409).json({
+            success: false,
+            message: 'UPM package name is already used by another asset'
+          });
+        }
+      }
+
+      asset.upmPackageName = packageName;
+    }
+
     asset.updatedAt = new Date();
 
     await asset.save();
@@ -640,10 +1471,61 @@ router.patch('/:id', async (req, res) => {
       data: { asset }
     });
   } catch (error) {
-    console.error('Update asset error:', error);
+    handleServiceError(res, error, 'Failed to update asset');
+  }
+});
+
+// POST /api/assets/:id/scan - Re-run the malware scan (one version, or every version not yet clean)
+router.post('/:id/scan', async (req, res) => {
+  try {
+    const assetId = req.params.id;
+    const { version } = req.body || {};
+
+    if (!mongoose.Types.ObjectId.isValid(assetId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid asset ID format'
+      });
+    }
+
+    if (!checkDatabase(res)) return;
+
+    const asset = await Asset.findById(assetId).select('name versions scanStatus');
+    if (!asset) {
+      return res.status(404).json({
+        success: false,
+        message: 'Asset not found'
+      });
+    }
+
+    let versions;
+    if (version) {
+      if (!asset.versions.some(v => v.version === version)) {
+        return res.status(404).json({
+          success: false,
+          message: `Version ${version} not found for this asset`
+        });
+      }
+      versions = [version];
+    } else if (asset.versions.length > 0) {
+      versions = asset.versions.filter(v => v.scanStatus !== SCAN_STATUS.CLEAN).map(v => v.version);
+    } else {
+      versions = asset.scanStatus === SCAN_STATUS.CLEAN ? [] : [null]; // Legacy asset without versions
+    }
+
+    versions.forEach(v => queueAssetScan(asset._id, v));
+
+    res.status(202).json({
+      success: true,
+      message: versions.length > 0 ? 'Malware scan queued' : 'Every version is already clean',
+      data: { versions: versions.filter(Boolean) }
+    });
+  } catch (error) {
+    console.error('Queue asset scan error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to update asset'
+      message: 'Failed to queue malware scan',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
 });
@@ -713,8 +1595,12 @@ router.delete('/:id', async (req, res) => {
         });
       }
 
-      // Also delete related downloads
+      // Also delete related downloads, reviews, favorites, collection entries and the stored files
       await Download.deleteMany({ assetId: assetId });
+      await Review.deleteMany({ assetId: asset._id });
+      await deleteAssetFavorites(asset._id);
+      await removeAssetFromAllCollections(asset._id);
+      await deleteAssetFiles(asset);
 
       res.json({
         success: true,
@@ -4,6 +4,9 @@ const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const nodemailer = require('nodemailer');
 const { User } = require('../models/index');
+const { createSession, rotateSession, revokeSessionByToken, revokeAllUserSessions } = require('../services/sessionService');
+const { createDeviceCode, findPendingDeviceCode, resolveDeviceCode, pollDeviceCode } = require('../services/deviceCodeService');
+const { handleServiceError } = require('../middleware/routeHelpers');
 
 const router = express.Router();
 
@@ -12,7 +15,7 @@ const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
 
 // Email transporter configuration
 const createTransporter = () => {
-  return nodemailer.createTransporter({
+  return nodemailer.createTransport({
     host: process.env.EMAIL_HOST || 'smtp.ethereal.email',
     port: parseInt(process.env.EMAIL_PORT || '587'),
     secure: false,
@@ -82,6 +85,60 @@ const logOTPToConsole = (email, otp) => {
   console.log('============================================\n');
 };
 
+// Base URL of the web app for links sent to users. CORS_ORIGIN is only a
+// fallback: it may be a list of origins or "*", which makes a broken link.
+const getFrontendUrl = () => {
+  if (process.env.FRONTEND_URL) return process.env.FRONTEND_URL;
+  const origin = process.env.CORS_ORIGIN;
+  return origin && origin !== '*' && !origin.includes(',') ? origin : 'http://localhost:3000';
+};
+
+// Send password reset email
+const sendPasswordResetEmail = async (email, resetToken) => {
+  const resetUrl = `${getFrontendUrl()}/reset-password?token=${resetToken}`;
+
+  try {
+    const transporter = createTransporter();
+
+    const html = `
+      <div style="max-width: 600px; margin: 0 auto; padding: 20px; font-family: Arial, sans-serif;">
+        <h2 style="color: #4F46E5;">Reset Your Password</h2>
+        <p>We received a request to reset the password for your Unity Assets Marketplace account.</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${resetUrl}" style="background-color: #4F46E5; color: #FFFFFF; padding: 14px 28px; border-radius: 8px; text-decoration: none; font-weight: bold;">
+            Reset Password
+          </a>
+        </div>
+        <p>Or paste this link into your browser:</p>
+        <p style="word-break: break-all; color: #4F46E5;">${resetUrl}</p>
+        <p style="margin-top: 30px; color: #6B7280; font-size: 14px;">
+          This link will expire in 30 minutes and can only be used once. If you didn't request a reset, please ignore this email.
+        </p>
+      </div>
+    `;
+
+    const info = await transporter.sendMail({
+      from: process.env.EMAIL_FROM || 'Unity Assets <noreply@unityassets.com>',
+      to: email,
+      subject: 'Password Reset - Unity Assets',
+      html
+    });
+
+    console.log(`📧 Password reset email sent to ${email} (Message ID: ${info.messageId})`);
+    if (process.env.NODE_ENV === 'development') {
+      console.log(`🔗 Preview URL: ${nodemailer.getTestMessageUrl(info)}`);
+    }
+
+    return true;
+  } catch (error) {
+    console.error('❌ Password reset email failed:', error);
+    if (process.env.NODE_ENV === 'development') {
+      console.log(`🔗 Password reset URL (console fallback): ${resetUrl}`);
+    }
+    return false;
+  }
+};
+
 // ==================== AUTH ROUTES ====================
 
 // POST /signup - User registration
@@ -110,17 +167,13 @@ router.post('/signup', async (req, res) => {
       const user = await User.create({
         name,
         email,
-        password, // In production: hash with bcrypt
+        password, // Hashed by the User pre-save hook
         role: 'USER',
         isEmailVerified: true // Auto-verify for now
       });
 
-      // Generate JWT token
-      const token = jwt.sign(
-        { userId: user._id, email: user.email, role: user.role },
-        JWT_SECRET,
-        { expiresIn: '7d' }
-      );
+      // Start a session and issue access + refresh tokens
+      const tokens = await createSession(user._id, req);
 
       const userObj = user.toObject();
       delete userObj.password;
@@ -132,7 +185,7 @@ router.post('/signup', async (req, res) => {
         message: 'Registration successful! You can now sign in.',
         data: {
           user: userObj,
-          access_token: token
+          ...tokens
         }
       });
     } else {
@@ -179,13 +232,23 @@ router.post('/login', async (req, res) => {
 
     if (mongoose.connection.readyState === 1) {
       const user = await User.findOne({ email });
-      if (!user || user.password !== password) {
+      if (!user || !(await user.comparePassword(password))) {
         return res.status(401).json({
           success: false,
           message: 'Invalid credentials'
         });
       }
 
+      // Deactivated accounts get no new session
+      if (!user.isActive) {
+        return res.status(401).json({
+          success: false,
+          message: 'User account is deactivated'
+        });
+      }
+
+      const tokens = await createSession(user._id, req);
+
       const userObj = user.toObject();
       delete userObj.password;
 
@@ -194,7 +257,7 @@ router.post('/login', async (req, res) => {
         message: 'Login successful',
         data: {
           user: userObj,
-          access_token: jwt.sign({ userId: user._id.toString() }, JWT_SECRET, { expiresIn: '24h' })
+          ...tokens
         }
       });
     } else {
@@ -226,6 +289,69 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// POST /refresh - Exchange a refresh token for a new token pair
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+
+    if (!refresh_token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({
+        success: false,
+        message: 'Database not available'
+      });
+    }
+
+    // Rejects deactivated users before anything is rotated
+    const { userId, ...tokens } = await rotateSession(refresh_token, req);
+
+    res.json({
+      success: true,
+      message: 'Token refreshed',
+      data: tokens
+    });
+  } catch (error) {
+    handleServiceError(res, error, 'Token refresh failed');
+  }
+});
+
+// POST /logout - Revoke the session a refresh token belongs to
+router.post('/logout', async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+
+    if (!refresh_token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    if (mongoose.connection.readyState === 1) {
+      await revokeSessionByToken(refresh_token);
+    }
+
+    // Always succeed so clients can clear local state
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Logout failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 // POST /verify-otp - Verify email with OTP
 router.post('/verify-email-otp', async (req, res) => {
   try {
@@ -365,4 +491,303 @@ router.post('/resend-verification', async (req, res) => {
   }
 });
 
+// POST /forgot-password - Email a single-use password reset link
+router.post('/forgot-password', async (req, res) => {
+  // Same response whether or not the account exists
+  const genericResponse = {
+    success: true,
+    message: 'If an account exists for that email, a password reset link has been sent.'
+  };
+
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    if (mongoose.connection.readyState !== 1) {
+      return res.json(genericResponse);
+    }
+
+    const user = await User.findOne({ email });
+
+    if (user && user.isActive) {
+      // Generate reset token - only its hash is stored
+      const resetToken = crypto.randomBytes(32).toString('hex');
+      user.resetPasswordToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+      user.resetPasswordExpiry = new Date(Date.now() + 30 * 60 * 1000);
+
+      // Don't await the write or the email - response time must not depend on whether the email exists
+      user.save()
+        .then(() => sendPasswordResetEmail(user.email, resetToken))
+        .catch(error => console.error('Failed to store password reset token:', error));
+    }
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process password reset request',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// POST /reset-password - Set a new password using an emailed reset token
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token and new password are required'
+      });
+    }
+
+    if (typeof password !== 'string' || password.length < 8) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 8 characters'
+      });
+    }
+
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({
+        success: false,
+        message: 'Database not available'
+      });
+    }
+
+    const hashedToken = crypto.createHash('sha256').update(String(token)).digest('hex');
+
+    // Clear the token atomically so it can only be redeemed once
+    const user = await User.findOneAndUpdate(
+      {
+        resetPasswordToken: hashedToken,
+        resetPasswordExpiry: { $gt: new Date() }
+      },
+      { resetPasswordToken: null, resetPasswordExpiry: null },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    user.password = password; // Hashed by the User pre-save hook
+    user.updatedAt = new Date();
+    await user.save();
+
+    // Sign the user out everywhere
+    await revokeAllUserSessions(user._id, 'password_reset');
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully. Please log in with your new password.'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Password reset failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// ==================== DEVICE AUTHORIZATION ROUTES ====================
+// Editor plugin login: POST /device/code -> user approves at verification_uri -> poll POST /device/token
+
+// POST /device/code - Start a device login (called by the editor plugin)
+router.post('/device/code', async (req, res) => {
+  try {
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({
+        success: false,
+        message: 'Database not available'
+      });
+    }
+
+    const { client_name } = req.body || {};
+    const { deviceCode, userCode, expiresAt, interval } = await createDeviceCode({ clientName: client_name });
+
+    const verificationUri = `${getFrontendUrl()}/device`;
+
+    res.json({
+      success: true,
+      message: 'Device code issued',
+      data: {
+        device_code: deviceCode,
+        user_code: userCode,
+        verification_uri: verificationUri,
+        verification_uri_complete: `${verificationUri}?user_code=${encodeURIComponent(userCode)}`,
+        expires_in: Math.round((expiresAt - Date.now()) / 1000),
+        interval
+      }
+    });
+  } catch (error) {
+    console.error('Device code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start device login',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// POST /device/token - Poll for tokens once the user has approved the device
+router.post('/device/token', async (req, res) => {
+  try {
+    const { device_code } = req.body || {};
+
+    if (!device_code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Device code is required'
+      });
+    }
+
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({
+        success: false,
+        message: 'Database not available'
+      });
+    }
+
+    const { userId, clientName } = await pollDeviceCode(device_code);
+
+    const user = await User.findById(userId).select('-password');
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'User account is deactivated'
+      });
+    }
+
+    const tokens = await createSession(user._id, req);
+
+    console.log(`🔑 Device login completed for ${user.email} (${clientName})`);
+
+    res.json({
+      success: true,
+      message: 'Device login successful',
+      data: {
+        user,
+        ...tokens
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+    console.error('Device token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Device login failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// GET /device?user_code= - Show what the logged-in user is about to approve
+router.get('/device', async (req, res) => {
+  try {
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({
+        success: false,
+        message: 'Database not available'
+      });
+    }
+
+    const request = await findPendingDeviceCode(req.query.user_code);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invalid or expired code'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        user_code: request.userCode,
+        client_name: request.clientName,
+        created_at: request.createdAt,
+        expires_at: request.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Device lookup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to look up device code',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Approve or deny a device login as the logged-in user
+const handleDeviceDecision = (approve) => async (req, res) => {
+  try {
+    const { user_code } = req.body || {};
+
+    if (!user_code) {
+      return res.status(400).json({
+        success: false,
+        message: 'User code is required'
+      });
+    }
+
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({
+        success: false,
+        message: 'Database not available'
+      });
+    }
+
+    const request = await resolveDeviceCode(user_code, req.user._id, approve);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invalid or expired code'
+      });
+    }
+
+    console.log(`${approve ? '✅' : '🚫'} Device login ${request.userCode} ${approve ? 'approved' : 'denied'} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: approve
+        ? `${request.clientName} is now signed in. You can return to Unity.`
+        : 'Device login denied'
+    });
+  } catch (error) {
+    console.error('Device decision error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update device login',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// POST /device/approve - Approve a device login
+router.post('/device/approve', handleDeviceDecision(true));
+
+// POST /device/deny - Deny a device login
+router.post('/device/deny', handleDeviceDecision(false));
+
 module.exports = router;
@@ -0,0 +1,163 @@
+const express = require('express');
+const {
+  toCollectionSummary,
+  loadCollectionAssets,
+  createCollection,
+  listCollections,
+  getOwnCollection,
+  updateCollection,
+  deleteCollection,
+  addAssetToCollection,
+  removeAssetFromCollection,
+  getSharedCollection
+} = require('../services/collectionService');
+const { addFavoriteFlags } = require('../services/favoriteService');
+const { handleServiceError, checkDatabase } = require('../middleware/routeHelpers');
+
+const router = express.Router();
+
+// ==================== COLLECTION ROUTES ====================
+// Named asset collections. Owners manage them here; shared collections are
+// readable by anyone with the link (GET /shared/:shareToken).
+
+// Collection with its assets, as shown to the owner
+const toCollectionDetail = async (collection, user) => ({
+  ...toCollectionSummary(collection),
+  assets: await addFavoriteFlags(user, await loadCollectionAssets(collection))
+});
+
+// GET /api/collections - The user's collections
+router.get('/', async (req, res) => {
+  try {
+    if (!checkDatabase(res)) return;
+
+    const collections = await listCollections(req.user._id);
+
+    res.json({
+      success: true,
+      data: { collections }
+    });
+  } catch (error) {
+    handleServiceError(res, error, 'Failed to fetch collections');
+  }
+});
+
+// POST /api/collections - Create a collection { name, description?, visibility? }
+router.post('/', async (req, res) => {
+  try {
+    if (!checkDatabase(res)) return;
+
+    const collection = await createCollection(req.user._id, req.body || {});
+    console.log(`📁 Collection created: ${collection.name} by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Collection created',
+      data: { collection: toCollectionSummary(collection) }
+    });
+  } catch (error) {
+    handleServiceError(res, error, 'Failed to create collection');
+  }
+});
+
+// GET /api/collections/shared/:shareToken - View a shared collection by its link
+router.get('/shared/:shareToken', async (req, res) => {
+  try {
+    if (!checkDatabase(res)) return;
+
+    const collection = await getSharedCollection(req.params.shareToken);
+    collection.assets = await addFavoriteFlags(req.user, collection.assets);
+
+    res.json({
+      success: true,
+      data: { collection }
+    });
+  } catch (error) {
+    handleServiceError(res, error, 'Failed to fetch collection');
+  }
+});
+
+// GET /api/collections/:collectionId - One of the user's collections with its assets
+router.get('/:collectionId', async (req, res) => {
+  try {
+    if (!checkDatabase(res)) return;
+
+    const collection = await getOwnCollection(req.user._id, req.params.collectionId);
+
+    res.json({
+      success: true,
+      data: { collection: await toCollectionDetail(collection, req.user) }
+    });
+  } catch (error) {
+    handleServiceError(res, error, 'Failed to fetch collection');
+  }
+});
+
+// PATCH /api/collections/:collectionId - Rename, describe or share/unshare { name?, description?, visibility? }
+router.patch('/:collectionId', async (req, res) => {
+  try {
+    if (!checkDatabase(res)) return;
+
+    const collection = await updateCollection(req.user._id, req.params.collectionId, req.body || {});
+
+    res.json({
+      success: true,
+      message: 'Collection updated',
+      data: { collection: toCollectionSummary(collection) }
+    });
+  } catch (error) {
+    handleServiceError(res, error, 'Failed to update collection');
+  }
+});
+
+// DELETE /api/collections/:collectionId - Delete a collection (its assets are untouched)
+router.delete('/:collectionId', async (req, res) => {
+  try {
+    if (!checkDatabase(res)) return;
+
+    await deleteCollection(req.user._id, req.params.collectionId);
+
+    res.json({
+      success: true,
+      message: 'Collection deleted'
+    });
+  } catch (error) {
+    handleServiceError(res, error, 'Failed to delete collection');
+  }
+});
+
+// PUT /api/collections/:collectionId/assets/:assetId - Add an asset to the end of a collection
+router.put('/:collectionId/assets/:assetId', async (req, res) => {
+  try {
+    if (!checkDatabase(res)) return;
+
+    const { collection, added } = await addAssetToCollection(req.user._id, req.params.collectionId, req.params.assetId);
+
+    res.status(added ? 201 : 200).json({
+      success: true,
+      message: added ? 'Asset added to collection' : 'Asset already in collection',
+      data: { collection: toCollectionSummary(collection) }
+    });
+  } catch (error) {
+    handleServiceError(res, error, 'Failed to add asset to collection');
+  }
+});
+
+// DELETE /api/collections/:collectionId/assets/:assetId - Remove an asset from a collection
+router.delete('/:collectionId/assets/:assetId', async (req, res) => {
+  try {
+    if (!checkDatabase(res)) return;
+
+    const { collection, removed } = await removeAssetFromCollection(req.user._id, req.params.collectionId, req.params.assetId);
+
+    res.json({
+      success: true,
+      message: removed ? 'Asset removed from collection' : 'Asset not in collection',
+      data: { collection: toCollectionSummary(collection) }
+    });
+  } catch (error) {
+    handleServiceError(res, error, 'Failed to remove asset from collection');
+  }
+});
+
+module.exports = router;
@@ -1,47 +1,31 @@
 const express = require('express');
 const mongoose = require('mongoose');
-const { Asset, User, Download, UserSubscription, SubscriptionPackage } = require('../models/index');
+const { Asset, User } = require('../models/index');
+const {
+  getTodayWindow,
+  getActiveSubscription,
+  getTodayDownloadCount,
+  checkDownloadQuota,
+  recordDownload
+} = require('../services/downloadService');
+const { buildDownloadFileName, createDownloadUrl } = require('../services/downloadUrlService');
+const { getStorage, verifySignedDownload } = require('../services/storage');
+const { SCAN_STATUS } = require('../services/scanService');
 
 const router = express.Router();
 
 // ==================== DOWNLOAD ROUTES ====================
 
-// Helper function to extract user ID from JWT token
-function extractUserIdFromToken(authHeader) {
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return null;
-  }
-
-  try {
-    const token = authHeader.split(' ')[1];
-    // For demo purposes, we'll decode the token payload without verification
-    // In production, you should verify the JWT signature
-    const base64Payload = token.split('.')[1];
-    const payload = JSON.parse(Buffer.from(base64Payload, 'base64').toString());
-
-    // DEBUG: Log the entire payload to see what fields are available
-    console.log('🔍 JWT Payload:', JSON.stringify(payload, null, 2));
-    console.log('🔍 Extracted userId:', payload.userId || payload.id || payload.sub);
-
-    return payload.userId || payload.id || payload.sub;
-  } catch (error) {
-    console.error('Error decoding JWT token:', error);
-    return null;
-  }
-}
+// Every route here except GET /file is authenticated by enforceRoutePermissions,
+// which verifies the JWT signature and loads the active user onto req.user.
+// GET /file is authorized by the HMAC signature of the URL instead.
 
 // POST /api/downloads/:assetId - Download asset
 router.post('/:assetId', async (req, res) => {
   try {
     const assetId = req.params.assetId;
-    const userId = req.headers['user-id'] || extractUserIdFromToken(req.headers['authorization']);
-
-    if (!userId || userId === 'anonymous' || userId === 'public') {
-      return res.status(401).json({
-        success: false,
-        message: 'Authentication required'
-      });
-    }
+    const user = req.user;
+    const userId = user._id.toString();
 
     if (mongoose.connection.readyState !== 1) {
       return res.status(503).json({
@@ -59,80 +43,74 @@ router.post('/:assetId', async (req, res) => {
       });
     }
 
-    // Get user and check permissions
-    const user = await User.findById(userId).select('-password');
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
-    }
-
-    // Check if user is admin (unlimited downloads)
-    if (user.role !== 'ADMIN') {
-      // Get user's active subscription
-      const activeSubscription = await UserSubscription.findOne({
-        userId: user._id,
-        isActive: true,
-        endDate: { $gte: new Date() },
-        $or: [
-          { stripeStatus: { $in: ['active', 'trialing'] } },
-          { stripeStatus: { $exists: false } } // For manually created subscriptions
-        ]
-      });
+    // Resolve the requested version (defaults to latest). Legacy assets without
+    // versions fall back to their single fileUrl.
+    const requestedVersion = req.body?.version || req.query.version;
+    let selectedVersion = null;
 
-      // Manually populate the plan since strict populate doesn't work
-      if (activeSubscription && activeSubscription.planId) {
-        const plan = await SubscriptionPackage.findById(activeSubscription.planId);
-        activeSubscription.planId = plan;
-      }
+    if (asset.versions && asset.versions.length > 0) {
+      const targetVersion = requestedVersion || asset.latestVersion;
+      selectedVersion = asset.versions.find(v => v.version === targetVersion);
 
-      if (!activeSubscription) {
-        return res.status(403).json({
+      if (!selectedVersion) {
+        return res.status(404).json({
           success: false,
-          message: 'Active subscription required to download assets'
+          message: `Version ${targetVersion} not found for this asset`
         });
       }
-
-      // Check daily download limit
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-      const tomorrow = new Date(today);
-      tomorrow.setDate(tomorrow.getDate() + 1);
-
-      const todayDownloads = await Download.countDocuments({
-        userId: user._id,
-        downloadedAt: {
-          $gte: today,
-          $lt: tomorrow
-        }
+    } else if (requestedVersion) {
+      return res.status(404).json({
+        success: false,
+        message: 'This asset has no published versions'
       });
+    }
 
-      const dailyLimit = activeSubscription.planId.dailyDownloadLimit;
+    // Only files that passed the malware scan are served
+    const file = selectedVersion || asset;
+    if (file.scanStatus !== SCAN_STATUS.CLEAN) {
+      const quarantined = file.scanStatus === SCAN_STATUS.QUARANTINED;
+      return res.status(quarantined ? 403 : 409).json({
+        success: false,
+        message: quarantined
+          ? 'This file failed the malware scan and cannot be downloaded'
+          : 'This file is still being scanned for malware - please try again shortly',
+        scanStatus: file.scanStatus
+      });
+    }
 
-      if (todayDownloads >= dailyLimit) {
-        return res.status(429).json({
-          success: false,
-          message: `Daily download limit of ${dailyLimit} reached. Limit resets at ${tomorrow.toLocaleTimeString()}`
-        });
-      }
+    // Admins are unlimited; everyone else needs a subscription with quota left
+    const quota = await checkDownloadQuota(user);
+    if (!quota.allowed) {
+      return res.status(quota.status).json({
+        success: false,
+        message: quota.message
+      });
     }
 
     // Record the download in the database
-    await Download.create({
-      userId: userId,
-      assetId: assetId,
-      downloadedAt: new Date()
-    });
+    await recordDownload(userId, assetId, selectedVersion ? selectedVersion.version : null);
 
-    console.log(`📥 Download recorded: ${asset.name} by user ${userId}`);
+    console.log(`📥 Download recorded: ${asset.name}${selectedVersion ? ` v${selectedVersion.version}` : ''} by user ${userId}`);
+
+    const { url: downloadUrl, expiresAt } = await createDownloadUrl({
+      fileKey: file.fileKey,
+      fileUrl: file.fileUrl,
+      userId,
+      fileName: buildDownloadFileName(asset.name, selectedVersion?.version, file.fileKey || file.fileUrl)
+    });
 
     res.json({
       success: true,
       message: 'Download started',
       data: {
-        downloadUrl: asset.fileUrl,
-        expiresAt: new Date(Date.now() + 10 * 60 * 1000).toISOString(), // 10 minutes
+        downloadUrl,
+        version: selectedVersion ? {
+          version: selectedVersion.version,
+          fileSize: selectedVersion.fileSize,
+          checksum: selectedVersion.checksum,
+          minUnityVersion: selectedVersion.minUnityVersion
+        } : null,
+        expiresAt: expiresAt ? expiresAt.toISOString() : null,
         asset: {
           id: asset._id || asset.id,
           name: asset.name,
@@ -152,81 +130,87 @@ router.post('/:assetId', async (req, res) => {
   }
 });
 
-// GET /api/downloads/status - Get download status/limits for current user
-router.get('/status', async (req, res) => {
+// GET /api/downloads/file - Stream a locally stored package from a signed download URL
+router.get('/file', async (req, res) => {
   try {
-    console.log('✅ Download status route is working');
+    const { key, user, expires, name, signature } = req.query;
 
-    // Extract JWT token from Authorization header
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
+    if (!verifySignedDownload({ key, user, expires, name, signature })) {
+      return res.status(403).json({
         success: false,
-        message: 'Authorization token required'
+        message: 'Download link is invalid or has expired'
       });
     }
 
-    const userId = extractUserIdFromToken(authHeader);
-    if (!userId) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid token'
-      });
+    // The link is bound to the user who consumed the download
+    if (mongoose.connection.readyState === 1) {
+      const owner = await User.findById(user).select('isActive');
+      if (!owner || !owner.isActive) {
+        return res.status(403).json({
+          success: false,
+          message: 'Download link is invalid or has expired'
+        });
+      }
     }
 
-    // Get user from database
-    const user = await User.findById(userId);
-    if (!user) {
+    const storage = getStorage();
+    const file = await storage.head(key);
+    if (!file) {
       return res.status(404).json({
         success: false,
-        message: 'User not found'
+        message: 'File not found'
       });
     }
 
-    console.log('👤 User found:', user.email, 'ID:', user._id.toString());
+    res.set({
+      'Content-Type': file.contentType || 'application/octet-stream',
+      'Content-Length': file.size,
+      'Cache-Control': 'private, no-store'
+    });
+    res.attachment(name);
 
-    // Get user's active subscription
-    const activeSubscription = await UserSubscription.findOne({
-      userId: user._id,
-      isActive: true,
-      endDate: { $gte: new Date() },
-      $or: [
-        { stripeStatus: { $in: ['active', 'trialing'] } },
-        { stripeStatus: { $exists: false } } // For manually created subscriptions
-      ]
+    const stream = await storage.getStream(key);
+    stream.on('error', (error) => {
+      console.error('Error streaming download:', error);
+      res.destroy(error);
     });
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Error serving signed download:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Download failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// GET /api/downloads/status - Get download status/limits for current user
+router.get('/status', async (req, res) => {
+  try {
+    console.log('✅ Download status route is working');
+
+    const user = req.user;
+
+    console.log('👤 User found:', user.email, 'ID:', user._id.toString());
+
+    // Get user's active subscription (plan populated on planId)
+    const activeSubscription = await getActiveSubscription(user._id);
 
     console.log('🔍 Subscription query result:', activeSubscription ? 'FOUND ✅' : 'NOT FOUND ❌');
     if (activeSubscription) {
       console.log('   Subscription ID:', activeSubscription._id);
-      console.log('   Plan ID:', activeSubscription.planId);
+      console.log('   Plan:', activeSubscription.planId ? activeSubscription.planId.name : 'NOT FOUND');
       console.log('   Is Active:', activeSubscription.isActive);
       console.log('   Stripe Status:', activeSubscription.stripeStatus);
     }
 
-    // Manually populate the plan since strict populate doesn't work
-    if (activeSubscription && activeSubscription.planId) {
-      const plan = await SubscriptionPackage.findById(activeSubscription.planId);
-      activeSubscription.planId = plan;
-      console.log('📦 Plan populated:', plan ? plan.name : 'NOT FOUND');
-    }
-
     // Check if user is admin
     const isAdmin = user.role === 'ADMIN';
 
     // Get today's downloads count
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-
-    const todayDownloads = await Download.countDocuments({
-      userId: user._id,
-      downloadedAt: {
-        $gte: today,
-        $lt: tomorrow
-      }
-    });
+    const { tomorrow } = getTodayWindow();
+    const todayDownloads = await getTodayDownloadCount(user._id);
 
     let downloadStatus;
     if (isAdmin) {
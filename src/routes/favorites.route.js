@@ -0,0 +1,62 @@
+const express = require('express');
+const { addFavorite, removeFavorite, listFavorites } = require('../services/favoriteService');
+const { handleServiceError, checkDatabase } = require('../middleware/routeHelpers');
+
+const router = express.Router();
+
+// ==================== FAVORITES ROUTES ====================
+// The signed-in user's favorite assets
+
+// GET /api/favorites - The user's favorite assets, most recent first (?page=&limit=)
+router.get('/', async (req, res) => {
+  try {
+    if (!checkDatabase(res)) return;
+
+    const { page, limit } = req.query;
+    const data = await listFavorites(req.user._id, { page, limit });
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    handleServiceError(res, error, 'Failed to fetch favorites');
+  }
+});
+
+// PUT /api/favorites/:assetId - Favorite an asset
+router.put('/:assetId', async (req, res) => {
+  try {
+    if (!checkDatabase(res)) return;
+
+    const { created, favoriteCount } = await addFavorite(req.user._id, req.params.assetId);
+    console.log(`⭐ ${req.user.email} favorited asset ${req.params.assetId}`);
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Added to favorites' : 'Already in favorites',
+      data: { assetId: req.params.assetId, isFavorited: true, favoriteCount }
+    });
+  } catch (error) {
+    handleServiceError(res, error, 'Failed to add favorite');
+  }
+});
+
+// DELETE /api/favorites/:assetId - Remove an asset from favorites
+router.delete('/:assetId', async (req, res) => {
+  try {
+    if (!checkDatabase(res)) return;
+
+    const { removed, favoriteCount } = await removeFavorite(req.user._id, req.params.assetId);
+
+    res.json({
+      success: true,
+      message: removed ? 'Removed from favorites' : 'Not in favorites',
+      data: { assetId: req.params.assetId, isFavorited: false, favoriteCount }
+    });
+  } catch (error) {
+    handleServiceError(res, error, 'Failed to remove favorite');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,31 @@
+// API routers and the paths they are mounted on.
+// Shared by server.js and scripts/check-route-permissions.js.
+const authRoutes = require('./auth.route');
+const userRoutes = require('./users.route');
+const assetRoutes = require('./assets.route');
+const categoryRoutes = require('./categories.route');
+const subscriptionRoutes = require('./subscriptions.route');
+const paymentRoutes = require('./payments.route');
+const downloadRoutes = require('./downloads.route');
+const registryRoutes = require('./registry.route');
+const uploadRoutes = require('./uploads.route');
+const reviewRoutes = require('./reviews.route');
+const favoriteRoutes = require('./favorites.route');
+const collectionRoutes = require('./collections.route');
+
+const apiRoutes = [
+  { path: '/api/auth', router: authRoutes },
+  { path: '/api/users', router: userRoutes },
+  { path: '/api/assets', router: assetRoutes },
+  { path: '/api/categories', router: categoryRoutes },
+  { path: '/api/subscriptions', router: subscriptionRoutes },
+  { path: '/api/payments', router: paymentRoutes },
+  { path: '/api/downloads', router: downloadRoutes },
+  { path: '/api/uploads', router: uploadRoutes },
+  { path: '/api/reviews', router: reviewRoutes },
+  { path: '/api/favorites', router: favoriteRoutes },
+  { path: '/api/collections', router: collectionRoutes },
+  { path: '/api/upm', router: registryRoutes }
+];
+
+module.exports = { apiRoutes };
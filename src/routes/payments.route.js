@@ -1,6 +1,5 @@
 const express = require('express');
 const router = express.Router();
-const { protect } = require('../middleware/auth');
 
 // Initialize Stripe
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
@@ -32,7 +31,7 @@ const mongoose = require('mongoose');
 const { SubscriptionPackage, UserSubscription } = require('../models/index');
 
 // Create Stripe checkout session for subscription
-router.post('/create-checkout-session', protect, async (req, res) => {
+router.post('/create-checkout-session', async (req, res) => {
   console.log('=== PAYMENT ROUTE CALLED ===');
   console.log('Request body:', req.body);
 
@@ -425,7 +424,7 @@ router.post('/webhook', async (req, res) => {
 });
 
 // Get subscription status
-router.get('/subscription-status', protect, async (req, res) => {
+router.get('/subscription-status', async (req, res) => {
   try {
     const userId = req.user._id;
 
@@ -0,0 +1,224 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { Asset } = require('../models/index');
+const { checkDownloadQuota, recordDownload } = require('../services/downloadService');
+const { createDownloadUrl } = require('../services/downloadUrlService');
+const { SCAN_STATUS } = require('../services/scanService');
+const { compareSemver } = require('../utils/versioning');
+
+const router = express.Router();
+
+// ==================== UPM REGISTRY ROUTES ====================
+// npm-protocol scoped registry for Unity Package Manager. Add to a project's
+// Packages/manifest.json:
+//   "scopedRegistries": [{ "name": "Unity Assets", "url": "<API_BASE_URL>/api/upm", "scopes": ["com.unityassets"] }]
+// and authenticate with the user's registry token in ~/.upmconfig.toml.
+// Every route requires a registry token (enforced by the route permission table).
+
+const getRegistryUrl = (req) => `${process.env.API_BASE_URL || `${req.protocol}://${req.get('host')}`}/api/upm`;
+
+// Only tarball (.tgz) versions that passed the malware scan can be installed through UPM
+const getUpmVersions = (asset) => (asset.versions || [])
+  .filter(version => /\.tgz(\?.*)?$/i.test(version.fileUrl) && version.scanStatus === SCAN_STATUS.CLEAN)
+  .sort((a, b) => compareSemver(a.version, b.version));
+
+// "2022.3.10f1" -> { unity: '2022.3', unityRelease: '10f1' }
+const toUnityFields = (minUnityVersion) => {
+  if (!minUnityVersion) return {};
+  const [year, minor, patch] = minUnityVersion.split('.');
+  return {
+    unity: `${year}.${minor}`,
+    ...(patch && { unityRelease: patch })
+  };
+};
+
+const findPublishedAsset = (packageName) => Asset.findOne({ upmPackageName: packageName, isActive: true });
+
+// GET /-/v1/search - Package search used by the Package Manager window
+router.get('/-/v1/search', async (req, res) => {
+  try {
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({
+        success: false,
+        message: 'Database not available'
+      });
+    }
+
+    const { text = '', size = 20, from = 0 } = req.query;
+    const limitNum = Math.min(parseInt(size) || 20, 250);
+    const skipNum = parseInt(from) || 0;
+
+    const searchText = String(text).trim();
+
+    const query = { upmPackageName: { $type: 'string' }, isActive: true };
+    if (searchText) {
+      const escaped = searchText.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      query.$or = [
+        { upmPackageName: { $regex: escaped, $options: 'i' } },
+        { name: { $regex: escaped, $options: 'i' } }
+      ];
+    }
+
+    const [assets, total] = await Promise.all([
+      Asset.find(query).select('name description upmPackageName versions updatedAt').skip(skipNum).limit(limitNum).lean(),
+      Asset.countDocuments(query)
+    ]);
+
+    const objects = assets
+      .map(asset => {
+        const versions = getUpmVersions(asset);
+        if (versions.length === 0) return null;
+        const latest = versions[versions.length - 1];
+        return {
+          package: {
+            name: asset.upmPackageName,
+            displayName: asset.name,
+            version: latest.version,
+            description: asset.description,
+            date: latest.uploadedAt
+          }
+        };
+      })
+      .filter(Boolean);
+
+    res.json({
+      objects,
+      total,
+      time: new Date().toUTCString()
+    });
+  } catch (error) {
+    console.error('UPM search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Package search failed'
+    });
+  }
+});
+
+// GET /:packageName - Package metadata document (packument)
+router.get('/:packageName', async (req, res) => {
+  try {
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({
+        success: false,
+        message: 'Database not available'
+      });
+    }
+
+    const packageName = req.params.packageName;
+    const asset = await findPublishedAsset(packageName);
+    const versions = asset ? getUpmVersions(asset) : [];
+
+    if (!asset || versions.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: `Package ${packageName} not found`
+      });
+    }
+
+    const registryUrl = getRegistryUrl(req);
+    const latest = versions[versions.length - 1];
+
+    const packument = {
+      _id: packageName,
+      name: packageName,
+      description: asset.description,
+      'dist-tags': { latest: latest.version },
+      versions: {},
+      time: {
+        created: asset.createdAt.toISOString(),
+        modified: asset.updatedAt.toISOString()
+      }
+    };
+
+    for (const version of versions) {
+      packument.versions[version.version] = {
+        name: packageName,
+        version: version.version,
+        displayName: asset.name,
+        description: asset.description,
+        keywords: asset.tags,
+        ...toUnityFields(version.minUnityVersion),
+        ...(asset.dependencies?.length > 0 && {
+          dependencies: Object.fromEntries(asset.dependencies.map(dependency => [dependency.name, dependency.version]))
+        }),
+        dist: {
+          tarball: `${registryUrl}/${packageName}/-/${packageName}-${version.version}.tgz`,
+          ...(version.shasum && { shasum: version.shasum })
+        }
+      };
+      packument.time[version.version] = version.uploadedAt.toISOString();
+    }
+
+    res.json(packument);
+  } catch (error) {
+    console.error('UPM metadata error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load package metadata'
+    });
+  }
+});
+
+// GET /:packageName/-/:tarball - Download a package version (counts against the daily limit)
+router.get('/:packageName/-/:tarball', async (req, res) => {
+  try {
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({
+        success: false,
+        message: 'Database not available'
+      });
+    }
+
+    const { packageName, tarball } = req.params;
+    const prefix = `${packageName}-`;
+
+    if (!tarball.startsWith(prefix) || !tarball.endsWith('.tgz')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tarball not found'
+      });
+    }
+
+    const versionNumber = tarball.slice(prefix.length, -'.tgz'.length);
+    const asset = await findPublishedAsset(packageName);
+    const version = asset ? getUpmVersions(asset).find(v => v.version === versionNumber) : null;
+
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        message: `Version ${versionNumber} of ${packageName} not found`
+      });
+    }
+
+    // Same subscription and daily limit rules as POST /api/downloads/:assetId
+    const quota = await checkDownloadQuota(req.user);
+    if (!quota.allowed) {
+      return res.status(quota.status).json({
+        success: false,
+        message: quota.message
+      });
+    }
+
+    await recordDownload(req.user._id, asset._id, version.version);
+
+    console.log(`📦 UPM download recorded: ${packageName}@${version.version} by user ${req.user._id}`);
+
+    const { url } = await createDownloadUrl({
+      fileKey: version.fileKey,
+      fileUrl: version.fileUrl,
+      userId: req.user._id,
+      fileName: tarball
+    });
+
+    res.redirect(302, url);
+  } catch (error) {
+    console.error('UPM tarball error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Package download failed'
+    });
+  }
+});
+
+module.exports = router;
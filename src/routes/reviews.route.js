@@ -0,0 +1,90 @@
+const express = require('express');
+const {
+  listReviewsForModeration,
+  setReviewHidden,
+  respondToReview,
+  deleteReview
+} = require('../services/reviewService');
+const { handleServiceError, checkDatabase } = require('../middleware/routeHelpers');
+
+const router = express.Router();
+
+// ==================== REVIEW MODERATION ROUTES ====================
+// Admin-only. Buyers write reviews through /api/assets/:id/reviews.
+
+// GET /api/reviews - Moderation queue (?status=all|visible|hidden&assetId=&rating=&page=&limit=)
+router.get('/', async (req, res) => {
+  try {
+    if (!checkDatabase(res)) return;
+
+    const { status, assetId, rating, page, limit } = req.query;
+    const data = await listReviewsForModeration({ status, assetId, rating, page, limit });
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    handleServiceError(res, error, 'Failed to fetch reviews');
+  }
+});
+
+// PATCH /api/reviews/:reviewId/visibility - Hide or show a review { hidden, reason? }
+router.patch('/:reviewId/visibility', async (req, res) => {
+  try {
+    if (!checkDatabase(res)) return;
+
+    const { hidden, reason } = req.body || {};
+    if (typeof hidden !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'hidden must be true or false'
+      });
+    }
+
+    const review = await setReviewHidden(req.params.reviewId, hidden, reason, req.user);
+
+    res.json({
+      success: true,
+      message: hidden ? 'Review hidden' : 'Review visible again',
+      data: { review }
+    });
+  } catch (error) {
+    handleServiceError(res, error, 'Failed to update review visibility');
+  }
+});
+
+// PUT /api/reviews/:reviewId/response - Reply publicly to a review { body } (empty body removes the reply)
+router.put('/:reviewId/response', async (req, res) => {
+  try {
+    if (!checkDatabase(res)) return;
+
+    const review = await respondToReview(req.params.reviewId, req.body?.body, req.user);
+
+    res.json({
+      success: true,
+      message: review.response ? 'Response published' : 'Response removed',
+      data: { review }
+    });
+  } catch (error) {
+    handleServiceError(res, error, 'Failed to save response');
+  }
+});
+
+// DELETE /api/reviews/:reviewId - Delete a review
+router.delete('/:reviewId', async (req, res) => {
+  try {
+    if (!checkDatabase(res)) return;
+
+    await deleteReview(req.params.reviewId);
+
+    res.json({
+      success: true,
+      message: 'Review deleted'
+    });
+  } catch (error) {
+    handleServiceError(res, error, 'Failed to delete review');
+  }
+});
+
+module.exports = router;
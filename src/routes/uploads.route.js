@@ -0,0 +1,124 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const {
+  toPublicSession,
+  createUploadSession,
+  getUploadSession,
+  storeChunk,
+  completeUploadSession,
+  abortUploadSession
+} = require('../services/uploadSessionService');
+const { handleServiceError, checkDatabase } = require('../middleware/routeHelpers');
+
+const router = express.Router();
+
+// ==================== RESUMABLE UPLOAD ROUTES ====================
+// For packages too large for a single multipart request:
+//   1. POST /api/uploads                         { fileName, fileSize, checksum (sha256), chunkSize? }
+//   2. PUT  /api/uploads/:uploadId/chunks/:index  raw bytes (application/octet-stream), any order, retry freely
+//   3. GET  /api/uploads/:uploadId                which chunks / byte ranges have been received
+//   4. POST /api/uploads/:uploadId/complete       assembles the file and verifies the checksum
+//   5. Pass uploadId instead of assetFile to POST /api/assets or POST /api/assets/:id/versions
+
+// Validate :uploadId and the database connection before touching a session
+const checkUploadRequest = (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.uploadId)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid upload ID format'
+    });
+    return false;
+  }
+
+  return checkDatabase(res);
+};
+
+// POST /api/uploads - Start a resumable upload session
+router.post('/', async (req, res) => {
+  try {
+    if (!checkDatabase(res)) return;
+
+    const { fileName, fileSize, checksum, chunkSize } = req.body;
+    const session = await createUploadSession(req.user._id, { fileName, fileSize, checksum, chunkSize });
+
+    res.status(201).json({
+      success: true,
+      message: 'Upload session created',
+      data: { upload: toPublicSession(session) }
+    });
+  } catch (error) {
+    handleServiceError(res, error, 'Failed to create upload session');
+  }
+});
+
+// GET /api/uploads/:uploadId - Upload progress (received chunks and byte ranges)
+router.get('/:uploadId', async (req, res) => {
+  try {
+    if (!checkUploadRequest(req, res)) return;
+
+    const session = await getUploadSession(req.params.uploadId, req.user._id);
+
+    res.json({
+      success: true,
+      data: { upload: toPublicSession(session) }
+    });
+  } catch (error) {
+    handleServiceError(res, error, 'Failed to get upload session');
+  }
+});
+
+// PUT /api/uploads/:uploadId/chunks/:index - Upload one chunk (raw request body)
+router.put('/:uploadId/chunks/:index', async (req, res) => {
+  try {
+    if (!checkUploadRequest(req, res)) return;
+
+    const index = Number(req.params.index);
+    const session = await getUploadSession(req.params.uploadId, req.user._id);
+    const updated = await storeChunk(session, index, req);
+
+    res.json({
+      success: true,
+      message: `Chunk ${index} received`,
+      data: { upload: toPublicSession(updated) }
+    });
+  } catch (error) {
+    handleServiceError(res, error, 'Failed to store chunk');
+  }
+});
+
+// POST /api/uploads/:uploadId/complete - Assemble the chunks and verify the checksum
+router.post('/:uploadId/complete', async (req, res) => {
+  try {
+    if (!checkUploadRequest(req, res)) return;
+
+    const session = await getUploadSession(req.params.uploadId, req.user._id);
+    const completed = await completeUploadSession(session);
+
+    res.json({
+      success: true,
+      message: 'Upload completed - attach it with POST /api/assets or POST /api/assets/:id/versions',
+      data: { upload: toPublicSession(completed) }
+    });
+  } catch (error) {
+    handleServiceError(res, error, 'Failed to complete upload');
+  }
+});
+
+// DELETE /api/uploads/:uploadId - Abort an upload and delete its stored data
+router.delete('/:uploadId', async (req, res) => {
+  try {
+    if (!checkUploadRequest(req, res)) return;
+
+    const session = await getUploadSession(req.params.uploadId, req.user._id);
+    await abortUploadSession(session);
+
+    res.json({
+      success: true,
+      message: 'Upload aborted'
+    });
+  } catch (error) {
+    handleServiceError(res, error, 'Failed to abort upload');
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,11 @@
 const express = require('express');
 const mongoose = require('mongoose');
-const { extractUserIdFromToken } = require('../middleware/auth');
 const { User, Download, Asset, UserSubscription } = require('../models/index');
+const { hashPassword, unmigratedPasswordQuery } = require('../utils/password');
+const { listUserSessions, revokeAllUserSessions } = require('../services/sessionService');
+const { generateRegistryToken } = require('../middleware/auth');
+const { createApiToken, listApiTokens, revokeApiToken } = require('../services/apiTokenService');
+const { handleServiceError } = require('../middleware/routeHelpers');
 
 const router = express.Router();
 
@@ -10,15 +14,61 @@ const router = express.Router();
 // GET /api/users/profile
 router.get('/profile', async (req, res) => {
   try {
-    const userId = req.headers['user-id'] || extractUserIdFromToken(req.headers['authorization']);
+    // req.user is loaded (without password) by the route permission middleware
+    res.json({
+      success: true,
+      data: { user: req.user }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch profile',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
 
-    if (!userId || userId === 'public' || userId === 'anonymous') {
-      return res.status(401).json({
+// POST /api/users/profile/registry-token - Create (or replace) the user's UPM registry token
+router.post('/profile/registry-token', async (req, res) => {
+  try {
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({
         success: false,
-        message: 'Authentication required'
+        message: 'Database not available'
       });
     }
 
+    const { token, tokenHash } = generateRegistryToken();
+
+    await User.findByIdAndUpdate(req.user._id, {
+      registryTokenHash: tokenHash,
+      registryTokenCreatedAt: new Date(),
+      updatedAt: new Date()
+    });
+
+    const registryUrl = `${process.env.API_BASE_URL || `${req.protocol}://${req.get('host')}`}/api/upm`;
+
+    res.status(201).json({
+      success: true,
+      message: 'Registry token created. Copy it now - it will not be shown again.',
+      data: {
+        token,
+        registryUrl
+      }
+    });
+  } catch (error) {
+    console.error('Create registry token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create registry token',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// DELETE /api/users/profile/registry-token - Revoke the user's UPM registry token
+router.delete('/profile/registry-token', async (req, res) => {
+  try {
     if (mongoose.connection.readyState !== 1) {
       return res.status(503).json({
         success: false,
@@ -26,22 +76,114 @@ router.get('/profile', async (req, res) => {
       });
     }
 
-    const user = await User.findById(userId).select('-password');
-    if (!user) {
+    await User.findByIdAndUpdate(req.user._id, {
+      registryTokenHash: null,
+      registryTokenCreatedAt: null,
+      updatedAt: new Date()
+    });
+
+    res.json({
+      success: true,
+      message: 'Registry token revoked'
+    });
+  } catch (error) {
+    console.error('Revoke registry token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke registry token',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// GET /api/users/profile/tokens - List the user's personal access tokens
+router.get('/profile/tokens', async (req, res) => {
+  try {
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({
+        success: false,
+        message: 'Database not available'
+      });
+    }
+
+    const tokens = await listApiTokens(req.user._id);
+
+    res.json({
+      success: true,
+      data: { tokens }
+    });
+  } catch (error) {
+    console.error('List access tokens error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch access tokens',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// POST /api/users/profile/tokens - Create a personal access token
+router.post('/profile/tokens', async (req, res) => {
+  try {
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({
+        success: false,
+        message: 'Database not available'
+      });
+    }
+
+    const { name, scopes, expiresInDays } = req.body;
+    const { token, apiToken } = await createApiToken(req.user._id, { name, scopes, expiresInDays });
+
+    res.status(201).json({
+      success: true,
+      message: 'Access token created. Copy it now - it will not be shown again.',
+      data: {
+        token,
+        apiToken
+      }
+    });
+  } catch (error) {
+    handleServiceError(res, error, 'Failed to create access token');
+  }
+});
+
+// DELETE /api/users/profile/tokens/:tokenId - Revoke a personal access token
+router.delete('/profile/tokens/:tokenId', async (req, res) => {
+  try {
+    const { tokenId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(tokenId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid token ID format'
+      });
+    }
+
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({
+        success: false,
+        message: 'Database not available'
+      });
+    }
+
+    const revoked = await revokeApiToken(req.user._id, tokenId);
+    if (!revoked) {
       return res.status(404).json({
         success: false,
-        message: 'User not found'
+        message: 'Access token not found'
       });
     }
 
     res.json({
       success: true,
-      data: { user }
+      message: 'Access token revoked'
     });
   } catch (error) {
+    console.error('Revoke access token error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch profile',
+      message: 'Failed to revoke access token',
       error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
@@ -290,6 +432,38 @@ router.get('/stats', async (req, res) => {
   }
 });
 
+// GET /api/users/password-migration - Report accounts still holding plaintext passwords
+router.get('/password-migration', async (req, res) => {
+  try {
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({
+        success: false,
+        message: 'Database not available'
+      });
+    }
+
+    const [totalUsers, unmigratedUsers] = await Promise.all([
+      User.countDocuments(),
+      User.countDocuments(unmigratedPasswordQuery())
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        total: totalUsers,
+        migrated: totalUsers - unmigratedUsers,
+        unmigrated: unmigratedUsers
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch password migration status',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 // POST /api/users - Create user
 router.post('/', async (req, res) => {
   try {
@@ -316,7 +490,7 @@ router.post('/', async (req, res) => {
       const user = await User.create({
         name,
         email,
-        password, // In production: hash with bcrypt
+        password, // Hashed by the User pre-save hook
         role,
         isActive: true
       });
@@ -361,7 +535,7 @@ router.post('/', async (req, res) => {
 router.put('/:id', async (req, res) => {
   try {
     const userId = req.params.id;
-    const { name, email, role } = req.body;
+    const { name, email, role, password } = req.body;
 
     if (!email) {
       return res.status(400).json({
@@ -384,15 +558,22 @@ router.put('/:id', async (req, res) => {
         });
       }
 
+      const updates = {
+        name,
+        email,
+        role,
+        updatedAt: new Date()
+      };
+
+      // findByIdAndUpdate skips the pre-save hook, so hash explicitly
+      if (password) {
+        updates.password = await hashPassword(password);
+      }
+
       // Update user
       const updatedUser = await User.findByIdAndUpdate(
         userId,
-        {
-          name,
-          email,
-          role,
-          updatedAt: new Date()
-        },
+        updates,
         { new: true, runValidators: true }
       ).select('-password');
 
@@ -403,6 +584,11 @@ router.put('/:id', async (req, res) => {
         });
       }
 
+      // A password change signs the user out everywhere
+      if (password) {
+        await revokeAllUserSessions(updatedUser._id, 'password_changed');
+      }
+
       res.json({
         success: true,
         message: 'User updated successfully',
@@ -451,6 +637,8 @@ router.delete('/:id', async (req, res) => {
         });
       }
 
+      await revokeAllUserSessions(deletedUser._id, 'user_deleted');
+
       res.json({
         success: true,
         message: 'User deleted successfully'
@@ -555,6 +743,10 @@ router.patch('/:id/status', async (req, res) => {
         });
       }
 
+      if (!isActive) {
+        await revokeAllUserSessions(updatedUser._id, 'user_deactivated');
+      }
+
       res.json({
         success: true,
         message: `User ${isActive ? 'activated' : 'deactivated'} successfully`,
@@ -584,4 +776,83 @@ router.patch('/:id/status', async (req, res) => {
   }
 });
 
+// GET /api/users/:id/sessions - List a user's active sessions
+router.get('/:id/sessions', async (req, res) => {
+  try {
+    const userId = req.params.id;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID format'
+      });
+    }
+
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({
+        success: false,
+        message: 'Database not available'
+      });
+    }
+
+    const sessions = await listUserSessions(userId);
+
+    res.json({
+      success: true,
+      data: { sessions }
+    });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch user sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// DELETE /api/users/:id/sessions - Revoke every session for a user
+router.delete('/:id/sessions', async (req, res) => {
+  try {
+    const userId = req.params.id;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID format'
+      });
+    }
+
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({
+        success: false,
+        message: 'Database not available'
+      });
+    }
+
+    const user = await User.findById(userId).select('_id');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const revokedCount = await revokeAllUserSessions(user._id, 'admin_revoked');
+
+    res.json({
+      success: true,
+      message: 'All user sessions revoked successfully',
+      data: { revokedCount }
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke user sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 module.exports = router;
@@ -2,24 +2,31 @@ require('dotenv').config();
 const app = require('./config/app');
 const { connectDB } = require('./config/database');
 const { notFoundHandler, errorHandler } = require('./middleware/errorHandler');
+const { enforceRoutePermissions } = require('./middleware/auth');
+const { assertScannerConfigured } = require('./services/scanning');
 
 // Initialize models (must be loaded before routes)
 require('./models/index');
 
 // Import route files
-const authRoutes = require('./routes/auth.route');
-const userRoutes = require('./routes/users.route');
-const assetRoutes = require('./routes/assets.route');
-const categoryRoutes = require('./routes/categories.route');
-const subscriptionRoutes = require('./routes/subscriptions.route');
-const paymentRoutes = require('./routes/payments.route');
-const downloadRoutes = require('./routes/downloads.route');
+const { apiRoutes } = require('./routes/index');
 
 const PORT = process.env.PORT || 3001;
 
+// Uploads only become downloadable once scanned - never start production without a real scanner
+try {
+  assertScannerConfigured();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
 // Connect to MongoDB
 connectDB();
 
+// Authentication and role checks for every API route (see config/permissions.js)
+app.use('/api', enforceRoutePermissions);
+
 // Health check route
 app.get('/api/health', (req, res) => {
   res.json({
@@ -32,13 +39,9 @@ app.get('/api/health', (req, res) => {
 });
 
 // API Routes
-app.use('/api/auth', authRoutes);
-app.use('/api/users', userRoutes);
-app.use('/api/assets', assetRoutes);
-app.use('/api/categories', categoryRoutes);
-app.use('/api/subscriptions', subscriptionRoutes);
-app.use('/api/payments', paymentRoutes);
-app.use('/api/downloads', downloadRoutes);
+for (const { path, router } of apiRoutes) {
+  app.use(path, router);
+}
 
 // 404 handler (must be after all routes)
 app.use(notFoundHandler);
@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const { ApiToken } = require('../models/index');
+const { API_SCOPES } = require('../config/permissions');
+
+const API_TOKEN_PREFIX = 'uat_';
+const API_TOKEN_SCOPES = Object.values(API_SCOPES);
+const MAX_TOKENS_PER_USER = 20;
+const LAST_USED_RESOLUTION_MS = 60 * 1000; // Avoid a write on every request
+
+const hashApiToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const isApiToken = (token) => typeof token === 'string' && token.startsWith(API_TOKEN_PREFIX);
+
+const tokenError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Shape returned to clients - never includes the hash
+const toPublicToken = (apiToken) => ({
+  _id: apiToken._id,
+  name: apiToken.name,
+  tokenPrefix: apiToken.tokenPrefix,
+  scopes: apiToken.scopes,
+  lastUsedAt: apiToken.lastUsedAt,
+  expiresAt: apiToken.expiresAt,
+  createdAt: apiToken.createdAt
+});
+
+/**
+ * Create a personal access token. The plaintext token is returned once and never stored.
+ */
+const createApiToken = async (userId, { name, scopes, expiresInDays }) => {
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    throw tokenError('Token name is required');
+  }
+
+  if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => API_TOKEN_SCOPES.includes(scope))) {
+    throw tokenError(`Scopes must be a non-empty list of: ${API_TOKEN_SCOPES.join(', ')}`);
+  }
+
+  let expiresAt = null;
+  if (expiresInDays !== undefined && expiresInDays !== null) {
+    const days = parseInt(expiresInDays);
+    if (!Number.isInteger(days) || days < 1 || days > 365) {
+      throw tokenError('expiresInDays must be between 1 and 365');
+    }
+    expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  }
+
+  const activeCount = await ApiToken.countDocuments({ userId, revokedAt: null });
+  if (activeCount >= MAX_TOKENS_PER_USER) {
+    throw tokenError(`A user can have at most ${MAX_TOKENS_PER_USER} active tokens`, 409);
+  }
+
+  const token = `${API_TOKEN_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+
+  const apiToken = await ApiToken.create({
+    userId,
+    name: name.trim(),
+    tokenHash: hashApiToken(token),
+    tokenPrefix: token.slice(0, API_TOKEN_PREFIX.length + 6),
+    scopes: [...new Set(scopes)],
+    expiresAt
+  });
+
+  return { token, apiToken: toPublicToken(apiToken) };
+};
+
+/**
+ * List a user's active (non-revoked) tokens
+ */
+const listApiTokens = async (userId) => {
+  const tokens = await ApiToken.find({ userId, revokedAt: null }).sort({ createdAt: -1 }).lean();
+  return tokens.map(toPublicToken);
+};
+
+/**
+ * Revoke one of a user's tokens. Returns false if it does not exist.
+ */
+const revokeApiToken = async (userId, tokenId) => {
+  const result = await ApiToken.updateOne(
+    { _id: tokenId, userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Look up a presented token. Returns the ApiToken document if it is valid, else null.
+ * Updates lastUsedAt (at most once a minute).
+ */
+const findActiveApiToken = async (token) => {
+  const apiToken = await ApiToken.findOne({ tokenHash: hashApiToken(token), revokedAt: null });
+
+  if (!apiToken || (apiToken.expiresAt && apiToken.expiresAt < new Date())) {
+    return null;
+  }
+
+  const now = new Date();
+  if (!apiToken.lastUsedAt || now - apiToken.lastUsedAt > LAST_USED_RESOLUTION_MS) {
+    apiToken.lastUsedAt = now;
+    ApiToken.updateOne({ _id: apiToken._id }, { lastUsedAt: now })
+      .catch(error => console.error('Failed to update token lastUsedAt:', error));
+  }
+
+  return apiToken;
+};
+
+module.exports = {
+  API_TOKEN_PREFIX,
+  API_TOKEN_SCOPES,
+  isApiToken,
+  createApiToken,
+  listApiTokens,
+  revokeApiToken,
+  findActiveApiToken
+};
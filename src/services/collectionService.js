@@ -0,0 +1,238 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { Asset, Collection } = require('../models/index');
+const { ASSET_CARD_FIELDS } = require('./favoriteService');
+
+// Named collections of assets. A collection is private to its owner until it
+// is shared, which gives it a random link token - anyone holding the link can
+// view it. Making it private again revokes the link.
+
+const MAX_COLLECTIONS_PER_USER = 100;
+const MAX_ASSETS_PER_COLLECTION = 500;
+const MAX_NAME_LENGTH = 80;
+const MAX_DESCRIPTION_LENGTH = 500;
+
+const VISIBILITY = ['PRIVATE', 'SHARED'];
+
+const collectionError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const generateShareToken = () => crypto.randomBytes(18).toString('base64url');
+
+const getShareUrl = (shareToken) => `${process.env.API_BASE_URL || 'http://localhost:3001'}/api/collections/shared/${shareToken}`;
+
+/**
+ * Collection without its asset list, as shown in the owner's list
+ */
+const toCollectionSummary = (collection) => ({
+  _id: collection._id,
+  name: collection.name,
+  description: collection.description,
+  visibility: collection.visibility,
+  shareToken: collection.shareToken,
+  shareUrl: collection.shareToken ? getShareUrl(collection.shareToken) : null,
+  assetCount: collection.assetIds.length,
+  createdAt: collection.createdAt,
+  updatedAt: collection.updatedAt
+});
+
+const validateCollectionInput = ({ name, description, visibility }, { partial = false } = {}) => {
+  const updates = {};
+
+  if (name !== undefined || !partial) {
+    const text = typeof name === 'string' ? name.trim() : '';
+    if (!text) throw collectionError(400, 'Collection name is required');
+    if (text.length > MAX_NAME_LENGTH) {
+      throw collectionError(400, `Collection name must be at most ${MAX_NAME_LENGTH} characters`);
+    }
+    updates.name = text;
+  }
+  if (description !== undefined) {
+    if (description !== null && typeof description !== 'string') {
+      throw collectionError(400, 'Collection description must be text');
+    }
+    const text = (description || '').trim();
+    if (text.length > MAX_DESCRIPTION_LENGTH) {
+      throw collectionError(400, `Collection description must be at most ${MAX_DESCRIPTION_LENGTH} characters`);
+    }
+    updates.description = text;
+  }
+  if (visibility !== undefined) {
+    const value = String(visibility).trim().toUpperCase();
+    if (!VISIBILITY.includes(value)) {
+      throw collectionError(400, `Visibility must be one of: ${VISIBILITY.join(', ')}`);
+    }
+    updates.visibility = value;
+  }
+  return updates;
+};
+
+const applyVisibility = (collection, visibility) => {
+  if (visibility === 'SHARED' && !collection.shareToken) {
+    collection.shareToken = generateShareToken();
+  } else if (visibility === 'PRIVATE') {
+    collection.shareToken = null;
+  }
+  collection.visibility = visibility;
+};
+
+/**
+ * Assets of a collection in the owner's order. Shared views only include active assets.
+ */
+const loadCollectionAssets = async (collection, { activeOnly = false } = {}) => {
+  if (collection.assetIds.length === 0) return [];
+
+  const query = { _id: { $in: collection.assetIds } };
+  if (activeOnly) query.isActive = true;
+  const assets = await Asset.find(query).select(ASSET_CARD_FIELDS).lean();
+
+  const byId = new Map(assets.map(asset => [asset._id.toString(), asset]));
+  return collection.assetIds.map(id => byId.get(id.toString())).filter(Boolean);
+};
+
+const createCollection = async (userId, input = {}) => {
+  const { name, description = '', visibility = 'PRIVATE' } = validateCollectionInput(input);
+
+  const count = await Collection.countDocuments({ userId });
+  if (count >= MAX_COLLECTIONS_PER_USER) {
+    throw collectionError(400, `You can have at most ${MAX_COLLECTIONS_PER_USER} collections`);
+  }
+
+  const collection = new Collection({ userId, name, description });
+  applyVisibility(collection, visibility);
+  await collection.save();
+  return collection;
+};
+
+/**
+ * The user's collections, newest first
+ */
+const listCollections = async (userId) => {
+  const collections = await Collection.find({ userId }).sort({ createdAt: -1 }).lean();
+  return collections.map(toCollectionSummary);
+};
+
+/**
+ * A collection owned by the user. Other users' collections are reported as
+ * not found so their ids cannot be probed.
+ */
+const getOwnCollection = async (userId, collectionId) => {
+  if (!mongoose.Types.ObjectId.isValid(collectionId)) {
+    throw collectionError(400, 'Invalid collection ID format');
+  }
+  const collection = await Collection.findOne({ _id: collectionId, userId });
+  if (!collection) {
+    throw collectionError(404, 'Collection not found');
+  }
+  return collection;
+};
+
+const updateCollection = async (userId, collectionId, input = {}) => {
+  const collection = await getOwnCollection(userId, collectionId);
+  const { visibility, ...updates } = validateCollectionInput(input, { partial: true });
+
+  Object.assign(collection, updates);
+  if (visibility) applyVisibility(collection, visibility);
+  collection.updatedAt = new Date();
+  await collection.save();
+  return collection;
+};
+
+const deleteCollection = async (userId, collectionId) => {
+  const collection = await getOwnCollection(userId, collectionId);
+  await collection.deleteOne();
+  return collection;
+};
+
+/**
+ * Append an asset to a collection. Adding one that is already there is a no-op.
+ * Returns { collection, added }.
+ */
+const addAssetToCollection = async (userId, collectionId, assetId) => {
+  const collection = await getOwnCollection(userId, collectionId);
+
+  if (!mongoose.Types.ObjectId.isValid(assetId)) {
+    throw collectionError(400, 'Invalid asset ID format');
+  }
+  if (collection.assetIds.some(id => id.toString() === assetId)) {
+    return { collection, added: false };
+  }
+  if (collection.assetIds.length >= MAX_ASSETS_PER_COLLECTION) {
+    throw collectionError(400, `A collection can hold at most ${MAX_ASSETS_PER_COLLECTION} assets`);
+  }
+  const asset = await Asset.exists({ _id: assetId, isActive: true });
+  if (!asset) {
+    throw collectionError(404, 'Asset not found');
+  }
+
+  collection.assetIds.push(assetId);
+  collection.updatedAt = new Date();
+  await collection.save();
+  return { collection, added: true };
+};
+
+/**
+ * Remove an asset from a collection. Returns { collection, removed }.
+ */
+const removeAssetFromCollection = async (userId, collectionId, assetId) => {
+  const collection = await getOwnCollection(userId, collectionId);
+
+  const remaining = collection.assetIds.filter(id => id.toString() !== assetId);
+  const removed = remaining.length !== collection.assetIds.length;
+  if (removed) {
+    collection.assetIds = remaining;
+    collection.updatedAt = new Date();
+    await collection.save();
+  }
+  return { collection, removed };
+};
+
+/**
+ * A shared collection by its link token, with its active assets and the owner's name
+ */
+const getSharedCollection = async (shareToken) => {
+  const collection = typeof shareToken === 'string' && shareToken
+    ? await Collection.findOne({ shareToken, visibility: 'SHARED' }).populate('userId', 'name')
+    : null;
+  if (!collection) {
+    throw collectionError(404, 'Collection not found');
+  }
+
+  const assets = await loadCollectionAssets(collection, { activeOnly: true });
+  return {
+    _id: collection._id,
+    name: collection.name,
+    description: collection.description,
+    owner: { name: collection.userId?.name || 'Former user' },
+    assets,
+    assetCount: assets.length,
+    updatedAt: collection.updatedAt
+  };
+};
+
+/**
+ * Drop a deleted asset from every collection holding it
+ */
+const removeAssetFromAllCollections = (assetId) => Collection.updateMany(
+  { assetIds: assetId },
+  { $pull: { assetIds: assetId } }
+);
+
+module.exports = {
+  MAX_COLLECTIONS_PER_USER,
+  MAX_ASSETS_PER_COLLECTION,
+  toCollectionSummary,
+  loadCollectionAssets,
+  createCollection,
+  listCollections,
+  getOwnCollection,
+  updateCollection,
+  deleteCollection,
+  addAssetToCollection,
+  removeAssetFromCollection,
+  getSharedCollection,
+  removeAssetFromAllCollections
+};
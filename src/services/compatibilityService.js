@@ -0,0 +1,149 @@
+const { RENDER_PIPELINES, PLATFORMS } = require('../config/unity');
+const {
+  isValidSemver,
+  isValidUnityVersion,
+  isValidUpmPackageName,
+  unityVersionKey
+} = require('../utils/versioning');
+const { parseList } = require('./facetService');
+
+// Unity compatibility metadata of an asset: supported editor ranges, render
+// pipelines, target platforms and package dependencies. Multipart forms send
+// lists as comma-separated strings, so every field also has a string form:
+//   unityVersions: "2021.3-2022.3, 2023.2+"  (a bare "2022.3" is that stream only)
+//   renderPipelines: "URP,HDRP"   platforms: "WINDOWS,ANDROID"
+//   dependencies: "com.unity.textmeshpro@3.0.6"
+
+const MAX_UNITY_VERSION_RANGES = 10;
+const MAX_DEPENDENCIES = 50;
+
+const COMPATIBILITY_FIELDS = ['unityVersions', 'renderPipelines', 'platforms', 'dependencies'];
+
+// Accept a JSON array, a comma-separated string or an array
+const toItems = (value) => {
+  if (typeof value === 'string' && value.trim().startsWith('[')) {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return null;
+    }
+  }
+  return Array.isArray(value) ? value : parseList(value);
+};
+
+// "2021.3-2022.3" / "2023.2+" / "2022.3" or { min, max }
+const toUnityRange = (item) => {
+  if (item && typeof item === 'object') {
+    return { min: String(item.min || '').trim(), max: item.max ? String(item.max).trim() : null };
+  }
+  const text = String(item).trim();
+  if (text.endsWith('+')) return { min: text.slice(0, -1).trim(), max: null };
+  const [min, max = min] = text.split(/\s*-\s*/);
+  return { min, max };
+};
+
+// "com.unity.textmeshpro@3.0.6" or { name, version }
+const toDependency = (item) => {
+  if (item && typeof item === 'object') {
+    return { name: String(item.name || '').trim(), version: String(item.version || '').trim() };
+  }
+  const [name, version = ''] = String(item).trim().split('@');
+  return { name, version };
+};
+
+const formatUnityRange = ({ min, max }) => {
+  if (!max) return `${min}+`;
+  return max === min ? min : `${min}-${max}`;
+};
+
+const parseUnityVersions = (value, errors) => {
+  const items = toItems(value);
+  if (!items) return errors.push({ field: 'unityVersions', message: 'Unity versions must be a list of ranges' });
+  if (items.length > MAX_UNITY_VERSION_RANGES) {
+    return errors.push({ field: 'unityVersions', message: `At most ${MAX_UNITY_VERSION_RANGES} Unity version ranges are allowed` });
+  }
+
+  const ranges = items.map(toUnityRange);
+  for (const range of ranges) {
+    const { min, max } = range;
+    if (!isValidUnityVersion(min) || (max && !isValidUnityVersion(max))) {
+      errors.push({ field: 'unityVersions', message: `Invalid Unity version range "${formatUnityRange(range)}" - use versions like 2021.3 or 2022.3.10f1` });
+    } else if (max && unityVersionKey(min) > unityVersionKey(max, { upper: true })) {
+      errors.push({ field: 'unityVersions', message: `Unity version range ${formatUnityRange(range)} ends before it starts` });
+    }
+  }
+  return ranges;
+};
+
+const parseEnumList = (field, value, allowed, label, errors) => {
+  const items = toItems(value);
+  if (!items) return errors.push({ field, message: `${label} must be a list` });
+
+  const values = [...new Set(items.map(item => String(item).trim().toUpperCase()))];
+  const invalid = values.filter(item => !allowed[item]);
+  if (invalid.length > 0) {
+    errors.push({ field, message: `Unknown ${label.toLowerCase()}: ${invalid.join(', ')} - use any of ${Object.keys(allowed).join(', ')}` });
+  }
+  return values;
+};
+
+const parseDependencies = (value, errors) => {
+  const items = toItems(value);
+  if (!items) return errors.push({ field: 'dependencies', message: 'Dependencies must be a list of packages' });
+  if (items.length > MAX_DEPENDENCIES) {
+    return errors.push({ field: 'dependencies', message: `At most ${MAX_DEPENDENCIES} dependencies are allowed` });
+  }
+
+  const dependencies = items.map(toDependency);
+  const seen = new Set();
+  for (const { name, version } of dependencies) {
+    if (!isValidUpmPackageName(name)) {
+      errors.push({ field: 'dependencies', message: `Invalid package name "${name}" - use lowercase reverse-domain notation, e.g. com.unity.textmeshpro` });
+    } else if (!isValidSemver(version)) {
+      errors.push({ field: 'dependencies', message: `${name} needs a semantic version like 3.0.6` });
+    } else if (seen.has(name)) {
+      errors.push({ field: 'dependencies', message: `${name} is listed more than once` });
+    }
+    seen.add(name);
+  }
+  return dependencies;
+};
+
+/**
+ * Validate the compatibility fields present in a request body and return them
+ * normalized, ready to assign to an Asset. Fields that are absent are left out;
+ * null or an empty value clears a field. Throws an error with status 400 and
+ * `errors: [{ field, message }]` when anything is invalid.
+ */
+const parseCompatibility = (body = {}) => {
+  const errors = [];
+  const updates = {};
+
+  for (const field of COMPATIBILITY_FIELDS.filter(name => body[name] !== undefined)) {
+    const value = body[field];
+    if (value === null || value === '') {
+      updates[field] = [];
+    } else if (field === 'unityVersions') {
+      updates[field] = parseUnityVersions(value, errors);
+    } else if (field === 'renderPipelines') {
+      updates[field] = parseEnumList(field, value, RENDER_PIPELINES, 'Render pipelines', errors);
+    } else if (field === 'platforms') {
+      updates[field] = parseEnumList(field, value, PLATFORMS, 'Platforms', errors);
+    } else {
+      updates[field] = parseDependencies(value, errors);
+    }
+  }
+
+  if (errors.length > 0) {
+    const error = new Error(errors[0].message);
+    error.status = 400;
+    error.errors = errors;
+    throw error;
+  }
+  return updates;
+};
+
+module.exports = {
+  COMPATIBILITY_FIELDS,
+  parseCompatibility
+};
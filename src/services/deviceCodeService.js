@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const { DeviceCode } = require('../models/index');
+
+// OAuth-style device authorization (RFC 8628) for the Unity editor plugin:
+// the editor requests a device code, the user approves the short user code
+// in the browser, and the editor polls until tokens are issued.
+
+const DEVICE_CODE_TTL_MS = 10 * 60 * 1000;
+const POLL_INTERVAL_SECONDS = 5;
+const SLOW_DOWN_INCREMENT_SECONDS = 5;
+const USER_CODE_ALPHABET = 'BCDFGHJKLMNPQRSTVWXZ'; // No vowels or look-alike characters
+const USER_CODE_LENGTH = 8;
+
+const hashDeviceCode = (deviceCode) => crypto.createHash('sha256').update(deviceCode).digest('hex');
+
+const deviceError = (message, code, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+// "BCDFGHJK" -> "BCDF-GHJK"
+const formatUserCode = (code) => `${code.slice(0, 4)}-${code.slice(4)}`;
+
+const generateUserCode = () => {
+  let code = '';
+  for (let i = 0; i < USER_CODE_LENGTH; i++) {
+    code += USER_CODE_ALPHABET[crypto.randomInt(USER_CODE_ALPHABET.length)];
+  }
+  return formatUserCode(code);
+};
+
+// Accept what users actually type: lowercase, spaces, missing dash
+const normalizeUserCode = (input) => {
+  const code = String(input || '').toUpperCase().replace(/[^A-Z]/g, '');
+  return code.length === USER_CODE_LENGTH ? formatUserCode(code) : null;
+};
+
+/**
+ * Start a device authorization. The device code is returned once and only its hash is stored.
+ */
+const createDeviceCode = async ({ clientName } = {}) => {
+  const deviceCode = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + DEVICE_CODE_TTL_MS);
+
+  // Retry on the (unlikely) chance of a user code collision
+  for (let attempt = 0; attempt < 3; attempt++) {
+    try {
+      const record = await DeviceCode.create({
+        deviceCodeHash: hashDeviceCode(deviceCode),
+        userCode: generateUserCode(),
+        ...(clientName && { clientName: String(clientName).slice(0, 100) }),
+        interval: POLL_INTERVAL_SECONDS,
+        expiresAt
+      });
+
+      return {
+        deviceCode,
+        userCode: record.userCode,
+        expiresAt,
+        interval: record.interval
+      };
+    } catch (error) {
+      if (error.code !== 11000 || !error.keyPattern?.userCode) throw error;
+    }
+  }
+
+  throw new Error('Could not allocate a unique user code');
+};
+
+/**
+ * Find a pending, unexpired request by the code the user typed
+ */
+const findPendingDeviceCode = async (userCode) => {
+  const normalized = normalizeUserCode(userCode);
+  if (!normalized) return null;
+
+  return DeviceCode.findOne({
+    userCode: normalized,
+    status: 'pending',
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+/**
+ * Approve or deny a pending request on behalf of the logged-in user.
+ * Returns the updated record, or null if the code is unknown, expired or already handled.
+ */
+const resolveDeviceCode = async (userCode, userId, approve) => {
+  const normalized = normalizeUserCode(userCode);
+  if (!normalized) return null;
+
+  return DeviceCode.findOneAndUpdate(
+    { userCode: normalized, status: 'pending', expiresAt: { $gt: new Date() } },
+    { status: approve ? 'approved' : 'denied', userId },
+    { new: true }
+  );
+};
+
+/**
+ * Poll for the outcome of a device authorization. Resolves with the approving
+ * user's id once; otherwise throws an error whose `code` follows RFC 8628
+ * (authorization_pending, slow_down, access_denied, expired_token, invalid_grant).
+ */
+const pollDeviceCode = async (deviceCode) => {
+  const record = await DeviceCode.findOne({ deviceCodeHash: hashDeviceCode(String(deviceCode)) });
+  const now = new Date();
+
+  if (!record) {
+    throw deviceError('Invalid or expired device code', 'invalid_grant');
+  }
+
+  if (record.expiresAt < now) {
+    throw deviceError('Device code has expired - please start again', 'expired_token');
+  }
+
+  if (record.status === 'denied') {
+    throw deviceError('The request was denied', 'access_denied');
+  }
+
+  if (record.status === 'consumed') {
+    throw deviceError('Device code has already been used', 'invalid_grant');
+  }
+
+  if (record.status === 'pending') {
+    if (record.lastPolledAt && now - record.lastPolledAt < record.interval * 1000) {
+      await DeviceCode.updateOne(
+        { _id: record._id },
+        { lastPolledAt: now, $inc: { interval: SLOW_DOWN_INCREMENT_SECONDS } }
+      );
+      throw deviceError(`Polling too fast - wait ${record.interval + SLOW_DOWN_INCREMENT_SECONDS} seconds between requests`, 'slow_down');
+    }
+
+    await DeviceCode.updateOne({ _id: record._id }, { lastPolledAt: now });
+    throw deviceError('Waiting for the user to approve the request', 'authorization_pending');
+  }
+
+  // Consume atomically so an approval can only be exchanged for tokens once
+  const claimed = await DeviceCode.findOneAndUpdate(
+    { _id: record._id, status: 'approved' },
+    { status: 'consumed', lastPolledAt: now }
+  );
+
+  if (!claimed) {
+    throw deviceError('Device code has already been used', 'invalid_grant');
+  }
+
+  return { userId: claimed.userId, clientName: claimed.clientName };
+};
+
+module.exports = {
+  DEVICE_CODE_TTL_MS,
+  normalizeUserCode,
+  createDeviceCode,
+  findPendingDeviceCode,
+  resolveDeviceCode,
+  pollDeviceCode
+};
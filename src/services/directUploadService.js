@@ -0,0 +1,296 @@
+const { DirectUpload } = require('../models/index');
+const { getStorage, buildKey, getContentType } = require('./storage');
+const { MAX_UPLOAD_SIZE } = require('./uploadSessionService');
+const {
+  FILE_HEAD_BYTES,
+  UPLOAD_RULES,
+  checkFileType,
+  validateFileContents,
+  readFileHead
+} = require('./fileValidationService');
+const { hashStoredFile } = require('./integrityService');
+
+// Direct-to-S3 uploads: the browser PUTs the thumbnail and the package parts
+// straight to the bucket with presigned URLs, so file bytes never pass through
+// the API server. The package always uses a multipart upload. The bucket's CORS
+// rules must allow PUT from the frontend origin and expose the ETag header.
+
+const MB = 1024 * 1024;
+const DIRECT_UPLOAD_TTL_SECONDS = 6 * 60 * 60; // Also the lifetime of the presigned URLs
+const MAX_THUMBNAIL_SIZE = UPLOAD_RULES.thumbnail.maxSize;
+const DEFAULT_PART_SIZE = 16 * MB;
+const MAX_PARTS = 10000; // S3 limit
+
+const directUploadError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const validateFileSpec = (spec, label, maxSize) => {
+  if (!spec || typeof spec.fileName !== 'string' || !spec.fileName.trim()) {
+    throw directUploadError(`${label} file name is required`);
+  }
+  const size = Number(spec.fileSize);
+  if (!Number.isInteger(size) || size < 1 || size > maxSize) {
+    throw directUploadError(`${label} size must be between 1 byte and ${Math.round(maxSize / MB)}MB`);
+  }
+  return size;
+};
+
+// Smallest whole-MB part size (>= 16MB) that fits the file in 10,000 parts
+const choosePartSize = (fileSize) => Math.max(DEFAULT_PART_SIZE, Math.ceil(fileSize / MAX_PARTS / MB) * MB);
+
+const getDirectUploadStorage = () => {
+  const storage = getStorage();
+  if (!storage.supportsDirectUploads) {
+    throw directUploadError('Direct uploads require S3 storage - use POST /api/assets or /api/uploads instead', 501);
+  }
+  return storage;
+};
+
+/**
+ * Start a direct upload. Returns the DirectUpload document plus the presigned
+ * URLs the browser needs: one PUT for the thumbnail and one per package part.
+ */
+const createDirectUpload = async (userId, { thumbnail, package: pkg }) => {
+  const storage = getDirectUploadStorage();
+
+  const thumbnailSize = validateFileSpec(thumbnail, 'Thumbnail', MAX_THUMBNAIL_SIZE);
+  if (typeof thumbnail.contentType !== 'string' || !thumbnail.contentType.startsWith('image/')) {
+    throw directUploadError('Thumbnail content type must be an image type');
+  }
+  const packageSize = validateFileSpec(pkg, 'Package', MAX_UPLOAD_SIZE);
+  checkFileType('thumbnail', thumbnail.fileName.trim());
+  checkFileType('assetFile', pkg.fileName.trim());
+
+  const partSize = choosePartSize(packageSize);
+  const partCount = Math.ceil(packageSize / partSize);
+  const thumbnailKey = buildKey('thumbnail', thumbnail.fileName);
+  const packageKey = buildKey('assetFile', pkg.fileName);
+  const expiresIn = DIRECT_UPLOAD_TTL_SECONDS;
+
+  const multipartUploadId = await storage.createMultipartUpload(packageKey, {
+    contentType: getContentType(pkg.fileName)
+  });
+
+  const [thumbnailUpload, partUrls] = await Promise.all([
+    storage.getPresignedPutUrl(thumbnailKey, { contentType: thumbnail.contentType, expiresIn }),
+    Promise.all(Array.from({ length: partCount }, (_, i) => (
+      storage.getPresignedPartUrl(packageKey, multipartUploadId, i + 1, { expiresIn })
+    )))
+  ]);
+
+  const directUpload = await DirectUpload.create({
+    userId,
+    thumbnailKey,
+    thumbnailFileName: thumbnail.fileName.trim(),
+    thumbnailSize,
+    packageKey,
+    packageFileName: pkg.fileName.trim(),
+    packageSize,
+    multipartUploadId,
+    partSize,
+    partCount,
+    expiresAt: new Date(Date.now() + expiresIn * 1000)
+  });
+
+  return {
+    directUpload,
+    thumbnail: {
+      key: thumbnailKey,
+      method: 'PUT',
+      url: thumbnailUpload.url,
+      headers: thumbnailUpload.headers
+    },
+    package: {
+      key: packageKey,
+      partSize,
+      partCount,
+      // PUT each slice [ (partNumber - 1) * partSize, partNumber * partSize ) and keep the ETag response header
+      parts: partUrls.map((url, i) => ({ partNumber: i + 1, method: 'PUT', url }))
+    }
+  };
+};
+
+/**
+ * Load one of a user's direct uploads, or throw a 404
+ */
+const getDirectUpload = async (uploadId, userId) => {
+  const directUpload = await DirectUpload.findOne({ _id: uploadId, userId });
+  if (!directUpload) {
+    throw directUploadError('Direct upload not found', 404);
+  }
+  return directUpload;
+};
+
+const validateParts = (directUpload, parts) => {
+  if (!Array.isArray(parts) || parts.length !== directUpload.partCount) {
+    throw directUploadError(`Expected ETags for all ${directUpload.partCount} package parts`);
+  }
+
+  const seen = new Set();
+  for (const part of parts) {
+    const partNumber = Number(part?.partNumber);
+    if (!Number.isInteger(partNumber) || partNumber < 1 || partNumber > directUpload.partCount || seen.has(partNumber)) {
+      throw directUploadError('Each part needs a unique partNumber between 1 and the part count');
+    }
+    if (typeof part.etag !== 'string' || !part.etag) {
+      throw directUploadError(`Part ${partNumber} is missing its ETag`);
+    }
+    seen.add(partNumber);
+  }
+
+  return parts.map(part => ({ partNumber: Number(part.partNumber), etag: part.etag }));
+};
+
+/**
+ * Complete the package's multipart upload, check both objects exist with the
+ * declared sizes and pass the file type checks, and mark the upload as used by assetId.
+ * Returns { thumbnail: { key, url, size, checksum }, package: { key, url, size, etag } }.
+ */
+const finalizeDirectUpload = async (directUpload, parts, assetId) => {
+  const storage = getDirectUploadStorage();
+
+  if (directUpload.status !== 'pending') {
+    throw directUploadError(`Direct upload is ${directUpload.status}`, 409);
+  }
+  if (directUpload.expiresAt < new Date()) {
+    throw directUploadError('Direct upload has expired - please start again', 410);
+  }
+
+  const completedParts = validateParts(directUpload, parts);
+
+  // Claim it so two finalize calls cannot both create an asset
+  const claimed = await DirectUpload.findOneAndUpdate(
+    { _id: directUpload._id, status: 'pending' },
+    { status: 'finalizing' },
+    { new: true }
+  );
+  if (!claimed) {
+    throw directUploadError('Direct upload is already being finalized', 409);
+  }
+
+  // Hand the claim back so the upload can be finalized again. Conditional on
+  // the stored status, so it never undoes an abort or a completed finalize.
+  const release = () => DirectUpload.updateOne(
+    { _id: claimed._id, status: 'finalizing' },
+    { status: 'pending' }
+  );
+
+  try {
+    try {
+      await storage.completeMultipartUpload(claimed.packageKey, claimed.multipartUploadId, completedParts);
+    } catch (error) {
+      // A retry after a failure further down finds the multipart upload already completed
+      if (error.name !== 'NoSuchUpload' || !(await storage.head(claimed.packageKey))) {
+        throw directUploadError(`Package upload is incomplete: ${error.message}`);
+      }
+    }
+
+    const [thumbnailObject, packageObject] = await Promise.all([
+      storage.head(claimed.thumbnailKey),
+      storage.head(claimed.packageKey)
+    ]);
+
+    if (!thumbnailObject) {
+      throw directUploadError('Thumbnail has not been uploaded');
+    }
+    if (thumbnailObject.size !== claimed.thumbnailSize) {
+      throw directUploadError(`Thumbnail is ${thumbnailObject.size} bytes, expected ${claimed.thumbnailSize}`);
+    }
+    if (!packageObject || packageObject.size !== claimed.packageSize) {
+      // The assembled package is wrong and cannot be fixed - start over
+      await abortDirectUpload(claimed);
+      throw directUploadError(`Package is ${packageObject ? packageObject.size : 0} bytes, expected ${claimed.packageSize} - please upload it again`, 422);
+    }
+
+    // The bytes never passed through the API, so sniff both files now. The
+    // thumbnail is small enough to read in full for its sha256; the package's is
+    // recorded by the malware scan, which reads it anyway.
+    const [thumbnailHash, packageHead] = await Promise.all([
+      hashStoredFile(claimed.thumbnailKey, { headBytes: FILE_HEAD_BYTES }),
+      readFileHead(storage, claimed.packageKey)
+    ]);
+
+    try {
+      validateFileContents('assetFile', claimed.packageFileName, packageHead);
+    } catch (error) {
+      await abortDirectUpload(claimed);
+      throw error;
+    }
+
+    try {
+      validateFileContents('thumbnail', claimed.thumbnailFileName || claimed.thumbnailKey, thumbnailHash.head);
+    } catch (error) {
+      // The thumbnail URL is still valid, so the client can PUT a new one and finalize again
+      await storage.delete(claimed.thumbnailKey).catch(() => {});
+      throw error;
+    }
+
+    claimed.status = 'completed';
+    claimed.assetId = assetId;
+    await claimed.save();
+
+    return {
+      thumbnail: {
+        key: claimed.thumbnailKey,
+        url: storage.getUrl(claimed.thumbnailKey),
+        size: thumbnailObject.size,
+        checksum: thumbnailHash.sha256
+      },
+      package: {
+        key: claimed.packageKey,
+        url: storage.getUrl(claimed.packageKey),
+        size: packageObject.size,
+        etag: packageObject.etag
+      }
+    };
+  } catch (error) {
+    // Whatever failed - a rejected file or a storage error - must not leave
+    // the upload stuck in 'finalizing', where every retry gets a 409
+    await release().catch(releaseError => console.error('Failed to release direct upload:', releaseError));
+    throw error;
+  }
+};
+
+/**
+ * Hand a finalized upload back when creating its asset failed afterwards, so
+ * it can be finalized again (e.g. with a replacement thumbnail) or cancelled
+ */
+const releaseDirectUpload = async (directUpload, assetId) => {
+  const result = await DirectUpload.updateOne(
+    { _id: directUpload._id, status: 'completed', assetId },
+    { status: 'pending', assetId: null }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Cancel a direct upload and delete anything already uploaded
+ */
+const abortDirectUpload = async (directUpload) => {
+  if (directUpload.status === 'completed') {
+    throw directUploadError('Direct upload has already been finalized', 409);
+  }
+
+  const storage = getDirectUploadStorage();
+  await storage.abortMultipartUpload(directUpload.packageKey, directUpload.multipartUploadId).catch(() => {});
+  await Promise.allSettled([
+    storage.delete(directUpload.thumbnailKey),
+    storage.delete(directUpload.packageKey)
+  ]);
+
+  directUpload.status = 'aborted';
+  await directUpload.save();
+  return directUpload;
+};
+
+module.exports = {
+  DIRECT_UPLOAD_TTL_SECONDS,
+  createDirectUpload,
+  getDirectUpload,
+  finalizeDirectUpload,
+  releaseDirectUpload,
+  abortDirectUpload
+};
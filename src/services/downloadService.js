@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+const { Asset, Download, UserSubscription, SubscriptionPackage } = require('../models/index');
+
+/**
+ * Get the start of today and tomorrow (the daily download window)
+ */
+const getTodayWindow = () => {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const tomorrow = new Date(today);
+  tomorrow.setDate(tomorrow.getDate() + 1);
+  return { today, tomorrow };
+};
+
+/**
+ * Get a user's active subscription with its plan populated on planId
+ */
+const getActiveSubscription = async (userId) => {
+  const activeSubscription = await UserSubscription.findOne({
+    userId,
+    isActive: true,
+    endDate: { $gte: new Date() },
+    $or: [
+      { stripeStatus: { $in: ['active', 'trialing'] } },
+      { stripeStatus: { $exists: false } } // For manually created subscriptions
+    ]
+  });
+
+  // Manually populate the plan since strict populate doesn't work
+  if (activeSubscription && activeSubscription.planId) {
+    const plan = await SubscriptionPackage.findById(activeSubscription.planId);
+    activeSubscription.planId = plan;
+  }
+
+  return activeSubscription;
+};
+
+/**
+ * Count the downloads a user has made today
+ */
+const getTodayDownloadCount = async (userId) => {
+  const { today, tomorrow } = getTodayWindow();
+  return Download.countDocuments({
+    userId,
+    downloadedAt: {
+      $gte: today,
+      $lt: tomorrow
+    }
+  });
+};
+
+/**
+ * Check whether a user may download right now.
+ * Admins are unlimited; everyone else needs an active subscription with quota left.
+ * Returns { allowed: true } or { allowed: false, status, message }.
+ */
+const checkDownloadQuota = async (user) => {
+  if (user.role === 'ADMIN') {
+    return { allowed: true };
+  }
+
+  const activeSubscription = await getActiveSubscription(user._id);
+
+  if (!activeSubscription || !activeSubscription.planId) {
+    return {
+      allowed: false,
+      status: 403,
+      message: 'Active subscription required to download assets'
+    };
+  }
+
+  const { tomorrow } = getTodayWindow();
+  const todayDownloads = await getTodayDownloadCount(user._id);
+  const dailyLimit = activeSubscription.planId.dailyDownloadLimit;
+
+  if (todayDownloads >= dailyLimit) {
+    return {
+      allowed: false,
+      status: 429,
+      message: `Daily download limit of ${dailyLimit} reached. Limit resets at ${tomorrow.toLocaleTimeString()}`
+    };
+  }
+
+  return { allowed: true };
+};
+
+/**
+ * Record a download against the user's daily quota
+ */
+const recordDownload = async (userId, assetId, version = null) => {
+  const download = await Download.create({
+    userId: userId.toString(),
+    assetId: assetId.toString(),
+    version,
+    downloadedAt: new Date()
+  });
+  // Asset.downloadCount ranks assets by popularity (search suggestions)
+  await Asset.updateOne({ _id: assetId }, { $inc: { downloadCount: 1 } });
+  return download;
+};
+
+/**
+ * Recompute Asset.downloadCount from the Download collection, e.g. for
+ * downloads recorded before the count was kept. Returns the number of assets updated.
+ */
+const recountAssetDownloads = async () => {
+  const counts = (await Download.aggregate([{ $group: { _id: '$assetId', count: { $sum: 1 } } }]))
+    .filter(({ _id }) => mongoose.Types.ObjectId.isValid(_id));
+
+  const result = await Asset.bulkWrite([
+    ...counts.map(({ _id, count }) => ({
+      updateOne: { filter: { _id }, update: { $set: { downloadCount: count } } }
+    })),
+    {
+      updateMany: {
+        filter: { _id: { $nin: counts.map(({ _id }) => _id) } },
+        update: { $set: { downloadCount: 0 } }
+      }
+    }
+  ]);
+  return result.modifiedCount;
+};
+
+module.exports = {
+  getTodayWindow,
+  getActiveSubscription,
+  getTodayDownloadCount,
+  checkDownloadQuota,
+  recordDownload,
+  recountAssetDownloads
+};
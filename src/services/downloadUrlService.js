@@ -0,0 +1,39 @@
+const path = require('path');
+const { getStorage, resolveFileKey } = require('./storage');
+
+const DOWNLOAD_URL_TTL_SECONDS = 5 * 60;
+
+// Build a safe attachment name like "Fantasy-Character-Pack-1.2.0.unitypackage"
+const buildDownloadFileName = (assetName, version, key) => {
+  const base = String(assetName || 'asset').replace(/[^a-zA-Z0-9._-]+/g, '-').replace(/^-+|-+$/g, '') || 'asset';
+  return `${base}${version ? `-${version}` : ''}${path.extname(key || '')}`;
+};
+
+/**
+ * Create a short-lived download URL bound to the user who consumed the download
+ * (a presigned URL for S3, an HMAC-signed /api/downloads/file URL for local disk).
+ * Returns { url, expiresAt }.
+ */
+const createDownloadUrl = async ({ fileKey, fileUrl, userId, fileName }) => {
+  const key = resolveFileKey({ fileKey, fileUrl });
+
+  if (!key) {
+    // External or demo file - nothing we can sign
+    return { url: fileUrl, expiresAt: null };
+  }
+
+  const expiresAt = new Date(Date.now() + DOWNLOAD_URL_TTL_SECONDS * 1000);
+  const url = await getStorage().getSignedUrl(key, {
+    expiresIn: DOWNLOAD_URL_TTL_SECONDS,
+    fileName: fileName || path.basename(key),
+    userId: userId.toString()
+  });
+
+  return { url, expiresAt };
+};
+
+module.exports = {
+  DOWNLOAD_URL_TTL_SECONDS,
+  buildDownloadFileName,
+  createDownloadUrl
+};
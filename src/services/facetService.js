@@ -0,0 +1,368 @@
+const mongoose = require('mongoose');
+const { Asset, Category } = require('../models/index');
+const { RENDER_PIPELINES, PLATFORMS } = require('../config/unity');
+const { isValidUnityVersion, compareUnityVersions, unityVersionKey } = require('../utils/versioning');
+
+// Catalog facets: filters for the storefront sidebar, each returned with the
+// number of assets it would match. A facet's counts apply every other active
+// filter but not its own, so several options of one facet can be combined
+// (e.g. "URP (42)" stays visible after ticking HDRP).
+//
+// Query parameters (lists are comma-separated or repeated):
+//   category=<id,...>  tags=<tag,...>  renderPipeline=URP,HDRP  platform=ANDROID,IOS
+//   unityVersion=2022.3         works with this editor (unknown requirements included)
+//   dependency=<package,...>    depends on one of these UPM packages (no counts)
+//   minFileSize, maxFileSize    bytes - min inclusive, max exclusive
+//   addedAfter, addedBefore     ISO dates
+
+const MB = 1024 * 1024;
+
+const FILE_SIZE_BUCKETS = [
+  { value: 'under-1mb', label: 'Under 1 MB', max: MB },
+  { value: '1-10mb', label: '1-10 MB', min: MB, max: 10 * MB },
+  { value: '10-100mb', label: '10-100 MB', min: 10 * MB, max: 100 * MB },
+  { value: '100mb-1gb', label: '100 MB - 1 GB', min: 100 * MB, max: 1024 * MB },
+  { value: 'over-1gb', label: 'Over 1 GB', min: 1024 * MB }
+];
+
+const DATE_ADDED_PRESETS = [
+  { value: '7d', label: 'Last 7 days', days: 7 },
+  { value: '30d', label: 'Last 30 days', days: 30 },
+  { value: '90d', label: 'Last 90 days', days: 90 },
+  { value: '1y', label: 'Last year', days: 365 }
+];
+
+const MAX_TAG_OPTIONS = 25;
+
+const filterError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Accept a list as repeated parameters or a comma-separated string
+const parseList = (value) => {
+  const values = Array.isArray(value) ? value : String(value || '').split(',');
+  return [...new Set(values.map(item => String(item).trim()).filter(Boolean))];
+};
+
+const parseBytes = (value, name) => {
+  if (value === undefined || value === '') return null;
+  const bytes = Number(value);
+  if (!Number.isInteger(bytes) || bytes < 0) {
+    throw filterError(`${name} must be a whole number of bytes`);
+  }
+  return bytes;
+};
+
+const parseDate = (value, name) => {
+  if (value === undefined || value === '') return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw filterError(`${name} must be a date like 2024-01-31`);
+  }
+  return date;
+};
+
+// "2022.3.10f1" -> "2022.3"
+const toReleaseStream = (unityVersion) => unityVersion.split('.').slice(0, 2).join('.');
+
+// Does an asset requiring `minUnityVersion` work with `unityVersion`? A bare
+// stream like 2022.3 matches assets requiring any 2022.3 patch.
+const worksWithUnity = (minUnityVersion, unityVersion) => {
+  const required = unityVersion.split('.').length > 2 ? minUnityVersion : toReleaseStream(minUnityVersion);
+  return compareUnityVersions(required, unityVersion) <= 0;
+};
+
+/**
+ * Unity versions mentioned anywhere in the catalog: the latest-version
+ * minimums (few distinct values, so compared here rather than in queries)
+ * and the release streams to offer as filter options, newest first.
+ */
+const getKnownUnityVersions = async () => {
+  const [minimums, rangeStarts, rangeEnds] = await Promise.all([
+    Asset.distinct('minUnityVersion', { minUnityVersion: { $type: 'string' } }),
+    Asset.distinct('unityVersions.min'),
+    Asset.distinct('unityVersions.max')
+  ]);
+  const valid = (version) => typeof version === 'string' && isValidUnityVersion(version);
+
+  return {
+    minimums: minimums.filter(valid),
+    streams: [...new Set([...minimums, ...rangeStarts, ...rangeEnds].filter(valid).map(toReleaseStream))]
+      .sort((a, b) => compareUnityVersions(b, a))
+  };
+};
+
+// Assets that work with `unityVersion`: one of their declared ranges overlaps
+// it or, when they declare none, their latest version's minimum allows it
+const unityVersionCondition = (unityVersion, minimums) => {
+  const lowest = unityVersionKey(unityVersion);
+  const highest = unityVersionKey(unityVersion, { upper: true });
+
+  return {
+    $or: [
+      {
+        unityVersions: {
+          $elemMatch: {
+            minKey: { $lte: highest },
+            $or: [{ maxKey: null }, { maxKey: { $gte: lowest } }]
+          }
+        }
+      },
+      {
+        'unityVersions.0': { $exists: false },
+        minUnityVersion: { $in: [null, ...minimums.filter(version => worksWithUnity(version, unityVersion))] }
+      }
+    ]
+  };
+};
+
+/**
+ * Read and validate the facet filters of a GET /api/assets query.
+ * Throws an error with status 400 for malformed values.
+ */
+const parseFacetFilters = (query) => {
+  const categories = parseList(query.category).filter(id => id !== 'all');
+  if (categories.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    throw filterError('Invalid category ID format');
+  }
+
+  const renderPipelines = parseList(query.renderPipeline).map(pipeline => pipeline.toUpperCase());
+  if (renderPipelines.some(pipeline => !RENDER_PIPELINES[pipeline])) {
+    throw filterError(`Render pipeline must be one of: ${Object.keys(RENDER_PIPELINES).join(', ')}`);
+  }
+
+  const platforms = parseList(query.platform).map(platform => platform.toUpperCase());
+  if (platforms.some(platform => !PLATFORMS[platform])) {
+    throw filterError(`Platform must be one of: ${Object.keys(PLATFORMS).join(', ')}`);
+  }
+
+  const unityVersion = query.unityVersion ? String(query.unityVersion).trim() : null;
+  if (unityVersion && !isValidUnityVersion(unityVersion)) {
+    throw filterError('Unity version must look like 2021.3 or 2022.3.10f1');
+  }
+
+  return {
+    categories: categories.map(id => new mongoose.Types.ObjectId(id)),
+    tags: parseList(query.tags),
+    renderPipelines,
+    platforms,
+    dependencies: parseList(query.dependency),
+    unityVersion,
+    minFileSize: parseBytes(query.minFileSize, 'minFileSize'),
+    maxFileSize: parseBytes(query.maxFileSize, 'maxFileSize'),
+    addedAfter: parseDate(query.addedAfter, 'addedAfter'),
+    addedBefore: parseDate(query.addedBefore, 'addedBefore')
+  };
+};
+
+const rangeCondition = (min, max) => ({
+  ...(min !== null && { $gte: min }),
+  ...(max !== null && { $lt: max })
+});
+
+/**
+ * MongoDB conditions for the active filters, keyed by facet
+ */
+const buildFacetConditions = async (filters) => {
+  const conditions = {};
+
+  if (filters.categories.length > 0) {
+    conditions.categories = { categoryId: { $in: filters.categories } };
+  }
+  if (filters.tags.length > 0) {
+    conditions.tags = { tags: { $in: filters.tags } };
+  }
+  if (filters.renderPipelines.length > 0) {
+    conditions.renderPipelines = { renderPipelines: { $in: filters.renderPipelines } };
+  }
+  if (filters.platforms.length > 0) {
+    conditions.platforms = { platforms: { $in: filters.platforms } };
+  }
+  if (filters.dependencies.length > 0) {
+    conditions.dependencies = { 'dependencies.name': { $in: filters.dependencies } };
+  }
+  if (filters.unityVersion) {
+    const { minimums } = await getKnownUnityVersions();
+    conditions.unityVersions = unityVersionCondition(filters.unityVersion, minimums);
+  }
+  if (filters.minFileSize !== null || filters.maxFileSize !== null) {
+    conditions.fileSize = { fileSize: rangeCondition(filters.minFileSize, filters.maxFileSize) };
+  }
+  if (filters.addedAfter || filters.addedBefore) {
+    conditions.dateAdded = { createdAt: rangeCondition(filters.addedAfter, filters.addedBefore) };
+  }
+
+  return conditions;
+};
+
+/**
+ * Combine facet conditions into one filter, optionally leaving one facet out
+ */
+const combineFacetConditions = (conditions, exceptFacet = null) => {
+  const active = Object.entries(conditions)
+    .filter(([facet]) => facet !== exceptFacet)
+    .map(([, condition]) => condition);
+  return active.length > 0 ? { $and: active } : {};
+};
+
+// Aggregation expression counting documents whose `field` is within [min, max)
+const countInRange = (field, min, max) => ({
+  $sum: {
+    $cond: [{
+      $and: [
+        { $ne: [{ $type: field }, 'missing'] },
+        { $ne: [field, null] },
+        ...(min !== undefined ? [{ $gte: [field, min] }] : []),
+        ...(max !== undefined ? [{ $lt: [field, max] }] : [])
+      ]
+    }, 1, 0]
+  }
+});
+
+/**
+ * Per-option counts of every facet. `baseQuery` holds the non-facet filters
+ * (text search, status) and may contain $text.
+ */
+const getFacetCounts = async (baseQuery, conditions) => {
+  const except = (facet) => ({ $match: combineFacetConditions(conditions, facet) });
+  const { minimums, streams } = await getKnownUnityVersions();
+  const now = Date.now();
+  const presets = DATE_ADDED_PRESETS.map(preset => ({ ...preset, since: new Date(now - preset.days * 24 * 60 * 60 * 1000) }));
+
+  const [counts] = await Asset.aggregate([
+    { $match: baseQuery },
+    {
+      $facet: {
+        categories: [
+          except('categories'),
+          { $group: { _id: '$categoryId', count: { $sum: 1 } } },
+          { $sort: { count: -1 } }
+        ],
+        tags: [
+          except('tags'),
+          { $unwind: '$tags' },
+          { $group: { _id: '$tags', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: MAX_TAG_OPTIONS }
+        ],
+        renderPipelines: [
+          except('renderPipelines'),
+          { $unwind: '$renderPipelines' },
+          { $group: { _id: '$renderPipelines', count: { $sum: 1 } } }
+        ],
+        platforms: [
+          except('platforms'),
+          { $unwind: '$platforms' },
+          { $group: { _id: '$platforms', count: { $sum: 1 } } }
+        ],
+        // One count per release stream - an asset can work with several
+        ...Object.fromEntries(streams.map((stream, index) => [`unityVersion${index}`, [
+          except('unityVersions'),
+          { $match: unityVersionCondition(stream, minimums) },
+          { $count: 'count' }
+        ]])),
+        fileSize: [
+          except('fileSize'),
+          {
+            $group: {
+              _id: null,
+              ...Object.fromEntries(FILE_SIZE_BUCKETS.map(({ value, min, max }) => [value, countInRange('$fileSize', min, max)]))
+            }
+          }
+        ],
+        dateAdded: [
+          except('dateAdded'),
+          {
+            $group: {
+              _id: null,
+              ...Object.fromEntries(presets.map(({ value, since }) => [value, countInRange('$createdAt', since)]))
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  const categoryDocs = await Category.find({ _id: { $in: counts.categories.map(c => c._id).filter(Boolean) } })
+    .select('name slug')
+    .lean();
+  const categoriesById = new Map(categoryDocs.map(category => [category._id.toString(), category]));
+
+  const sizeCounts = counts.fileSize[0] || {};
+  const dateCounts = counts.dateAdded[0] || {};
+
+  return {
+    categories: counts.categories
+      .filter(({ _id }) => _id && categoriesById.has(_id.toString()))
+      .map(({ _id, count }) => {
+        const { name, slug } = categoriesById.get(_id.toString());
+        return { value: _id, label: name, slug, count };
+      }),
+    tags: counts.tags.map(({ _id, count }) => ({ value: _id, label: _id, count })),
+    renderPipelines: Object.entries(RENDER_PIPELINES).map(([value, label]) => ({
+      value,
+      label,
+      count: counts.renderPipelines.find(({ _id }) => _id === value)?.count || 0
+    })),
+    platforms: Object.entries(PLATFORMS).map(([value, label]) => ({
+      value,
+      label,
+      count: counts.platforms.find(({ _id }) => _id === value)?.count || 0
+    })),
+    unityVersions: streams.map((stream, index) => ({
+      value: stream,
+      label: `Unity ${stream}`,
+      count: counts[`unityVersion${index}`][0]?.count || 0
+    })),
+    fileSize: FILE_SIZE_BUCKETS.map(({ value, label, min, max }) => ({
+      value,
+      label,
+      minFileSize: min ?? null,
+      maxFileSize: max ?? null,
+      count: sizeCounts[value] || 0
+    })),
+    dateAdded: presets.map(({ value, label, since }) => ({
+      value,
+      label,
+      addedAfter: since.toISOString(),
+      count: dateCounts[value] || 0
+    }))
+  };
+};
+
+/**
+ * Fill in the mirrored latest-version fields of assets saved before they
+ * existed. Returns the number of assets updated.
+ */
+const backfillFacetFields = async () => {
+  const result = await Asset.updateMany({ latestVersion: { $type: 'string' } }, [
+    {
+      $set: {
+        latest: {
+          $arrayElemAt: [{ $filter: { input: '$versions', cond: { $eq: ['$$this.version', '$latestVersion'] } } }, 0]
+        }
+      }
+    },
+    {
+      $set: {
+        fileSize: { $ifNull: ['$latest.fileSize', null] },
+        minUnityVersion: { $ifNull: ['$latest.minUnityVersion', null] }
+      }
+    },
+    { $unset: 'latest' }
+  ]);
+  return result.modifiedCount;
+};
+
+module.exports = {
+  FILE_SIZE_BUCKETS,
+  DATE_ADDED_PRESETS,
+  parseList,
+  parseFacetFilters,
+  buildFacetConditions,
+  combineFacetConditions,
+  getFacetCounts,
+  backfillFacetFields
+};
@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+const { Asset, Favorite } = require('../models/index');
+
+// Favorites are per-user bookmarks of assets. Asset.favoriteCount is kept in
+// step as favorites are added and removed.
+
+// Asset fields shown in favorites and collections
+const ASSET_CARD_FIELDS = 'name description thumbnail category categoryId tags latestVersion rating favoriteCount downloadCount isActive createdAt';
+
+const favoriteError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const findAsset = async (assetId) => {
+  if (!mongoose.Types.ObjectId.isValid(assetId)) {
+    throw favoriteError(400, 'Invalid asset ID format');
+  }
+  const asset = await Asset.findOne({ _id: assetId, isActive: true }).select('_id');
+  if (!asset) {
+    throw favoriteError(404, 'Asset not found');
+  }
+  return asset;
+};
+
+const getFavoriteCount = async (assetId) => {
+  const asset = await Asset.findById(assetId).select('favoriteCount').lean();
+  return asset ? asset.favoriteCount : 0;
+};
+
+/**
+ * Favorite an asset. Favoriting it again is a no-op.
+ * Returns { created, favoriteCount }.
+ */
+const addFavorite = async (userId, assetId) => {
+  const asset = await findAsset(assetId);
+
+  try {
+    await Favorite.create({ userId, assetId: asset._id });
+  } catch (error) {
+    if (error.code === 11000) {
+      return { created: false, favoriteCount: await getFavoriteCount(asset._id) };
+    }
+    throw error;
+  }
+
+  const updated = await Asset.findByIdAndUpdate(asset._id, { $inc: { favoriteCount: 1 } }, { new: true })
+    .select('favoriteCount')
+    .lean();
+  return { created: true, favoriteCount: updated ? updated.favoriteCount : 0 };
+};
+
+/**
+ * Remove an asset from the user's favorites. Returns { removed, favoriteCount }.
+ */
+const removeFavorite = async (userId, assetId) => {
+  if (!mongoose.Types.ObjectId.isValid(assetId)) {
+    throw favoriteError(400, 'Invalid asset ID format');
+  }
+
+  const removed = await Favorite.findOneAndDelete({ userId, assetId });
+  if (removed) {
+    await Asset.updateOne({ _id: assetId, favoriteCount: { $gt: 0 } }, { $inc: { favoriteCount: -1 } });
+  }
+  return { removed: Boolean(removed), favoriteCount: await getFavoriteCount(assetId) };
+};
+
+/**
+ * The user's favorite assets, most recently favorited first
+ */
+const listFavorites = async (userId, { page = 1, limit = 12 } = {}) => {
+  const pageNum = Math.max(parseInt(page) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit) || 12, 1), 100);
+
+  const [favorites, total] = await Promise.all([
+    Favorite.find({ userId })
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .populate('assetId', ASSET_CARD_FIELDS)
+      .lean(),
+    Favorite.countDocuments({ userId })
+  ]);
+
+  const totalPages = Math.ceil(total / limitNum);
+  return {
+    // Favorites of deleted assets are cleaned up with the asset, but skip any stragglers
+    assets: favorites
+      .filter(favorite => favorite.assetId)
+      .map(favorite => ({ ...favorite.assetId, isFavorited: true, favoritedAt: favorite.createdAt })),
+    pagination: {
+      currentPage: pageNum,
+      totalPages,
+      totalAssets: total,
+      hasNextPage: pageNum < totalPages,
+      hasPrevPage: pageNum > 1,
+      limit: limitNum
+    }
+  };
+};
+
+/**
+ * Set `isFavorited` on each asset for the current user (false for anonymous callers)
+ */
+const addFavoriteFlags = async (user, assets) => {
+  if (!user || assets.length === 0) {
+    return assets.map(asset => ({ ...asset, isFavorited: false }));
+  }
+
+  const favorites = await Favorite.find({ userId: user._id, assetId: { $in: assets.map(asset => asset._id) } })
+    .select('assetId')
+    .lean();
+  const favorited = new Set(favorites.map(favorite => favorite.assetId.toString()));
+  return assets.map(asset => ({ ...asset, isFavorited: favorited.has(asset._id.toString()) }));
+};
+
+/**
+ * Remove every favorite of a deleted asset
+ */
+const deleteAssetFavorites = (assetId) => Favorite.deleteMany({ assetId });
+
+module.exports = {
+  ASSET_CARD_FIELDS,
+  addFavorite,
+  removeFavorite,
+  listFavorites,
+  addFavoriteFlags,
+  deleteAssetFavorites
+};
@@ -0,0 +1,129 @@
+const path = require('path');
+const { detectImage, detectArchive } = require('../utils/fileType');
+
+const MB = 1024 * 1024;
+
+// How much of the start of a file is buffered for sniffing. JPEG dimensions
+// come after any EXIF/ICC segments, so this is more than the magic bytes alone.
+const FILE_HEAD_BYTES = 256 * 1024;
+
+const IMAGE_RULE = {
+  kind: 'image',
+  types: { '.png': 'png', '.jpg': 'jpeg', '.jpeg': 'jpeg', '.webp': 'webp' },
+  maxSize: 10 * MB,
+  minWidth: 64,
+  minHeight: 64,
+  maxWidth: 4096,
+  maxHeight: 4096
+};
+
+// Per-field upload rules. `types` maps each accepted extension to the format
+// its contents must actually be.
+const UPLOAD_RULES = {
+  thumbnail: { ...IMAGE_RULE, label: 'Thumbnail' },
+  images: { ...IMAGE_RULE, label: 'Preview image' }, // Gallery images after the thumbnail
+  assetFile: {
+    label: 'Asset file',
+    kind: 'archive',
+    // .unitypackage files are gzipped tarballs
+    types: { '.unitypackage': 'gzip', '.tgz': 'gzip', '.zip': 'zip' }
+  }
+};
+
+const FORMAT_NAMES = { png: 'PNG', jpeg: 'JPEG', webp: 'WebP', gzip: 'gzip', zip: 'zip' };
+
+/**
+ * Error for a rejected upload. Carries a structured `errors` entry the error
+ * handlers return as-is: [{ field, file, code, message }].
+ */
+const fileValidationError = (field, file, code, message) => {
+  const error = new Error(message);
+  error.name = 'FileValidationError';
+  error.status = code === 'FILE_TOO_LARGE' ? 413 : 400;
+  error.code = code;
+  error.errors = [{ field, file, code, message }];
+  return error;
+};
+
+const getRule = (field, fileName) => {
+  const rule = UPLOAD_RULES[field];
+  if (!rule) {
+    throw fileValidationError(field, fileName, 'UNEXPECTED_FILE_FIELD', `Unexpected file field: ${field}`);
+  }
+  return rule;
+};
+
+/**
+ * Check the file name before anything is stored. Throws a FileValidationError
+ * for unknown fields and extensions the field does not accept.
+ */
+const checkFileType = (field, fileName) => {
+  const rule = getRule(field, fileName);
+  const extension = path.extname(fileName || '').toLowerCase();
+
+  if (!rule.types[extension]) {
+    throw fileValidationError(field, fileName, 'UNSUPPORTED_FILE_TYPE',
+      `${rule.label} must be one of: ${Object.keys(rule.types).join(', ')}`);
+  }
+  return rule.types[extension];
+};
+
+/**
+ * Check the first bytes of a stored file (at least FILE_HEAD_BYTES when the
+ * file is that large) against its field's rules: the magic bytes must match the
+ * extension and images must be within the pixel bounds.
+ * Returns the detected { format, width?, height? } or throws a FileValidationError.
+ */
+const validateFileContents = (field, fileName, head) => {
+  const rule = getRule(field, fileName);
+  const expected = checkFileType(field, fileName);
+  const expectedName = FORMAT_NAMES[expected];
+
+  if (rule.kind === 'archive') {
+    const format = detectArchive(head);
+    if (format !== expected) {
+      throw fileValidationError(field, fileName, 'INVALID_FILE_CONTENT',
+        `${rule.label} is not a valid ${expectedName} archive`);
+    }
+    return { format };
+  }
+
+  const image = detectImage(head);
+  if (!image || image.format !== expected) {
+    throw fileValidationError(field, fileName, 'INVALID_FILE_CONTENT',
+      image
+        ? `${rule.label} has a ${path.extname(fileName)} extension but is a ${FORMAT_NAMES[image.format]} image`
+        : `${rule.label} is not a valid ${expectedName} image`);
+  }
+  if (!image.width || !image.height) {
+    throw fileValidationError(field, fileName, 'INVALID_FILE_CONTENT',
+      `Could not read the ${rule.label.toLowerCase()} dimensions`);
+  }
+
+  const { minWidth, minHeight, maxWidth, maxHeight } = rule;
+  if (image.width < minWidth || image.height < minHeight || image.width > maxWidth || image.height > maxHeight) {
+    throw fileValidationError(field, fileName, 'INVALID_IMAGE_DIMENSIONS',
+      `${rule.label} is ${image.width}x${image.height} pixels - it must be between ${minWidth}x${minHeight} and ${maxWidth}x${maxHeight}`);
+  }
+  return image;
+};
+
+/**
+ * Read the head of a stored file for validateFileContents
+ */
+const readFileHead = async (storage, key) => {
+  const chunks = [];
+  for await (const chunk of await storage.getStream(key, { start: 0, end: FILE_HEAD_BYTES - 1 })) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+module.exports = {
+  FILE_HEAD_BYTES,
+  UPLOAD_RULES,
+  fileValidationError,
+  checkFileType,
+  validateFileContents,
+  readFileHead
+};
@@ -0,0 +1,143 @@
+const path = require('path');
+const sharp = require('sharp');
+const { Asset } = require('../models/index');
+const { getStorage, resolveFileKey, deletePreviewImageFiles } = require('./storage');
+const { fileValidationError } = require('./fileValidationService');
+
+// Preview images are stored as uploaded, plus fixed-size WebP derivatives so
+// clients never have to load the original: `card` for catalog grids, `detail`
+// for the asset page and `full` for a lightbox. The first image is the cover,
+// and Asset.thumbnail always points at its card derivative.
+
+const IMAGE_DERIVATIVES = {
+  card: { width: 480, height: 360, fit: 'cover' }, // Cropped to the grid's 4:3 tiles
+  detail: { width: 1280, height: 960, fit: 'inside' },
+  full: { width: 2560, height: 2560, fit: 'inside' }
+};
+
+const MAX_PREVIEW_IMAGES = 10;
+const DERIVATIVE_QUALITY = 82;
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Generate and store the derivatives of an uploaded image.
+ * `file` is a stored upload: { key, url, checksums?, fieldname?, originalname? }.
+ * Returns the preview image to push onto Asset.images. Throws a
+ * FileValidationError if the image cannot be decoded.
+ */
+const createPreviewImage = async (file) => {
+  const storage = getStorage();
+  const original = await readAll(await storage.getStream(file.key));
+  // Derivatives always live under the public thumbnails/ prefix
+  const base = `thumbnails/${path.basename(file.key, path.extname(file.key))}`;
+  const image = {
+    originalKey: file.key,
+    originalUrl: file.url,
+    checksum: file.checksums?.sha256 || null,
+    derivatives: {}
+  };
+
+  try {
+    const metadata = await sharp(original).metadata();
+    image.width = metadata.width;
+    image.height = metadata.height;
+
+    for (const [name, { width, height, fit }] of Object.entries(IMAGE_DERIVATIVES)) {
+      const { data, info } = await sharp(original)
+        .rotate() // Apply EXIF orientation
+        .resize({ width, height, fit, withoutEnlargement: true })
+        .webp({ quality: DERIVATIVE_QUALITY })
+        .toBuffer({ resolveWithObject: true });
+
+      const key = `${base}-${name}.webp`;
+      const { url } = await storage.put(key, data, { contentType: 'image/webp' });
+      image.derivatives[name] = { key, url, width: info.width, height: info.height };
+    }
+  } catch (error) {
+    await deletePreviewImageFiles({ derivatives: image.derivatives });
+    const field = file.fieldname || 'thumbnail';
+    throw fileValidationError(field, file.originalname || file.key, 'INVALID_IMAGE',
+      `Image could not be processed: ${error.message}`);
+  }
+
+  return image;
+};
+
+/**
+ * Create preview images for several uploads, in order. If any fails, everything
+ * stored for this batch - originals included - is deleted again.
+ */
+const createPreviewImages = async (files) => {
+  const images = [];
+  try {
+    for (const file of files) {
+      images.push(await createPreviewImage(file));
+    }
+    return images;
+  } catch (error) {
+    await Promise.all([
+      ...images.map(deletePreviewImageFiles),
+      ...files.slice(images.length).map(file => deletePreviewImageFiles({ originalKey: file.key }))
+    ]);
+    throw error;
+  }
+};
+
+/**
+ * Point Asset.thumbnail (and its checksum) at the current cover image
+ */
+const syncCoverImage = (asset) => {
+  const cover = asset.images?.[0];
+  if (cover) {
+    asset.thumbnail = cover.derivatives.card.url;
+    asset.thumbnailChecksum = cover.checksum;
+  }
+  return asset;
+};
+
+/**
+ * Turn the single thumbnail of assets created before preview images existed
+ * into their first preview image. Returns { converted, failed }.
+ */
+const backfillPreviewImages = async () => {
+  const assets = await Asset.find({ 'images.0': { $exists: false }, thumbnail: { $type: 'string' } });
+  let converted = 0;
+  let failed = 0;
+
+  for (const asset of assets) {
+    const key = resolveFileKey({ fileUrl: asset.thumbnail });
+    if (!key) continue; // External or demo image
+
+    try {
+      asset.images = [await createPreviewImage({
+        key,
+        url: asset.thumbnail,
+        checksums: { sha256: asset.thumbnailChecksum }
+      })];
+      syncCoverImage(asset);
+      await asset.save();
+      converted++;
+    } catch (error) {
+      failed++;
+      console.error(`⚠️  Could not create preview images for ${asset.name}: ${error.message}`);
+    }
+  }
+
+  return { converted, failed };
+};
+
+module.exports = {
+  IMAGE_DERIVATIVES,
+  MAX_PREVIEW_IMAGES,
+  createPreviewImage,
+  createPreviewImages,
+  syncCoverImage,
+  backfillPreviewImages
+};
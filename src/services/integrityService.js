@@ -0,0 +1,147 @@
+const { pipeline } = require('stream');
+const { Asset } = require('../models/index');
+const { getStorage, resolveFileKey } = require('./storage');
+const { createChecksumStream } = require('../utils/checksum');
+
+// Every stored file gets a sha256: package versions in `versions[].checksum`
+// and thumbnails in `thumbnailChecksum`. The editor verifies downloads against
+// them, and uploads are checked against them to spot the same file published twice.
+
+/**
+ * Hash a file already in storage. Returns { sha256, sha1, size, head } - head
+ * holds the first headBytes bytes, for file type checks.
+ */
+const hashStoredFile = async (key, { headBytes = 0 } = {}) => {
+  const hashing = createChecksumStream({ headBytes });
+  const stream = await getStorage().getStream(key);
+
+  await new Promise((resolve, reject) => {
+    pipeline(stream, hashing, (error) => (error ? reject(error) : resolve()));
+    hashing.resume();
+  });
+
+  return { ...hashing.digests(), size: hashing.bytes, head: hashing.head() };
+};
+
+/**
+ * Look for other assets that already contain the same package or thumbnail.
+ * Returns warnings like { code: 'DUPLICATE_PACKAGE', message, assetId, assetName, version }.
+ */
+const findDuplicateAssets = async ({ packageChecksum, thumbnailChecksum }, excludeAssetId = null) => {
+  const exclude = excludeAssetId ? { _id: { $ne: excludeAssetId } } : {};
+  const warnings = [];
+
+  if (packageChecksum) {
+    const matches = await Asset.find({ 'versions.checksum': packageChecksum, ...exclude })
+      .select('name versions.version versions.checksum')
+      .limit(5);
+
+    for (const match of matches) {
+      const { version } = match.versions.find(v => v.checksum === packageChecksum);
+      warnings.push({
+        code: 'DUPLICATE_PACKAGE',
+        message: `The same package is already published as ${match.name} v${version}`,
+        assetId: match._id,
+        assetName: match.name,
+        version
+      });
+    }
+  }
+
+  if (thumbnailChecksum) {
+    const matches = await Asset.find({ thumbnailChecksum, ...exclude }).select('name').limit(5);
+
+    for (const match of matches) {
+      warnings.push({
+        code: 'DUPLICATE_THUMBNAIL',
+        message: `The same thumbnail is already used by ${match.name}`,
+        assetId: match._id,
+        assetName: match.name
+      });
+    }
+  }
+
+  return warnings;
+};
+
+/**
+ * Check a version for duplicates once its checksum is known - for packages
+ * only read back from storage after the upload (direct uploads) - and store
+ * the warnings on the version, where the uploader sees them in GET /api/assets/:id.
+ */
+const recordDuplicateAssets = async (asset, version, checksums) => {
+  const warnings = await findDuplicateAssets(checksums, asset._id);
+  await Asset.updateOne(
+    { _id: asset._id, 'versions.version': version },
+    { $set: { 'versions.$.duplicateWarnings': warnings } }
+  );
+  for (const warning of warnings) {
+    console.warn(`⚠️  ${asset.name} v${version}: ${warning.message}`);
+  }
+  return warnings;
+};
+
+/**
+ * Compute the missing checksums of files uploaded before they were recorded.
+ * Returns { updated, failed }.
+ */
+const backfillChecksums = async () => {
+  const assets = await Asset.find({
+    $or: [
+      { thumbnail: { $type: 'string' }, thumbnailChecksum: null },
+      { 'versions.checksum': null }
+    ]
+  }).select('name thumbnail thumbnailChecksum images versions');
+
+  let updated = 0;
+  let failed = 0;
+
+  const hashFile = async (label, file) => {
+    const key = resolveFileKey(file);
+    if (!key) return null;
+    try {
+      return (await hashStoredFile(key)).sha256;
+    } catch (error) {
+      failed++;
+      console.error(`⚠️  Could not hash ${label}: ${error.message}`);
+      return null;
+    }
+  };
+
+  for (const asset of assets) {
+    if (asset.thumbnail && !asset.thumbnailChecksum) {
+      // Hash the cover's original, not the card derivative Asset.thumbnail points at
+      const cover = asset.images?.[0];
+      const sha256 = await hashFile(`${asset.name} thumbnail`, cover
+        ? { fileKey: cover.originalKey, fileUrl: cover.originalUrl }
+        : { fileUrl: asset.thumbnail });
+      if (sha256) {
+        await Asset.updateOne({ _id: asset._id }, {
+          thumbnailChecksum: sha256,
+          ...(cover && { 'images.0.checksum': sha256 })
+        });
+        updated++;
+      }
+    }
+
+    for (const version of asset.versions.filter(v => !v.checksum)) {
+      const sha256 = await hashFile(`${asset.name} v${version.version}`, version);
+      if (sha256) {
+        await Asset.updateOne(
+          { _id: asset._id, 'versions.version': version.version },
+          { $set: { 'versions.$.checksum': sha256 } }
+        );
+        updated++;
+      }
+    }
+  }
+
+  return { updated, failed };
+};
+
+module.exports = {
+  hashStoredFile,
+  findDuplicateAssets,
+  recordDuplicateAssets,
+  backfillChecksums
+};
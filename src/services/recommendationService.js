@@ -0,0 +1,199 @@
+const { Asset, Download } = require('../models/index');
+const { ASSET_CARD_FIELDS } = require('./favoriteService');
+
+// Recommendations shown next to an asset:
+//   alsoDownloaded - assets most often downloaded by the same users (co-downloads)
+//   related        - assets sharing tags, category or render pipelines, nudged up
+//                    by co-downloads
+// New assets have no download history and often sparse metadata, so related
+// is topped up with the most popular assets of the same category, then of the
+// whole catalog. Assets the caller already downloaded are never recommended.
+
+const DEFAULT_LIMIT = 6;
+const MAX_LIMIT = 20;
+
+// Most recent downloaders of the asset considered when counting co-downloads
+const MAX_DOWNLOADERS = 1000;
+// Co-downloads by fewer distinct users than this are treated as noise
+const MIN_CO_DOWNLOADS = 2;
+// Assets sharing a tag or the category scored for similarity, most downloaded first
+const MAX_SIMILAR_CANDIDATES = 200;
+
+const SIMILARITY_WEIGHTS = {
+  tag: 3,
+  category: 2,
+  renderPipeline: 1,
+  coDownload: 1.5
+};
+
+const toIdStrings = (ids) => ids.map(id => id.toString());
+
+/**
+ * Assets the user has downloaded (as id strings) - none for anonymous callers
+ */
+const getDownloadedAssetIds = async (user) => {
+  if (!user) return [];
+  return toIdStrings(await Download.distinct('assetId', { userId: user._id.toString() }));
+};
+
+/**
+ * Distinct users who downloaded both this asset and each other asset, most
+ * shared first: [{ assetId, users }]. Only the asset's most recent downloaders
+ * are counted, and the caller's own downloads are left out.
+ */
+const getCoDownloadCounts = async (asset, { excludeUserId, limit }) => {
+  const assetId = asset._id.toString();
+
+  const downloaders = await Download.aggregate([
+    { $match: { assetId, ...(excludeUserId && { userId: { $ne: excludeUserId } }) } },
+    { $group: { _id: '$userId', lastDownloadedAt: { $max: '$downloadedAt' } } },
+    { $sort: { lastDownloadedAt: -1 } },
+    { $limit: MAX_DOWNLOADERS }
+  ]);
+  if (downloaders.length === 0) return [];
+
+  const counts = await Download.aggregate([
+    { $match: { userId: { $in: downloaders.map(d => d._id) }, assetId: { $ne: assetId } } },
+    { $group: { _id: { assetId: '$assetId', userId: '$userId' } } },
+    { $group: { _id: '$_id.assetId', users: { $sum: 1 } } },
+    { $match: { users: { $gte: MIN_CO_DOWNLOADS } } },
+    { $sort: { users: -1, _id: 1 } },
+    { $limit: limit }
+  ]);
+  return counts.map(({ _id, users }) => ({ assetId: _id, users }));
+};
+
+const countShared = (a = [], b = []) => {
+  const values = new Set(a.map(value => String(value).toLowerCase()));
+  return b.filter(value => values.has(String(value).toLowerCase())).length;
+};
+
+/**
+ * How closely a candidate resembles the asset, with the reasons behind the score
+ */
+const scoreSimilarity = (asset, candidate, coDownloads = 0) => {
+  const sharedTags = countShared(asset.tags, candidate.tags);
+  const sameCategory = Boolean(asset.categoryId && candidate.categoryId &&
+    asset.categoryId.toString() === candidate.categoryId.toString());
+  const sharedPipelines = countShared(asset.renderPipelines, candidate.renderPipelines);
+
+  const reasons = [];
+  if (sharedTags > 0) reasons.push('tags');
+  if (sameCategory) reasons.push('category');
+  if (sharedPipelines > 0) reasons.push('renderPipelines');
+  if (coDownloads > 0) reasons.push('alsoDownloaded');
+
+  const score = sharedTags * SIMILARITY_WEIGHTS.tag +
+    (sameCategory ? SIMILARITY_WEIGHTS.category : 0) +
+    sharedPipelines * SIMILARITY_WEIGHTS.renderPipeline +
+    Math.log2(1 + coDownloads) * SIMILARITY_WEIGHTS.coDownload;
+
+  return { score: Math.round(score * 100) / 100, reasons };
+};
+
+/**
+ * Most downloaded active assets outside `excluded`, optionally within one category
+ */
+const findPopularAssets = (excluded, limit, categoryId) => {
+  if (limit <= 0) return [];
+  return Asset.find({
+    _id: { $nin: [...excluded] },
+    isActive: true,
+    ...(categoryId && { categoryId })
+  })
+    .select(ASSET_CARD_FIELDS)
+    .sort({ downloadCount: -1, 'rating.average': -1, createdAt: -1 })
+    .limit(limit)
+    .lean();
+};
+
+/**
+ * Fill a list up to `limit` with popular assets - same category first, then
+ * the whole catalog. Every asset added is also added to `excluded`.
+ */
+const topUpWithPopular = async (list, asset, excluded, limit) => {
+  const scopes = asset.categoryId ? [asset.categoryId, null] : [null];
+  for (const categoryId of scopes) {
+    if (list.length >= limit) break;
+
+    const popular = await findPopularAssets(excluded, limit - list.length, categoryId);
+    for (const candidate of popular) {
+      excluded.add(candidate._id.toString());
+      list.push({ ...candidate, reasons: ['popular'] });
+    }
+  }
+  return list;
+};
+
+/**
+ * Recommendations for an asset page. Pass the signed-in user (or undefined)
+ * to leave out what they already downloaded.
+ * Returns { related, alsoDownloaded, fallback } - `fallback` is true when
+ * popular assets had to fill in for missing history or metadata.
+ */
+const getRecommendations = async (asset, user, { limit = DEFAULT_LIMIT } = {}) => {
+  const limitNum = Math.min(Math.max(parseInt(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  const downloadedIds = await getDownloadedAssetIds(user);
+  const excluded = new Set([asset._id.toString(), ...downloadedIds]);
+
+  // Users also downloaded
+  const coDownloadCounts = await getCoDownloadCounts(asset, {
+    excludeUserId: user ? user._id.toString() : null,
+    limit: MAX_SIMILAR_CANDIDATES
+  });
+  const coDownloadsById = new Map(coDownloadCounts
+    .filter(({ assetId }) => !excluded.has(assetId))
+    .map(({ assetId, users }) => [assetId, users]));
+
+  const coDownloadedAssets = coDownloadsById.size > 0
+    ? await Asset.find({ _id: { $in: [...coDownloadsById.keys()] }, isActive: true })
+      .select(`${ASSET_CARD_FIELDS} renderPipelines`)
+      .lean()
+    : [];
+  const alsoDownloaded = coDownloadedAssets
+    .map(candidate => ({ ...candidate, coDownloads: coDownloadsById.get(candidate._id.toString()) }))
+    .sort((a, b) => b.coDownloads - a.coDownloads || b.downloadCount - a.downloadCount)
+    .slice(0, limitNum);
+
+  // Related - similar metadata, boosted by co-downloads. Assets already shown
+  // under alsoDownloaded are left out so the two lists don't repeat each other.
+  const shown = new Set([...excluded, ...toIdStrings(alsoDownloaded.map(a => a._id))]);
+  const similarityFilters = [];
+  if (asset.tags?.length > 0) similarityFilters.push({ tags: { $in: asset.tags } });
+  if (asset.categoryId) similarityFilters.push({ categoryId: asset.categoryId });
+
+  const similarCandidates = similarityFilters.length > 0
+    ? await Asset.find({ _id: { $nin: [...shown] }, isActive: true, $or: similarityFilters })
+      .select(`${ASSET_CARD_FIELDS} renderPipelines`)
+      .sort({ downloadCount: -1 })
+      .limit(MAX_SIMILAR_CANDIDATES)
+      .lean()
+    : [];
+  const related = similarCandidates
+    .map(candidate => ({
+      ...candidate,
+      ...scoreSimilarity(asset, candidate, coDownloadsById.get(candidate._id.toString()))
+    }))
+    .filter(candidate => candidate.score > 0)
+    .sort((a, b) => b.score - a.score || b.downloadCount - a.downloadCount)
+    .slice(0, limitNum);
+
+  // Fall back to popular assets where history or metadata ran short
+  const similarCount = related.length;
+  for (const candidate of related) shown.add(candidate._id.toString());
+  await topUpWithPopular(related, asset, shown, limitNum);
+
+  return {
+    related: related.map(({ renderPipelines, ...candidate }) => candidate),
+    alsoDownloaded: alsoDownloaded.map(({ renderPipelines, ...candidate }) => candidate),
+    fallback: related.length > similarCount
+  };
+};
+
+module.exports = {
+  getDownloadedAssetIds,
+  getCoDownloadCounts,
+  scoreSimilarity,
+  getRecommendations
+};
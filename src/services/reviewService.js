@@ -0,0 +1,289 @@
+const mongoose = require('mongoose');
+const { Asset, Download, Review } = require('../models/index');
+
+// Ratings and reviews. Anyone who has downloaded an asset can rate it (1-5)
+// and review it, once - later submissions edit the same review. Moderators
+// can hide reviews (they then no longer count towards the asset's rating),
+// delete them and reply publicly.
+
+const MAX_TITLE_LENGTH = 120;
+const MAX_BODY_LENGTH = 5000;
+const MAX_RESPONSE_LENGTH = 2000;
+
+const REVIEW_SORTS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  highest: { rating: -1, createdAt: -1 },
+  lowest: { rating: 1, createdAt: -1 }
+};
+
+const reviewError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const parsePaging = ({ page = 1, limit = 10 }) => {
+  const pageNum = Math.max(parseInt(page) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit) || 10, 1), 50);
+  return { pageNum, limitNum, skip: (pageNum - 1) * limitNum };
+};
+
+const toPagination = (pageNum, limitNum, total) => {
+  const totalPages = Math.ceil(total / limitNum);
+  return {
+    currentPage: pageNum,
+    totalPages,
+    totalReviews: total,
+    hasNextPage: pageNum < totalPages,
+    hasPrevPage: pageNum > 1,
+    limit: limitNum
+  };
+};
+
+/**
+ * Validate a submitted review. Returns { rating, title, body } or throws a 400.
+ */
+const validateReviewInput = ({ rating, title = '', body = '' } = {}) => {
+  const stars = Number(rating);
+  if (!Number.isInteger(stars) || stars < 1 || stars > 5) {
+    throw reviewError(400, 'Rating must be a whole number from 1 to 5');
+  }
+  if (typeof title !== 'string' || title.trim().length > MAX_TITLE_LENGTH) {
+    throw reviewError(400, `Review title must be at most ${MAX_TITLE_LENGTH} characters`);
+  }
+  if (typeof body !== 'string' || body.trim().length > MAX_BODY_LENGTH) {
+    throw reviewError(400, `Review text must be at most ${MAX_BODY_LENGTH} characters`);
+  }
+  return { rating: stars, title: title.trim(), body: body.trim() };
+};
+
+/**
+ * The user's most recent download of an asset, or null - only downloaders can review
+ */
+const findLatestDownload = (userId, assetId) => Download.findOne({
+  userId: userId.toString(),
+  assetId: assetId.toString()
+}).sort({ downloadedAt: -1 });
+
+/**
+ * Recompute an asset's rating summary from its visible reviews
+ */
+const refreshAssetRating = async (assetId) => {
+  const groups = await Review.aggregate([
+    { $match: { assetId: new mongoose.Types.ObjectId(assetId.toString()), isHidden: false } },
+    { $group: { _id: '$rating', count: { $sum: 1 } } }
+  ]);
+
+  const histogram = [0, 0, 0, 0, 0];
+  for (const { _id: stars, count } of groups) {
+    histogram[stars - 1] = count;
+  }
+  const count = histogram.reduce((sum, n) => sum + n, 0);
+  const total = histogram.reduce((sum, n, i) => sum + n * (i + 1), 0);
+  const rating = {
+    average: count > 0 ? Math.round((total / count) * 100) / 100 : 0,
+    count,
+    histogram
+  };
+
+  await Asset.updateOne({ _id: assetId }, { rating });
+  return rating;
+};
+
+/**
+ * Review as shown publicly - the author's name only, no moderation details
+ */
+const toPublicReview = (review) => ({
+  _id: review._id,
+  rating: review.rating,
+  title: review.title,
+  body: review.body,
+  version: review.version,
+  author: { _id: review.userId?._id || review.userId, name: review.userId?.name || 'Former user' },
+  response: review.response ? { body: review.response.body, respondedAt: review.response.respondedAt } : null,
+  editedAt: review.editedAt,
+  createdAt: review.createdAt
+});
+
+/**
+ * Visible reviews of an asset, with its rating summary.
+ * Options: page, limit, sort (newest | oldest | highest | lowest), rating (only n stars).
+ */
+const listAssetReviews = async (asset, { page, limit, sort = 'newest', rating } = {}) => {
+  if (!REVIEW_SORTS[sort]) {
+    throw reviewError(400, `Sort must be one of: ${Object.keys(REVIEW_SORTS).join(', ')}`);
+  }
+  const { pageNum, limitNum, skip } = parsePaging({ page, limit });
+
+  const query = { assetId: asset._id, isHidden: false };
+  if (rating !== undefined && rating !== '') {
+    query.rating = validateReviewInput({ rating }).rating;
+  }
+
+  const [reviews, total] = await Promise.all([
+    Review.find(query)
+      .populate('userId', 'name')
+      .sort(REVIEW_SORTS[sort])
+      .skip(skip)
+      .limit(limitNum)
+      .lean(),
+    Review.countDocuments(query)
+  ]);
+
+  return {
+    rating: asset.rating,
+    reviews: reviews.map(toPublicReview),
+    pagination: toPagination(pageNum, limitNum, total)
+  };
+};
+
+/**
+ * The user's own review of an asset (hidden or not) and whether they may write one
+ */
+const getOwnReview = async (userId, assetId) => {
+  const [review, download] = await Promise.all([
+    Review.findOne({ assetId, userId }).lean(),
+    findLatestDownload(userId, assetId)
+  ]);
+  return { review, canReview: Boolean(review || download) };
+};
+
+/**
+ * Create the user's review of an asset or edit the one they already wrote.
+ * Returns { review, created }. Throws 403 if they have never downloaded it.
+ */
+const saveReview = async (user, asset, input) => {
+  const { rating, title, body } = validateReviewInput(input);
+  const download = await findLatestDownload(user._id, asset._id);
+  let review = await Review.findOne({ assetId: asset._id, userId: user._id });
+
+  if (!review && !download) {
+    throw reviewError(403, 'Only users who have downloaded this asset can review it');
+  }
+
+  const created = !review;
+  const now = new Date();
+  if (created) {
+    review = new Review({ assetId: asset._id, userId: user._id });
+  } else {
+    review.editedAt = now;
+  }
+
+  Object.assign(review, { rating, title, body, updatedAt: now });
+  if (download?.version) review.version = download.version;
+
+  try {
+    await review.save();
+  } catch (error) {
+    // Two submissions raced to create the same review
+    if (error.code === 11000) throw reviewError(409, 'You have already reviewed this asset');
+    throw error;
+  }
+
+  await refreshAssetRating(asset._id);
+  return { review, created };
+};
+
+// ==================== MODERATION ====================
+
+const findReviewById = async (reviewId) => {
+  if (!mongoose.Types.ObjectId.isValid(reviewId)) {
+    throw reviewError(400, 'Invalid review ID format');
+  }
+  const review = await Review.findById(reviewId);
+  if (!review) {
+    throw reviewError(404, 'Review not found');
+  }
+  return review;
+};
+
+/**
+ * Reviews for the moderation queue, newest first, with reviewer emails.
+ * Options: status (all | visible | hidden), assetId, rating, page, limit.
+ */
+const listReviewsForModeration = async ({ status = 'all', assetId, rating, page, limit } = {}) => {
+  const { pageNum, limitNum, skip } = parsePaging({ page, limit });
+  const query = {};
+
+  if (status === 'visible' || status === 'hidden') {
+    query.isHidden = status === 'hidden';
+  } else if (status !== 'all') {
+    throw reviewError(400, 'Status must be one of: all, visible, hidden');
+  }
+  if (assetId) {
+    if (!mongoose.Types.ObjectId.isValid(assetId)) {
+      throw reviewError(400, 'Invalid asset ID format');
+    }
+    query.assetId = assetId;
+  }
+  if (rating !== undefined && rating !== '') {
+    query.rating = validateReviewInput({ rating }).rating;
+  }
+
+  const [reviews, total] = await Promise.all([
+    Review.find(query)
+      .populate('userId', 'name email')
+      .populate('assetId', 'name')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum)
+      .lean(),
+    Review.countDocuments(query)
+  ]);
+
+  return { reviews, pagination: toPagination(pageNum, limitNum, total) };
+};
+
+/**
+ * Hide a review from the asset page and its rating, or show it again
+ */
+const setReviewHidden = async (reviewId, hidden, reason, moderator) => {
+  const review = await findReviewById(reviewId);
+
+  review.isHidden = Boolean(hidden);
+  review.hiddenReason = hidden && reason ? String(reason).trim() : null;
+  review.moderatedBy = moderator._id;
+  review.moderatedAt = new Date();
+  await review.save();
+
+  await refreshAssetRating(review.assetId);
+  return review;
+};
+
+/**
+ * Publish (or replace) the team's reply to a review. An empty reply removes it.
+ */
+const respondToReview = async (reviewId, body, moderator) => {
+  const review = await findReviewById(reviewId);
+  const text = typeof body === 'string' ? body.trim() : '';
+
+  if (text.length > MAX_RESPONSE_LENGTH) {
+    throw reviewError(400, `Response must be at most ${MAX_RESPONSE_LENGTH} characters`);
+  }
+
+  review.response = text ? { body: text, respondedBy: moderator._id, respondedAt: new Date() } : null;
+  await review.save();
+  return review;
+};
+
+const deleteReview = async (reviewId) => {
+  const review = await findReviewById(reviewId);
+  await review.deleteOne();
+  await refreshAssetRating(review.assetId);
+  return review;
+};
+
+module.exports = {
+  REVIEW_SORTS,
+  validateReviewInput,
+  refreshAssetRating,
+  toPublicReview,
+  listAssetReviews,
+  getOwnReview,
+  saveReview,
+  listReviewsForModeration,
+  setReviewHidden,
+  respondToReview,
+  deleteReview
+};
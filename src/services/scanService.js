@@ -0,0 +1,121 @@
+const { pipeline } = require('stream');
+const { Asset } = require('../models/index');
+const { getStorage, resolveFileKey } = require('./storage');
+const { SCAN_STATUS, getScanner } = require('./scanning');
+const { createChecksumStream } = require('../utils/checksum');
+const { recordDuplicateAssets } = require('./integrityService');
+
+// Every uploaded package is scanned before it can be downloaded. New versions
+// start as PENDING_SCAN and are queued for a scan right after they are saved;
+// files that could not be scanned (scanner down, timeout) stay pending and are
+// picked up again by scanPendingAssets (npm run scan-pending).
+
+/**
+ * Scan one package file and record the result. Pass the version number, or
+ * null for a legacy asset that only has a single fileUrl.
+ * Returns the resulting scan status, or null if the asset or version is gone.
+ */
+const scanAssetFile = async (assetId, version) => {
+  const asset = await Asset.findById(assetId).select('name fileKey fileUrl latestVersion versions');
+  const file = asset && (version ? asset.versions.find(v => v.version === version) : asset);
+  if (!file) return null;
+
+  const label = `${asset.name}${version ? ` v${version}` : ''}`;
+  const hashing = createChecksumStream();
+  let result = null;
+  let scanError = null;
+
+  try {
+    const key = resolveFileKey(file);
+    if (!key) {
+      throw new Error('File is not in managed storage');
+    }
+    pipeline(await getStorage().getStream(key), hashing, () => {});
+    result = await getScanner().scan(hashing);
+  } catch (error) {
+    scanError = error.message;
+  }
+
+  // The scan reads every byte, so it also records the sha256 of files whose
+  // bytes never passed through the API (direct uploads)
+  const checksum = version && !file.checksum && result?.clean && hashing.readableEnded
+    ? hashing.digests().sha256
+    : null;
+
+  let scanStatus = SCAN_STATUS.PENDING_SCAN;
+  if (result) {
+    scanStatus = result.clean ? SCAN_STATUS.CLEAN : SCAN_STATUS.QUARANTINED;
+  }
+
+  if (version) {
+    await Asset.updateOne({ _id: assetId, 'versions.version': version }, {
+      $set: {
+        'versions.$.scanStatus': scanStatus,
+        'versions.$.scanSignature': result ? result.signature : null,
+        'versions.$.scanError': scanError,
+        ...(result && { 'versions.$.scannedAt': new Date() }),
+        ...(checksum && { 'versions.$.checksum': checksum })
+      }
+    });
+    await Asset.updateOne({ _id: assetId, latestVersion: version }, { scanStatus });
+  } else {
+    await Asset.updateOne({ _id: assetId }, { scanStatus });
+  }
+
+  if (scanStatus === SCAN_STATUS.CLEAN) {
+    console.log(`🛡️  Scan clean: ${label}`);
+  } else if (scanStatus === SCAN_STATUS.QUARANTINED) {
+    console.warn(`🚨 Quarantined ${label}: ${result.signature}`);
+  } else {
+    console.error(`⚠️  Scan failed for ${label} - it stays pending: ${scanError}`);
+  }
+
+  if (checksum) {
+    await recordDuplicateAssets(asset, version, { packageChecksum: checksum });
+  }
+
+  return scanStatus;
+};
+
+/**
+ * Scan a file in the background, after the current request has finished
+ */
+const queueAssetScan = (assetId, version) => {
+  setImmediate(() => {
+    scanAssetFile(assetId, version).catch(error => console.error('Asset scan error:', error));
+  });
+};
+
+const isPending = (file) => !file.scanStatus || file.scanStatus === SCAN_STATUS.PENDING_SCAN;
+
+/**
+ * Scan every file that is still pending - new uploads whose scan failed and
+ * files uploaded before scanning existed. Returns counts per resulting status.
+ */
+const scanPendingAssets = async () => {
+  const pending = [SCAN_STATUS.PENDING_SCAN, null];
+  const assets = await Asset.find({
+    $or: [
+      { 'versions.scanStatus': { $in: pending } },
+      { 'versions.0': { $exists: false }, scanStatus: { $in: pending } }
+    ]
+  }).select('versions.version versions.scanStatus scanStatus');
+
+  const counts = { [SCAN_STATUS.CLEAN]: 0, [SCAN_STATUS.QUARANTINED]: 0, [SCAN_STATUS.PENDING_SCAN]: 0 };
+
+  for (const asset of assets) {
+    const versions = asset.versions.length > 0 ? asset.versions.filter(isPending).map(v => v.version) : [null];
+    for (const version of versions) {
+      const status = await scanAssetFile(asset._id, version);
+      if (status) counts[status]++;
+    }
+  }
+  return counts;
+};
+
+module.exports = {
+  SCAN_STATUS,
+  scanAssetFile,
+  queueAssetScan,
+  scanPendingAssets
+};
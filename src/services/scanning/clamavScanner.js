@@ -0,0 +1,81 @@
+const net = require('net');
+const { once } = require('events');
+
+// clamd replies "stream: OK", "stream: <signature> FOUND" or "<reason> ERROR"
+const parseResponse = (response) => {
+  const text = response.replace(/\0/g, '').trim();
+
+  if (text === 'stream: OK') {
+    return { clean: true, signature: null };
+  }
+  const found = text.match(/^stream: (.+) FOUND$/);
+  if (found) {
+    return { clean: false, signature: found[1] };
+  }
+  throw new Error(`ClamAV error: ${text || 'empty response'}`);
+};
+
+/**
+ * Scanner backed by a ClamAV daemon (clamd), over its unix socket or TCP.
+ * Files are sent with the INSTREAM command, so clamd does not need access to
+ * the storage. clamd rejects streams over its StreamMaxLength (25MB by
+ * default) - raise it to the largest package size you accept.
+ */
+const createClamavScanner = ({ socketPath, host = '127.0.0.1', port = 3310, timeout = 5 * 60 * 1000 }) => ({
+  name: 'clamav',
+
+  scan(stream) {
+    return new Promise((resolve, reject) => {
+      const socket = socketPath ? net.createConnection(socketPath) : net.createConnection(port, host);
+      let response = '';
+      let socketError = null;
+      let settled = false;
+
+      const finish = (error, result) => {
+        if (settled) return;
+        settled = true;
+        socket.destroy();
+        stream.destroy?.();
+        if (error) reject(error);
+        else resolve(result);
+      };
+
+      socket.setTimeout(timeout, () => finish(new Error('ClamAV scan timed out')));
+      socket.on('data', (data) => { response += data.toString(); });
+      socket.on('error', (error) => { socketError = error; });
+      // clamd may answer early (e.g. size limit exceeded) and close, so always prefer its reply
+      socket.on('close', () => {
+        if (!response) {
+          return finish(socketError || new Error('ClamAV closed the connection without a reply'));
+        }
+        try {
+          finish(null, parseResponse(response));
+        } catch (error) {
+          finish(error);
+        }
+      });
+
+      socket.on('connect', async () => {
+        try {
+          socket.write('zINSTREAM\0');
+          // Each chunk is prefixed with its length; a zero length ends the stream
+          for await (const chunk of stream) {
+            if (settled) return;
+            const length = Buffer.alloc(4);
+            length.writeUInt32BE(chunk.length);
+            if (!socket.write(Buffer.concat([length, chunk]))) {
+              await once(socket, 'drain');
+            }
+          }
+          socket.write(Buffer.alloc(4));
+        } catch (error) {
+          finish(error);
+        }
+      });
+    });
+  }
+});
+
+module.exports = {
+  createClamavScanner
+};
@@ -0,0 +1,82 @@
+const { createClamavScanner } = require('./clamavScanner');
+const { createStubScanner } = require('./stubScanner');
+
+// Every scanner implements the same interface:
+//   scan(stream) -> { clean, signature } (signature names the detected malware)
+// and throws when the file could not be scanned (daemon down, timeout, ...).
+
+// Scan state of an uploaded package. Only CLEAN files can be downloaded.
+const SCAN_STATUS = {
+  PENDING_SCAN: 'PENDING_SCAN',
+  CLEAN: 'CLEAN',
+  QUARANTINED: 'QUARANTINED'
+};
+
+// Used when no scanner is configured: every scan fails, so uploads stay
+// PENDING_SCAN (and cannot be downloaded) until a real scanner is set up
+const createUnconfiguredScanner = () => ({
+  name: 'none',
+
+  async scan(stream) {
+    stream.destroy?.();
+    throw new Error('No malware scanner configured - set CLAMAV_SOCKET or CLAMAV_HOST (or MALWARE_SCANNER=stub for development)');
+  }
+});
+
+const createScanner = (driver) => {
+  switch (driver) {
+    case 'clamav':
+      return createClamavScanner({
+        socketPath: process.env.CLAMAV_SOCKET,
+        host: process.env.CLAMAV_HOST,
+        port: process.env.CLAMAV_PORT ? Number(process.env.CLAMAV_PORT) : undefined,
+        timeout: process.env.CLAMAV_TIMEOUT_MS ? Number(process.env.CLAMAV_TIMEOUT_MS) : undefined
+      });
+    case 'stub':
+      return createStubScanner();
+    case 'none':
+      return createUnconfiguredScanner();
+    default:
+      throw new Error(`Unknown malware scanner: ${driver}`);
+  }
+};
+
+// MALWARE_SCANNER=clamav|stub overrides the default: ClamAV when a daemon is
+// configured, otherwise none. The stub is never picked implicitly - it passes
+// every file except the EICAR test file.
+const MALWARE_SCANNER = process.env.MALWARE_SCANNER
+  || (process.env.CLAMAV_SOCKET || process.env.CLAMAV_HOST ? 'clamav' : 'none');
+
+let scanner = null;
+
+/**
+ * The malware scanner used by the app
+ */
+const getScanner = () => {
+  if (!scanner) {
+    scanner = createScanner(MALWARE_SCANNER);
+    console.log(`🛡️  Malware scanner: ${scanner.name}`);
+    if (scanner.name === 'none') {
+      console.warn('⚠️  No malware scanner configured - uploaded packages stay pending and cannot be downloaded');
+    }
+  }
+  return scanner;
+};
+
+/**
+ * Throw unless a real scanner (ClamAV) is configured in production, so the
+ * server refuses to start instead of serving unscanned or stub-scanned files
+ */
+const assertScannerConfigured = () => {
+  const { name } = getScanner();
+  if (process.env.NODE_ENV === 'production' && name !== 'clamav') {
+    throw new Error(`Malware scanner "${name}" is not allowed in production - configure CLAMAV_SOCKET or CLAMAV_HOST`);
+  }
+};
+
+module.exports = {
+  SCAN_STATUS,
+  createScanner,
+  getScanner,
+  assertScannerConfigured
+};
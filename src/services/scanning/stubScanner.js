@@ -0,0 +1,28 @@
+// The EICAR anti-virus test string, split so this file is not flagged itself
+const EICAR = ['X5O!P%@AP[4\\PZX54(P^)7CC)7}$', 'EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*'].join('');
+
+/**
+ * Local scanner for development and tests. It only detects the EICAR test
+ * string (stored uncompressed in the file) and reports everything else as clean.
+ */
+const createStubScanner = () => ({
+  name: 'stub',
+
+  async scan(stream) {
+    let tail = '';
+    for await (const chunk of stream) {
+      // Keep the end of the previous chunk so a match across chunks is still found
+      const text = tail + chunk.toString('latin1');
+      if (text.includes(EICAR)) {
+        stream.destroy?.();
+        return { clean: false, signature: 'Eicar-Test-Signature' };
+      }
+      tail = text.slice(-(EICAR.length - 1));
+    }
+    return { clean: true, signature: null };
+  }
+});
+
+module.exports = {
+  createStubScanner
+};
@@ -0,0 +1,236 @@
+const { Asset, Category } = require('../models/index');
+const {
+  escapeRegex,
+  tokenize,
+  buildSearchTokens,
+  parseSearchQuery,
+  buildHighlightRegex,
+  highlightText,
+  buildSnippet,
+  editDistance
+} = require('../utils/search');
+
+// Catalog search runs on the asset text index (weighted name > tags >
+// description) and is sorted by its relevance score. Supports "quoted phrases",
+// prefix* terms and -excluded terms.
+
+const MAX_PREFIX_EXPANSIONS = 20;
+const MAX_SUGGESTIONS = 10;
+const MIN_CORRECTION_LENGTH = 3; // Shorter words have too many one-letter neighbours
+const VOCABULARY_TTL_MS = 10 * 60 * 1000; // How long the spelling vocabulary is reused before a rebuild
+
+// Expand "shad*" into the indexed words it starts (shader, shadow, ...) so
+// prefix terms are ranked by the same weighted text search as whole words
+const expandPrefix = async (prefix) => {
+  const tokens = await Asset.distinct('searchTokens', { searchTokens: new RegExp(`^${escapeRegex(prefix)}`) });
+  return tokens
+    .filter(token => token.startsWith(prefix))
+    .sort((a, b) => a.length - b.length)
+    .slice(0, MAX_PREFIX_EXPANSIONS);
+};
+
+/**
+ * Turn a search box query into a MongoDB filter. Returns
+ * { filter, highlightRegex }, or null if the query has nothing to search for.
+ */
+const buildTextSearch = async (search) => {
+  const { phrases, terms, prefixes, excluded } = parseSearchQuery(search);
+  const expansions = (await Promise.all(prefixes.map(expandPrefix))).flat();
+  const words = [...terms, ...expansions];
+
+  if (words.length === 0 && phrases.length === 0) {
+    // Prefixes that match no word cannot match any asset
+    return prefixes.length > 0 ? { filter: { _id: null }, highlightRegex: null } : null;
+  }
+
+  const $search = [
+    ...words,
+    ...phrases.map(phrase => `"${phrase}"`),
+    ...excluded.map(word => `-${word}`)
+  ].join(' ');
+
+  return {
+    filter: { $text: { $search } },
+    highlightRegex: buildHighlightRegex([...terms, ...prefixes], phrases)
+  };
+};
+
+/**
+ * HTML-escaped name, description snippet and matching tags, with matches in <mark>
+ */
+const buildSearchHighlights = (asset, highlightRegex) => ({
+  name: highlightText(asset.name, highlightRegex),
+  description: buildSnippet(asset.description, highlightRegex),
+  tags: highlightRegex ? (asset.tags || []).filter(tag => tag.search(highlightRegex) !== -1) : []
+});
+
+// Does `text` contain every finished word, and a word starting with the unfinished one?
+const matchesAllWords = (text, words, unfinished) => {
+  const textWords = tokenize(text);
+  return words.every(word => textWords.includes(word)) &&
+    (!unfinished || textWords.some(textWord => textWord.startsWith(unfinished)));
+};
+
+/**
+ * Autocomplete for the search box: asset names, tags and categories matching
+ * what has been typed so far, most downloaded first. Returns
+ * { assets, tags, categories } with at most `limit` entries each.
+ */
+const suggestSearch = async (q, { limit = 5 } = {}) => {
+  const size = Math.min(Math.max(parseInt(limit) || 5, 1), MAX_SUGGESTIONS);
+  const text = String(q || '').slice(0, 100);
+  const words = tokenize(text);
+  if (words.length === 0) {
+    return { assets: [], tags: [], categories: [] };
+  }
+
+  // Finished words must match whole, the word being typed is a prefix
+  const unfinished = /[\p{L}\p{N}]$/u.test(text) ? words.pop() : null;
+  const tokenFilter = {
+    $and: [
+      ...words.map(word => ({ searchTokens: word })),
+      ...(unfinished ? [{ searchTokens: new RegExp(`^${escapeRegex(unfinished)}`) }] : [])
+    ]
+  };
+  // Rough word-start match on the first word, narrowed down by matchesAllWords below
+  const wordStart = new RegExp(`(^|[^a-z0-9])${escapeRegex(words[0] || unfinished)}`, 'i');
+
+  const [assets, tags, categories] = await Promise.all([
+    Asset.find({ isActive: true, ...tokenFilter })
+      .select('name thumbnail downloadCount')
+      .sort({ downloadCount: -1, createdAt: -1 })
+      .limit(size * 4)
+      .lean(),
+    Asset.aggregate([
+      { $match: { isActive: true, tags: wordStart } },
+      { $unwind: '$tags' },
+      { $match: { tags: wordStart } },
+      { $group: { _id: '$tags', assetCount: { $sum: 1 }, downloads: { $sum: '$downloadCount' } } },
+      { $sort: { downloads: -1, assetCount: -1, _id: 1 } },
+      { $limit: size * 4 }
+    ]),
+    Category.find({ isActive: true, name: wordStart }).select('name slug').lean()
+  ]);
+
+  // Category popularity is the downloads of its assets
+  const categoryStats = categories.length > 0
+    ? await Asset.aggregate([
+      { $match: { isActive: true, categoryId: { $in: categories.map(category => category._id) } } },
+      { $group: { _id: '$categoryId', assetCount: { $sum: 1 }, downloads: { $sum: '$downloadCount' } } }
+    ])
+    : [];
+  const statsById = new Map(categoryStats.map(stats => [stats._id.toString(), stats]));
+
+  return {
+    // Assets matched on their description or tags alone make poor name completions
+    assets: assets
+      .filter(asset => matchesAllWords(asset.name, words, unfinished))
+      .slice(0, size)
+      .map(({ _id, name, thumbnail, downloadCount }) => ({ _id, name, thumbnail, downloadCount })),
+    tags: tags
+      .filter(({ _id }) => matchesAllWords(_id, words, unfinished))
+      .slice(0, size)
+      .map(({ _id, assetCount }) => ({ value: _id, assetCount })),
+    categories: categories
+      .filter(category => matchesAllWords(category.name, words, unfinished))
+      .map(category => ({ ...category, ...statsById.get(category._id.toString()) }))
+      .sort((a, b) => (b.downloads || 0) - (a.downloads || 0) || (b.assetCount || 0) - (a.assetCount || 0))
+      .slice(0, size)
+      .map(({ _id, name, slug, assetCount = 0 }) => ({ _id, name, slug, assetCount }))
+  };
+};
+
+// Spelling vocabulary: every search token of the active catalog with the
+// number of assets using it, grouped by token length. Building it reads every
+// asset, so it is cached and rebuilt in the background once it is stale.
+let vocabulary = null; // { known: Set, byLength: Map<length, [{ token, count }]>, builtAt }
+let vocabularyBuild = null;
+
+const buildVocabulary = async () => {
+  const tokens = await Asset.aggregate([
+    { $match: { isActive: true } },
+    { $project: { searchTokens: 1 } },
+    { $unwind: '$searchTokens' },
+    { $group: { _id: '$searchTokens', count: { $sum: 1 } } }
+  ]);
+
+  const byLength = new Map();
+  for (const { _id: token, count } of tokens) {
+    if (!byLength.has(token.length)) byLength.set(token.length, []);
+    byLength.get(token.length).push({ token, count });
+  }
+  vocabulary = { known: new Set(tokens.map(({ _id }) => _id)), byLength, builtAt: Date.now() };
+  return vocabulary;
+};
+
+const getVocabulary = async () => {
+  if (!vocabularyBuild && (!vocabulary || Date.now() - vocabulary.builtAt > VOCABULARY_TTL_MS)) {
+    vocabularyBuild = buildVocabulary().finally(() => { vocabularyBuild = null; });
+    // Serve the stale vocabulary while the rebuild runs
+    if (vocabulary) vocabularyBuild.catch(error => console.error('Spelling vocabulary rebuild failed:', error));
+  }
+  return vocabulary || vocabularyBuild;
+};
+
+/**
+ * "Did you mean" for a search that found nothing: replace words the catalog
+ * does not contain with the closest, most common catalog word. Returns
+ * { query, corrections: [{ from, to }], totalAssets }, or null when no
+ * correction finds any asset.
+ */
+const suggestSpelling = async (search) => {
+  const query = String(search || '').slice(0, 200);
+  // prefix* words are expanded rather than corrected
+  const words = [...new Set(tokenize(query.replace(/[\p{L}\p{N}]+\*/gu, ' ')))]
+    .filter(word => word.length >= MIN_CORRECTION_LENGTH);
+  if (words.length === 0) return null;
+
+  const { known, byLength } = await getVocabulary();
+
+  const corrections = [];
+  for (const word of words.filter(w => !known.has(w))) {
+    const maxDistance = word.length <= 4 ? 1 : 2;
+    let best = null;
+    for (let length = word.length - maxDistance; length <= word.length + maxDistance; length++) {
+      for (const { token: candidate, count } of byLength.get(length) || []) {
+        const distance = editDistance(word, candidate, maxDistance);
+        if (distance > maxDistance) continue;
+        if (!best || distance < best.distance || (distance === best.distance && count > best.count)) {
+          best = { candidate, distance, count };
+        }
+      }
+    }
+    if (best) corrections.push({ from: word, to: best.candidate });
+  }
+  if (corrections.length === 0) return null;
+
+  const corrected = corrections.reduce(
+    (text, { from, to }) => text.replace(new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegex(from)}(?![\\p{L}\\p{N}])`, 'giu'), to),
+    query
+  );
+  const textSearch = await buildTextSearch(corrected);
+  const totalAssets = textSearch ? await Asset.countDocuments({ isActive: true, ...textSearch.filter }) : 0;
+
+  return totalAssets > 0 ? { query: corrected.trim(), corrections, totalAssets } : null;
+};
+
+/**
+ * Recompute the prefix search tokens of every asset (for assets created
+ * before search tokens existed). Returns the number of assets updated.
+ */
+const rebuildSearchTokens = async () => {
+  let updated = 0;
+  for await (const asset of Asset.find().select('name tags description').cursor()) {
+    await Asset.updateOne({ _id: asset._id }, { searchTokens: buildSearchTokens(asset) });
+    updated++;
+  }
+  return updated;
+};
+
+module.exports = {
+  buildTextSearch,
+  buildSearchHighlights,
+  suggestSearch,
+  suggestSpelling,
+  rebuildSearchTokens
+};
@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const { Session, User } = require('../models/index');
+const { generateToken, generateRefreshToken, verifyToken } = require('../middleware/auth');
+
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000; // Matches generateRefreshToken expiry
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const sessionError = (message, status = 401) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Persist a refresh token for a session family and return the token pair
+ */
+const issueTokens = async (userId, familyId, req) => {
+  const refreshToken = generateRefreshToken(userId.toString(), familyId);
+
+  await Session.create({
+    userId,
+    familyId,
+    tokenHash: hashToken(refreshToken),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    userAgent: req?.headers?.['user-agent'],
+    ipAddress: req?.ip
+  });
+
+  return {
+    access_token: generateToken(userId.toString(), familyId),
+    refresh_token: refreshToken
+  };
+};
+
+/**
+ * Start a new session family for a user (login / signup)
+ */
+const createSession = async (userId, req) => {
+  return issueTokens(userId, crypto.randomUUID(), req);
+};
+
+/**
+ * Revoke every session in a family
+ */
+const revokeFamily = async (familyId, reason) => {
+  const result = await Session.updateMany(
+    { familyId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Revoke every session belonging to a user
+ */
+const revokeAllUserSessions = async (userId, reason = 'revoked') => {
+  const result = await Session.updateMany(
+    { userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Exchange a refresh token for a new pair. Presenting an already-rotated
+ * token is treated as theft and revokes the whole family, as is refreshing
+ * for a user who has since been deactivated.
+ */
+const rotateSession = async (refreshToken, req) => {
+  let decoded;
+  try {
+    decoded = verifyToken(refreshToken);
+  } catch (error) {
+    throw sessionError('Invalid or expired refresh token');
+  }
+
+  if (decoded.type !== 'refresh' || !decoded.sid) {
+    throw sessionError('Invalid refresh token');
+  }
+
+  const session = await Session.findOne({ tokenHash: hashToken(refreshToken) });
+
+  if (!session || session.familyId !== decoded.sid) {
+    throw sessionError('Invalid refresh token');
+  }
+
+  if (session.revokedAt) {
+    throw sessionError('Session has been revoked');
+  }
+
+  if (session.rotatedAt) {
+    await revokeFamily(session.familyId, 'reuse_detected');
+    console.warn(`⚠️ Refresh token reuse detected for user ${session.userId} - session family revoked`);
+    throw sessionError('Refresh token reuse detected - please log in again');
+  }
+
+  if (session.expiresAt < new Date()) {
+    throw sessionError('Invalid or expired refresh token');
+  }
+
+  // A deactivated user must not rotate the token - end the session instead
+  const user = await User.findById(session.userId).select('isActive');
+  if (!user || !user.isActive) {
+    await revokeFamily(session.familyId, 'user_deactivated');
+    throw sessionError('User account is deactivated');
+  }
+
+  // Mark as rotated atomically so two concurrent refreshes cannot both succeed
+  const claimed = await Session.findOneAndUpdate(
+    { _id: session._id, rotatedAt: null, revokedAt: null },
+    { rotatedAt: new Date(), lastUsedAt: new Date() }
+  );
+
+  if (!claimed) {
+    await revokeFamily(session.familyId, 'reuse_detected');
+    throw sessionError('Refresh token reuse detected - please log in again');
+  }
+
+  const tokens = await issueTokens(session.userId, session.familyId, req);
+  return { userId: session.userId, ...tokens };
+};
+
+/**
+ * Revoke the family a refresh token belongs to (logout)
+ */
+const revokeSessionByToken = async (refreshToken) => {
+  const session = await Session.findOne({ tokenHash: hashToken(refreshToken) });
+  if (!session) {
+    return 0;
+  }
+  return revokeFamily(session.familyId, 'logout');
+};
+
+/**
+ * List a user's live session families (latest token per family)
+ */
+const listUserSessions = async (userId) => {
+  return Session.find({ userId, revokedAt: null, rotatedAt: null, expiresAt: { $gt: new Date() } })
+    .select('familyId userAgent ipAddress lastUsedAt createdAt expiresAt -_id')
+    .sort({ lastUsedAt: -1 })
+    .lean();
+};
+
+module.exports = {
+  hashToken,
+  createSession,
+  rotateSession,
+  revokeFamily,
+  revokeSessionByToken,
+  revokeAllUserSessions,
+  listUserSessions
+};
@@ -0,0 +1,133 @@
+const path = require('path');
+const { s3Client, isS3Configured } = require('../../config/s3');
+const { createLocalStorage, verifySignedDownload } = require('./localStorage');
+const { createS3Storage } = require('./s3Storage');
+const { isPublicKey, getKeyFolder, buildKey, getContentType } = require('./keys');
+
+// Every storage driver implements the same interface:
+//   put(key, body, { contentType })  -> { key, url, contentType }
+//   getStream(key, { start, end }?)  -> readable stream (optional inclusive byte range)
+//   delete(key)
+//   head(key)                        -> { size, lastModified, contentType } | null
+//   list(prefix)                     -> [{ key, size, lastModified }]
+//   getUrl(key) / getKeyFromUrl(url)
+//   getSignedUrl(key, { expiresIn, fileName, userId }) -> short-lived download URL
+// Drivers with supportsDirectUploads (S3) also implement getPresignedPutUrl,
+// createMultipartUpload, getPresignedPartUrl, completeMultipartUpload and abortMultipartUpload.
+
+const UPLOADS_DIR = path.join(__dirname, '../../../uploads');
+const PRIVATE_UPLOADS_DIR = path.join(__dirname, '../../../private-uploads');
+
+const createStorage = (driver) => {
+  switch (driver) {
+    case 'local':
+      return createLocalStorage({
+        publicDir: UPLOADS_DIR,
+        privateDir: PRIVATE_UPLOADS_DIR,
+        baseUrl: process.env.API_BASE_URL || 'http://localhost:3001'
+      });
+    case 's3':
+      return createS3Storage({
+        client: s3Client,
+        bucket: process.env.AWS_S3_BUCKET_NAME,
+        region: process.env.AWS_REGION || 'eu-north-1',
+        endpoint: process.env.AWS_S3_ENDPOINT
+      });
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+};
+
+// STORAGE_DRIVER=local|s3 overrides the default (S3 when credentials are configured)
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || (isS3Configured ? 's3' : 'local');
+
+let storage = null;
+
+/**
+ * The storage driver used by the app
+ */
+const getStorage = () => {
+  if (!storage) {
+    storage = createStorage(STORAGE_DRIVER);
+    console.log(`🗄️  Storage driver: ${storage.name}`);
+  }
+  return storage;
+};
+
+/**
+ * Work out the storage key of a file. Files uploaded before keys were stored
+ * only have a URL, so the key is recovered from it. Returns null for
+ * external or demo URLs.
+ */
+const resolveFileKey = ({ fileKey, fileUrl }) => {
+  if (fileKey) return fileKey;
+  if (!fileUrl) return null;
+
+  try {
+    return getStorage().getKeyFromUrl(fileUrl);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Best-effort delete - failures are logged, not thrown, so a missing file never blocks a delete
+const deleteKeys = async (keys) => {
+  const unique = [...new Set(keys)].filter(Boolean);
+  const results = await Promise.allSettled(unique.map(key => getStorage().delete(key)));
+  results.forEach((result, i) => {
+    if (result.status === 'rejected') {
+      console.warn(`⚠️ Could not delete stored file ${unique[i]}:`, result.reason.message);
+    }
+  });
+};
+
+// Storage keys of a preview image: the uploaded original and its derivatives
+const getPreviewImageKeys = (image) => [
+  image.originalKey,
+  ...Object.values(image.derivatives || {}).map(derivative => derivative?.key)
+];
+
+/**
+ * Best-effort removal of every stored file of an asset (preview images,
+ * thumbnail and all versions).
+ */
+const deleteAssetFiles = async (asset) => {
+  await deleteKeys([
+    resolveFileKey({ fileUrl: asset.thumbnail }),
+    ...(asset.images || []).flatMap(getPreviewImageKeys),
+    resolveFileKey({ fileKey: asset.fileKey, fileUrl: asset.fileUrl }),
+    ...(asset.versions || []).map(version => resolveFileKey(version))
+  ]);
+};
+
+/**
+ * Best-effort removal of a preview image's original and derivatives
+ */
+const deletePreviewImageFiles = (image) => deleteKeys(getPreviewImageKeys(image));
+
+/**
+ * Best-effort removal of files stored by the upload middleware for a request
+ * that was rejected. Accepts req.file, req.files as an array or as multer's
+ * { field: [files] } map.
+ */
+const deleteUploadedFiles = (files) => {
+  if (!files) return Promise.resolve();
+  const list = Array.isArray(files) ? files : (files.key ? [files] : Object.values(files).flat());
+  return deleteKeys(list.map(file => file.key));
+};
+
+module.exports = {
+  UPLOADS_DIR,
+  PRIVATE_UPLOADS_DIR,
+  createStorage,
+  getStorage,
+  resolveFileKey,
+  deleteAssetFiles,
+  deletePreviewImageFiles,
+  deleteUploadedFiles,
+  verifySignedDownload,
+  isPublicKey,
+  getKeyFolder,
+  buildKey,
+  getContentType
+};
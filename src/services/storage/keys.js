@@ -0,0 +1,44 @@
+const path = require('path');
+
+// Storage keys look like "thumbnails/thumbnail-1700000000000-123.png" or
+// "assets/assetFile-1700000000000-456.unitypackage". Only thumbnails (preview
+// images and their derivatives) are public.
+
+const PUBLIC_PREFIXES = ['thumbnails/'];
+
+const isPublicKey = (key) => PUBLIC_PREFIXES.some(prefix => key.startsWith(prefix));
+
+// Upload fields stored under thumbnails/
+const IMAGE_FIELDS = ['thumbnail', 'images'];
+
+// Folder an upload field's files are stored in
+const getKeyFolder = (fieldname) => (IMAGE_FIELDS.includes(fieldname) ? 'thumbnails' : 'assets');
+
+// Build a unique key for an uploaded file
+const buildKey = (fieldname, originalname) => {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  const extension = path.extname(originalname || '');
+  return `${getKeyFolder(fieldname)}/${fieldname}-${uniqueSuffix}${extension}`;
+};
+
+const getContentType = (key) => {
+  const ext = path.extname(key).toLowerCase();
+  switch (ext) {
+    case '.png': return 'image/png';
+    case '.jpg': case '.jpeg': return 'image/jpeg';
+    case '.gif': return 'image/gif';
+    case '.webp': return 'image/webp';
+    case '.zip': return 'application/zip';
+    case '.tgz': return 'application/gzip';
+    case '.rar': return 'application/x-rar-compressed';
+    case '.7z': return 'application/x-7z-compressed';
+    default: return 'application/octet-stream';
+  }
+};
+
+module.exports = {
+  isPublicKey,
+  getKeyFolder,
+  buildKey,
+  getContentType
+};
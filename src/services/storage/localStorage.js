@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+const { isPublicKey, getContentType } = require('./keys');
+
+const DOWNLOAD_URL_SECRET = process.env.DOWNLOAD_URL_SECRET || process.env.JWT_SECRET || 'your-secret-key';
+
+const signDownload = ({ key, userId, expires, fileName }) => crypto
+  .createHmac('sha256', DOWNLOAD_URL_SECRET)
+  .update(`download:${key}:${userId}:${expires}:${fileName}`)
+  .digest('hex');
+
+/**
+ * Verify the query string of a signed local download URL (see getSignedUrl).
+ * Returns false if it was tampered with or has expired.
+ */
+const verifySignedDownload = ({ key, user, expires, name, signature }) => {
+  if (!key || !user || !expires || !name || typeof signature !== 'string') {
+    return false;
+  }
+
+  if (Number(expires) * 1000 < Date.now()) {
+    return false;
+  }
+
+  const expected = Buffer.from(signDownload({ key, userId: user, expires, fileName: name }));
+  const provided = Buffer.from(signature);
+  return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+};
+
+/**
+ * Local disk storage. Public keys (thumbnails) live in publicDir, which is served
+ * at /uploads; everything else lives in privateDir and is only reachable through
+ * signed URLs handled by GET /api/downloads/file.
+ */
+const createLocalStorage = ({ publicDir, privateDir, baseUrl }) => {
+  const rootFor = (key) => (isPublicKey(key) ? publicDir : privateDir);
+
+  // Resolve a key to a path inside its root, refusing anything that escapes it
+  const toPath = (root, key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  // Files uploaded before private storage existed sit in the public directory
+  const findPath = (key) => {
+    for (const root of [rootFor(key), privateDir, publicDir]) {
+      const filePath = toPath(root, key);
+      if (fs.existsSync(filePath)) return filePath;
+    }
+    return null;
+  };
+
+  const notFound = (key) => {
+    const error = new Error(`File not found: ${key}`);
+    error.code = 'ENOENT';
+    return error;
+  };
+
+  const walk = async (root, directory, prefix, results) => {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(directory, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    for (const entry of entries) {
+      const fullPath = path.join(directory, entry.name);
+      if (entry.isDirectory()) {
+        await walk(root, fullPath, prefix, results);
+        continue;
+      }
+
+      const key = path.relative(root, fullPath).split(path.sep).join('/');
+      if (!key.startsWith(prefix) || results.has(key)) continue;
+
+      const stats = await fs.promises.stat(fullPath);
+      results.set(key, { key, size: stats.size, lastModified: stats.mtime });
+    }
+  };
+
+  const getUrl = (key) => `${baseUrl}/uploads/${key}`;
+
+  return {
+    name: 'local',
+
+    async put(key, body, { contentType } = {}) {
+      const filePath = toPath(rootFor(key), key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+      if (Buffer.isBuffer(body) || typeof body === 'string') {
+        await fs.promises.writeFile(filePath, body);
+      } else {
+        await pipeline(body, fs.createWriteStream(filePath));
+      }
+
+      return { key, url: getUrl(key), contentType: contentType || getContentType(key) };
+    },
+
+    // Pass { start, end } (inclusive byte offsets) to read part of the file
+    async getStream(key, { start, end } = {}) {
+      const filePath = findPath(key);
+      if (!filePath) throw notFound(key);
+      return fs.createReadStream(filePath, { start, end });
+    },
+
+    async delete(key) {
+      const filePath = findPath(key);
+      if (filePath) {
+        await fs.promises.unlink(filePath);
+      }
+    },
+
+    async head(key) {
+      const filePath = findPath(key);
+      if (!filePath) return null;
+
+      const stats = await fs.promises.stat(filePath);
+      return { size: stats.size, lastModified: stats.mtime, contentType: getContentType(key) };
+    },
+
+    async list(prefix = '') {
+      const results = new Map();
+      await walk(privateDir, privateDir, prefix, results);
+      await walk(publicDir, publicDir, prefix, results);
+      return [...results.values()];
+    },
+
+    getUrl,
+
+    getKeyFromUrl(url) {
+      const { pathname } = new URL(url, baseUrl);
+      return pathname.startsWith('/uploads/') ? decodeURIComponent(pathname.slice('/uploads/'.length)) : null;
+    },
+
+    async getSignedUrl(key, { expiresIn, fileName, userId }) {
+      const expires = Math.floor(Date.now() / 1000 + expiresIn).toString();
+      const name = fileName || path.basename(key);
+      const query = new URLSearchParams({
+        key,
+        user: userId,
+        expires,
+        name,
+        signature: signDownload({ key, userId, expires, fileName: name })
+      });
+
+      return `${baseUrl}/api/downloads/file?${query.toString()}`;
+    }
+  };
+};
+
+module.exports = {
+  createLocalStorage,
+  verifySignedDownload
+};
@@ -0,0 +1,185 @@
+const {
+  GetObjectCommand,
+  PutObjectCommand,
+  DeleteObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand
+} = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const path = require('path');
+const { isPublicKey, getContentType } = require('./keys');
+
+/**
+ * S3 (or S3-compatible, e.g. MinIO) storage. Public keys are uploaded with a
+ * public-read ACL; everything else stays private and is served via presigned URLs.
+ * Also supports direct browser uploads (presigned PUT and multipart upload URLs).
+ */
+const createS3Storage = ({ client, bucket, region, endpoint }) => {
+  // Path-style URLs for custom endpoints (MinIO), virtual-hosted style for AWS
+  const baseUrl = endpoint
+    ? `${endpoint.replace(/\/+$/, '')}/${bucket}`
+    : `https://${bucket}.s3.${region}.amazonaws.com`;
+
+  const getUrl = (key) => `${baseUrl}/${key.split('/').map(encodeURIComponent).join('/')}`;
+
+  const isNotFound = (error) => error.name === 'NotFound' || error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404;
+
+  return {
+    name: 's3',
+    supportsDirectUploads: true,
+
+    async put(key, body, { contentType } = {}) {
+      const type = contentType || getContentType(key);
+
+      // lib-storage handles streams of unknown length with a multipart upload
+      await new Upload({
+        client,
+        params: {
+          Bucket: bucket,
+          Key: key,
+          Body: body,
+          ContentType: type,
+          ACL: isPublicKey(key) ? 'public-read' : 'private'
+        }
+      }).done();
+
+      return { key, url: getUrl(key), contentType: type };
+    },
+
+    // Pass { start, end } (inclusive byte offsets) to read part of the object
+    async getStream(key, { start, end } = {}) {
+      const response = await client.send(new GetObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Range: start === undefined ? undefined : `bytes=${start}-${end ?? ''}`
+      }));
+      return response.Body;
+    },
+
+    async delete(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    async head(key) {
+      try {
+        const response = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return {
+          size: response.ContentLength,
+          lastModified: response.LastModified,
+          contentType: response.ContentType,
+          etag: response.ETag
+        };
+      } catch (error) {
+        if (isNotFound(error)) return null;
+        throw error;
+      }
+    },
+
+    async list(prefix = '') {
+      const results = [];
+      let continuationToken;
+
+      do {
+        const response = await client.send(new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: prefix,
+          ContinuationToken: continuationToken
+        }));
+
+        for (const object of response.Contents || []) {
+          results.push({ key: object.Key, size: object.Size, lastModified: object.LastModified });
+        }
+        continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+      } while (continuationToken);
+
+      return results;
+    },
+
+    getUrl,
+
+    getKeyFromUrl(url) {
+      if (!url.startsWith(`${baseUrl}/`)) return null;
+      const key = new URL(url).pathname.slice(new URL(`${baseUrl}/`).pathname.length);
+      return decodeURIComponent(key);
+    },
+
+    async getSignedUrl(key, { expiresIn, fileName, userId }) {
+      const command = new GetObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        ResponseContentDisposition: `attachment; filename="${fileName || path.basename(key)}"`
+      });
+
+      // Sign the user id into the URL so it is tied to the download it was issued for
+      if (userId) {
+        command.middlewareStack.add((next) => (args) => {
+          args.request.query['x-download-user'] = userId;
+          return next(args);
+        }, { step: 'build', name: 'addDownloadUserQuery' });
+      }
+
+      return getSignedUrl(client, command, { expiresIn });
+    },
+
+    // ---- Direct browser uploads ----
+
+    // Presigned single-request PUT. The client must send the returned headers.
+    async getPresignedPutUrl(key, { contentType, expiresIn }) {
+      const url = await getSignedUrl(client, new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        ContentType: contentType,
+        ACL: isPublicKey(key) ? 'public-read' : 'private'
+      }), { expiresIn, signableHeaders: new Set(['content-type']) });
+
+      return { url, headers: { 'Content-Type': contentType } };
+    },
+
+    async createMultipartUpload(key, { contentType } = {}) {
+      const response = await client.send(new CreateMultipartUploadCommand({
+        Bucket: bucket,
+        Key: key,
+        ContentType: contentType || getContentType(key),
+        ACL: isPublicKey(key) ? 'public-read' : 'private'
+      }));
+      return response.UploadId;
+    },
+
+    getPresignedPartUrl(key, uploadId, partNumber, { expiresIn }) {
+      return getSignedUrl(client, new UploadPartCommand({
+        Bucket: bucket,
+        Key: key,
+        UploadId: uploadId,
+        PartNumber: partNumber
+      }), { expiresIn });
+    },
+
+    // parts: [{ partNumber, etag }] in any order
+    async completeMultipartUpload(key, uploadId, parts) {
+      const response = await client.send(new CompleteMultipartUploadCommand({
+        Bucket: bucket,
+        Key: key,
+        UploadId: uploadId,
+        MultipartUpload: {
+          Parts: [...parts]
+            .sort((a, b) => a.partNumber - b.partNumber)
+            .map(part => ({ PartNumber: part.partNumber, ETag: part.etag }))
+        }
+      }));
+      return { etag: response.ETag };
+    },
+
+    async abortMultipartUpload(key, uploadId) {
+      await client.send(new AbortMultipartUploadCommand({ Bucket: bucket, Key: key, UploadId: uploadId }));
+    }
+  };
+};
+
+module.exports = {
+  createS3Storage
+};
@@ -0,0 +1,212 @@
+const zlib = require('zlib');
+const path = require('path');
+
+// A .unitypackage is a gzipped tar. Each asset lives in a folder named by its GUID:
+//   <guid>/pathname   - text file holding the project path (e.g. Assets/Scripts/Player.cs)
+//   <guid>/asset      - the file contents (absent for folders)
+//   <guid>/asset.meta - Unity import settings
+//   <guid>/preview.png
+
+const TAR_BLOCK_SIZE = 512;
+const MAX_COLLECTED_ENTRY_SIZE = 64 * 1024; // pathname / long-name entries are tiny
+const MAX_MANIFEST_FILES = 10000; // Cap what we persist on the asset document
+
+const FILE_TYPE_EXTENSIONS = {
+  scripts: ['.cs', '.js', '.dll', '.asmdef', '.asmref'],
+  prefabs: ['.prefab'],
+  shaders: ['.shader', '.shadergraph', '.shadersubgraph', '.hlsl', '.cginc', '.compute'],
+  materials: ['.mat', '.physicmaterial'],
+  textures: ['.png', '.jpg', '.jpeg', '.tga', '.psd', '.tif', '.tiff', '.exr', '.hdr'],
+  models: ['.fbx', '.obj', '.blend', '.dae', '.3ds', '.max'],
+  audio: ['.wav', '.mp3', '.ogg', '.aif', '.aiff'],
+  animations: ['.anim', '.controller', '.overridecontroller', '.mask'],
+  scenes: ['.unity']
+};
+
+// Map a project path to one of the FILE_TYPE_EXTENSIONS groups (or 'other')
+const getFileType = (filePath) => {
+  const extension = path.extname(filePath).toLowerCase();
+  for (const [type, extensions] of Object.entries(FILE_TYPE_EXTENSIONS)) {
+    if (extensions.includes(extension)) return type;
+  }
+  return 'other';
+};
+
+// Read a NUL-terminated string field from a tar header
+const readString = (buffer, start, length) => {
+  const field = buffer.subarray(start, start + length);
+  const end = field.indexOf(0);
+  return field.subarray(0, end === -1 ? field.length : end).toString('utf8');
+};
+
+// Read a numeric tar header field (octal, or base-256 for very large values)
+const readNumber = (buffer, start, length) => {
+  const field = buffer.subarray(start, start + length);
+  if (field[0] & 0x80) {
+    let value = 0;
+    for (let i = 1; i < field.length; i++) {
+      value = value * 256 + field[i];
+    }
+    return value;
+  }
+  return parseInt(readString(buffer, start, length).trim() || '0', 8);
+};
+
+// Extract the "path" record from a pax extended header
+const readPaxPath = (content) => {
+  const match = /\d+ path=([^\n]*)\n/.exec(content);
+  return match ? match[1] : null;
+};
+
+/**
+ * Stream a .unitypackage and build its file manifest without buffering file contents.
+ * Resolves with { files, fileCount, totalSize, fileTypes, truncated }.
+ */
+const parseUnityPackage = (inputStream) => {
+  return new Promise((resolve, reject) => {
+    const guidEntries = new Map(); // guid -> { path, size }
+    let pending = Buffer.alloc(0);
+    let current = null;
+    let nextName = null;
+
+    const getGuidEntry = (guid) => {
+      if (!guidEntries.has(guid)) guidEntries.set(guid, { path: null, size: null });
+      return guidEntries.get(guid);
+    };
+
+    const finishEntry = (entry) => {
+      const content = entry.chunks ? Buffer.concat(entry.chunks).toString('utf8') : '';
+
+      if (entry.type === 'L') {
+        nextName = content.replace(/\0+$/, '');
+        return;
+      }
+      if (entry.type === 'x') {
+        nextName = readPaxPath(content) || nextName;
+        return;
+      }
+      if (entry.type === 'g') {
+        return;
+      }
+
+      const name = (nextName || entry.name).replace(/^\.\//, '');
+      nextName = null;
+
+      const [guid, fileName] = name.split('/');
+      if (!guid || !fileName) return;
+
+      if (fileName === 'pathname') {
+        // Some exporters append extra lines after the path
+        getGuidEntry(guid).path = content.split('\n')[0].trim();
+      } else if (fileName === 'asset') {
+        getGuidEntry(guid).size = entry.size;
+      }
+    };
+
+    const processPending = () => {
+      while (true) {
+        if (!current) {
+          if (pending.length < TAR_BLOCK_SIZE) return;
+
+          const header = pending.subarray(0, TAR_BLOCK_SIZE);
+          pending = pending.subarray(TAR_BLOCK_SIZE);
+
+          // Zero blocks mark the end of the archive
+          if (header.every(byte => byte === 0)) continue;
+
+          const name = readString(header, 0, 100);
+          const prefix = readString(header, 345, 155);
+          const size = readNumber(header, 124, 12);
+          const type = String.fromCharCode(header[156] || 48);
+          const collect = type === 'L' || type === 'x' || name.endsWith('/pathname');
+
+          current = {
+            name: prefix ? `${prefix}/${name}` : name,
+            type,
+            size,
+            remaining: size + ((TAR_BLOCK_SIZE - (size % TAR_BLOCK_SIZE)) % TAR_BLOCK_SIZE),
+            dataRemaining: size,
+            chunks: collect && size <= MAX_COLLECTED_ENTRY_SIZE ? [] : null
+          };
+        }
+
+        if (current.remaining > 0) {
+          if (pending.length === 0) return;
+
+          const take = Math.min(current.remaining, pending.length);
+          if (current.chunks && current.dataRemaining > 0) {
+            current.chunks.push(pending.subarray(0, Math.min(take, current.dataRemaining)));
+          }
+          current.dataRemaining = Math.max(0, current.dataRemaining - take);
+          current.remaining -= take;
+          pending = pending.subarray(take);
+
+          if (current.remaining > 0) return;
+        }
+
+        finishEntry(current);
+        current = null;
+      }
+    };
+
+    const gunzip = zlib.createGunzip();
+
+    inputStream.on('error', reject);
+    gunzip.on('error', reject);
+
+    gunzip.on('data', (chunk) => {
+      pending = pending.length ? Buffer.concat([pending, chunk]) : chunk;
+      processPending();
+    });
+
+    gunzip.on('end', () => {
+      const allFiles = [...guidEntries.values()]
+        .filter(entry => entry.path && entry.size !== null) // Folders have no asset file
+        .map(entry => ({ path: entry.path, size: entry.size, type: getFileType(entry.path) }))
+        .sort((a, b) => a.path.localeCompare(b.path));
+
+      const fileTypes = {};
+      let totalSize = 0;
+      for (const file of allFiles) {
+        fileTypes[file.type] = (fileTypes[file.type] || 0) + 1;
+        totalSize += file.size;
+      }
+
+      resolve({
+        files: allFiles.slice(0, MAX_MANIFEST_FILES),
+        fileCount: allFiles.length,
+        totalSize,
+        fileTypes,
+        truncated: allFiles.length > MAX_MANIFEST_FILES
+      });
+    });
+
+    inputStream.pipe(gunzip);
+  });
+};
+
+/**
+ * Build the manifest for an uploaded package file. Returns null for files that
+ * are not .unitypackage archives or cannot be parsed - the upload itself still succeeds.
+ */
+const extractPackageContents = async (file, openStream) => {
+  if (path.extname(file.originalname || '').toLowerCase() !== '.unitypackage') {
+    return null;
+  }
+
+  try {
+    const stream = await openStream(file);
+    const manifest = await parseUnityPackage(stream);
+    return { ...manifest, parsedAt: new Date() };
+  } catch (error) {
+    console.warn(`⚠️ Could not parse unitypackage ${file.originalname}:`, error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  FILE_TYPE_EXTENSIONS,
+  getFileType,
+  parseUnityPackage,
+  extractPackageContents
+};
@@ -0,0 +1,361 @@
+const { Readable, pipeline } = require('stream');
+const { UploadSession } = require('../models/index');
+const { getStorage, buildKey, getContentType } = require('./storage');
+const { createChecksumStream } = require('../utils/checksum');
+const { FILE_HEAD_BYTES, checkFileType, validateFileContents } = require('./fileValidationService');
+
+const MB = 1024 * 1024;
+const DEFAULT_CHUNK_SIZE = 8 * MB;
+const MIN_CHUNK_SIZE = 1 * MB;
+const MAX_CHUNK_SIZE = 64 * MB;
+const MAX_UPLOAD_SIZE = 10 * 1024 * MB; // 10GB
+const UPLOAD_SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+const uploadError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const chunkKey = (session, index) => `chunks/${session._id}/${String(index).padStart(6, '0')}`;
+
+// Every chunk is chunkSize bytes except the last, which holds the remainder
+const expectedChunkSize = (session, index) => (index === session.totalChunks - 1
+  ? session.fileSize - session.chunkSize * (session.totalChunks - 1)
+  : session.chunkSize);
+
+const isExpired = (session) => session.expiresAt < new Date();
+
+// Merge received chunk indexes into inclusive byte ranges, e.g. [{ start: 0, end: 16777215 }]
+const getReceivedRanges = (session) => {
+  const ranges = [];
+  for (const index of [...session.receivedChunks].sort((a, b) => a - b)) {
+    const start = index * session.chunkSize;
+    const end = start + expectedChunkSize(session, index) - 1;
+    const last = ranges[ranges.length - 1];
+    if (last && last.end + 1 === start) {
+      last.end = end;
+    } else {
+      ranges.push({ start, end });
+    }
+  }
+  return ranges;
+};
+
+/**
+ * Shape returned to clients
+ */
+const toPublicSession = (session) => {
+  const received = new Set(session.receivedChunks);
+  const missingChunks = [];
+  let receivedBytes = 0;
+
+  for (let index = 0; index < session.totalChunks; index++) {
+    if (received.has(index)) {
+      receivedBytes += expectedChunkSize(session, index);
+    } else {
+      missingChunks.push(index);
+    }
+  }
+
+  return {
+    uploadId: session._id,
+    fileName: session.fileName,
+    fileSize: session.fileSize,
+    chunkSize: session.chunkSize,
+    totalChunks: session.totalChunks,
+    status: session.status,
+    receivedChunks: [...received].sort((a, b) => a - b),
+    missingChunks,
+    receivedBytes,
+    receivedRanges: getReceivedRanges(session),
+    checksum: session.checksum,
+    assetId: session.assetId,
+    expiresAt: session.expiresAt
+  };
+};
+
+/**
+ * Start a resumable upload
+ */
+const createUploadSession = async (userId, { fileName, fileSize, checksum, chunkSize }) => {
+  if (!fileName || typeof fileName !== 'string' || !fileName.trim()) {
+    throw uploadError('File name is required');
+  }
+  checkFileType('assetFile', fileName.trim());
+
+  const size = Number(fileSize);
+  if (!Number.isInteger(size) || size < 1 || size > MAX_UPLOAD_SIZE) {
+    throw uploadError(`File size must be between 1 byte and ${MAX_UPLOAD_SIZE / (1024 * MB)}GB`);
+  }
+
+  if (typeof checksum !== 'string' || !/^[a-f0-9]{64}$/i.test(checksum)) {
+    throw uploadError('Checksum must be the sha256 hex digest of the file');
+  }
+
+  const chunkBytes = chunkSize === undefined || chunkSize === null ? DEFAULT_CHUNK_SIZE : Number(chunkSize);
+  if (!Number.isInteger(chunkBytes) || chunkBytes < MIN_CHUNK_SIZE || chunkBytes > MAX_CHUNK_SIZE) {
+    throw uploadError(`Chunk size must be between ${MIN_CHUNK_SIZE / MB}MB and ${MAX_CHUNK_SIZE / MB}MB`);
+  }
+
+  return UploadSession.create({
+    userId,
+    fileName: fileName.trim(),
+    fileSize: size,
+    chunkSize: chunkBytes,
+    totalChunks: Math.ceil(size / chunkBytes),
+    checksum: checksum.toLowerCase(),
+    expiresAt: new Date(Date.now() + UPLOAD_SESSION_TTL_MS)
+  });
+};
+
+/**
+ * Load one of a user's upload sessions, or throw a 404
+ */
+const getUploadSession = async (uploadId, userId) => {
+  const session = await UploadSession.findOne({ _id: uploadId, userId });
+  if (!session) {
+    throw uploadError('Upload session not found', 404);
+  }
+  return session;
+};
+
+const assertUploading = (session) => {
+  if (session.status !== 'uploading') {
+    throw uploadError(`Upload session is ${session.status}`, 409);
+  }
+  if (isExpired(session)) {
+    throw uploadError('Upload session has expired', 410);
+  }
+};
+
+/**
+ * Store one numbered chunk. Re-sending a chunk replaces it, so clients can
+ * safely retry anything that was not acknowledged.
+ */
+const storeChunk = async (session, index, stream) => {
+  assertUploading(session);
+
+  if (!Number.isInteger(index) || index < 0 || index >= session.totalChunks) {
+    throw uploadError(`Chunk index must be between 0 and ${session.totalChunks - 1}`);
+  }
+
+  const storage = getStorage();
+  const key = chunkKey(session, index);
+  const expected = expectedChunkSize(session, index);
+  const hashing = createChecksumStream({ maxBytes: expected });
+
+  pipeline(stream, hashing, () => {});
+
+  try {
+    await storage.put(key, hashing);
+  } catch (error) {
+    await storage.delete(key).catch(() => {});
+    if (hashing.bytes > expected) {
+      throw uploadError(`Chunk ${index} must be exactly ${expected} bytes`);
+    }
+    throw error;
+  }
+
+  if (hashing.bytes !== expected) {
+    await storage.delete(key).catch(() => {});
+    throw uploadError(`Chunk ${index} must be exactly ${expected} bytes, received ${hashing.bytes}`);
+  }
+
+  const updated = await UploadSession.findOneAndUpdate(
+    { _id: session._id, status: 'uploading' },
+    { $addToSet: { receivedChunks: index }, updatedAt: new Date() },
+    { new: true }
+  );
+
+  if (!updated) {
+    await storage.delete(key).catch(() => {});
+    throw uploadError('Upload session is no longer accepting chunks', 409);
+  }
+
+  return updated;
+};
+
+const deleteChunks = async (session) => {
+  const storage = getStorage();
+  const chunks = await storage.list(`chunks/${session._id}/`);
+  await Promise.allSettled(chunks.map(chunk => storage.delete(chunk.key)));
+};
+
+/**
+ * Assemble the chunks into the final file in storage and verify its sha256
+ * and archive header. Either failing fails the session - the client has to start over.
+ */
+const completeUploadSession = async (session) => {
+  assertUploading(session);
+
+  const missing = toPublicSession(session).missingChunks;
+  if (missing.length > 0) {
+    throw uploadError(`Missing chunks: ${missing.slice(0, 20).join(', ')}${missing.length > 20 ? ', ...' : ''}`, 409);
+  }
+
+  // Claim the session so two completes cannot assemble at the same time
+  const claimed = await UploadSession.findOneAndUpdate(
+    { _id: session._id, status: 'uploading' },
+    { status: 'assembling', updatedAt: new Date() },
+    { new: true }
+  );
+  if (!claimed) {
+    throw uploadError('Upload session is already being completed', 409);
+  }
+
+  const storage = getStorage();
+  const key = buildKey('assetFile', claimed.fileName);
+
+  const assembled = Readable.from((async function* () {
+    for (let index = 0; index < claimed.totalChunks; index++) {
+      const chunk = await storage.getStream(chunkKey(claimed, index));
+      for await (const data of chunk) {
+        yield data;
+      }
+    }
+  })());
+
+  const hashing = createChecksumStream({ headBytes: FILE_HEAD_BYTES });
+  pipeline(assembled, hashing, () => {});
+
+  let url;
+  try {
+    ({ url } = await storage.put(key, hashing, { contentType: getContentType(claimed.fileName) }));
+  } catch (error) {
+    // Storage failure - let the client retry the complete
+    claimed.status = 'uploading';
+    claimed.updatedAt = new Date();
+    await claimed.save();
+    await storage.delete(key).catch(() => {});
+    throw error;
+  }
+
+  const { sha256, sha1 } = hashing.digests();
+
+  // The file cannot be fixed from the stored chunks - the client has to start over
+  const failAssembly = async (error) => {
+    await storage.delete(key).catch(() => {});
+    await deleteChunks(claimed);
+    claimed.status = 'failed';
+    claimed.updatedAt = new Date();
+    await claimed.save();
+    return error;
+  };
+
+  if (hashing.bytes !== claimed.fileSize || sha256 !== claimed.checksum) {
+    throw await failAssembly(uploadError('Assembled file does not match the expected checksum - please upload it again', 422));
+  }
+
+  try {
+    validateFileContents('assetFile', claimed.fileName, hashing.head());
+  } catch (error) {
+    throw await failAssembly(error);
+  }
+
+  await deleteChunks(claimed);
+
+  claimed.status = 'completed';
+  claimed.fileKey = key;
+  claimed.fileUrl = url;
+  claimed.shasum = sha1;
+  claimed.updatedAt = new Date();
+  await claimed.save();
+
+  console.log(`📦 Chunked upload completed: ${claimed.fileName} (${claimed.fileSize} bytes)`);
+
+  return claimed;
+};
+
+/**
+ * Cancel an upload and delete everything stored for it
+ */
+const abortUploadSession = async (session) => {
+  if (session.status === 'attached') {
+    throw uploadError('Upload has already been attached to an asset', 409);
+  }
+
+  await deleteChunks(session);
+  if (session.fileKey) {
+    await getStorage().delete(session.fileKey).catch(() => {});
+  }
+
+  session.status = 'aborted';
+  session.updatedAt = new Date();
+  await session.save();
+  return session;
+};
+
+/**
+ * Turn a completed upload into the file object the asset routes expect
+ * (same shape as a file stored by the upload middleware).
+ */
+const getCompletedUploadFile = async (uploadId, userId) => {
+  const session = await getUploadSession(uploadId, userId);
+
+  if (session.status !== 'completed') {
+    throw uploadError(`Upload session is ${session.status}`, 409);
+  }
+
+  return {
+    key: session.fileKey,
+    url: session.fileUrl,
+    size: session.fileSize,
+    originalname: session.fileName,
+    checksums: { sha256: session.checksum, sha1: session.shasum }
+  };
+};
+
+/**
+ * Record which asset a completed upload was published to. Returns false if
+ * it was already used.
+ */
+const markUploadAttached = async (uploadId, assetId) => {
+  const result = await UploadSession.updateOne(
+    { _id: uploadId, status: 'completed' },
+    { status: 'attached', assetId, updatedAt: new Date() }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Undo markUploadAttached when publishing to that asset failed, so the
+ * upload can be published again
+ */
+const releaseUploadAttachment = async (uploadId, assetId) => {
+  const result = await UploadSession.updateOne(
+    { _id: uploadId, status: 'attached', assetId },
+    { status: 'completed', assetId: null, updatedAt: new Date() }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Delete stored data of expired sessions that were never attached
+ */
+const cleanupExpiredUploadSessions = async () => {
+  const sessions = await UploadSession.find({
+    expiresAt: { $lt: new Date() },
+    status: { $in: ['uploading', 'assembling', 'completed', 'failed'] }
+  });
+
+  for (const session of sessions) {
+    await abortUploadSession(session);
+  }
+  return sessions.length;
+};
+
+module.exports = {
+  DEFAULT_CHUNK_SIZE,
+  MAX_UPLOAD_SIZE,
+  toPublicSession,
+  createUploadSession,
+  getUploadSession,
+  storeChunk,
+  completeUploadSession,
+  abortUploadSession,
+  getCompletedUploadFile,
+  markUploadAttached,
+  releaseUploadAttachment,
+  cleanupExpiredUploadSessions
+};
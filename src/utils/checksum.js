@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+const { Transform } = require('stream');
+
+/**
+ * Pass-through stream that hashes and counts everything flowing through it.
+ * After the stream ends, `stream.bytes` is the total size and
+ * `stream.digests()` returns { sha256, sha1 } hex digests.
+ * Pass maxBytes to fail the stream as soon as it grows past a limit (with
+ * tooLargeError() if given - it reaches whatever the stream is piped from), and
+ * headBytes to keep the first bytes for file type sniffing (`stream.head()`).
+ */
+const createChecksumStream = ({ maxBytes = Infinity, tooLargeError, headBytes = 0 } = {}) => {
+  const sha256 = crypto.createHash('sha256');
+  const sha1 = crypto.createHash('sha1');
+  const head = [];
+  let headLength = 0;
+
+  const stream = new Transform({
+    transform(chunk, encoding, done) {
+      stream.bytes += chunk.length;
+      if (stream.bytes > maxBytes) {
+        return done(tooLargeError ? tooLargeError() : new Error(`Stream exceeded ${maxBytes} bytes`));
+      }
+      sha256.update(chunk);
+      sha1.update(chunk);
+      if (headLength < headBytes) {
+        const slice = Buffer.from(chunk.subarray(0, headBytes - headLength));
+        head.push(slice);
+        headLength += slice.length;
+      }
+      done(null, chunk);
+    }
+  });
+
+  stream.bytes = 0;
+  stream.head = () => Buffer.concat(head);
+
+  let digests = null;
+  stream.digests = () => {
+    if (!digests) {
+      digests = { sha256: sha256.digest('hex'), sha1: sha1.digest('hex') };
+    }
+    return digests;
+  };
+
+  return stream;
+};
+
+module.exports = {
+  createChecksumStream
+};
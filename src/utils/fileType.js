@@ -0,0 +1,101 @@
+// File type detection from magic bytes. Works on the first bytes of a file,
+// so callers only need to buffer the head of an upload, not the whole thing.
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const startsWith = (buffer, bytes, offset = 0) => (
+  buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte)
+);
+
+const ascii = (buffer, start, end) => (buffer.length >= end ? buffer.toString('latin1', start, end) : '');
+
+// PNG: the IHDR chunk always comes first and holds the dimensions
+const readPngSize = (buffer) => {
+  if (ascii(buffer, 12, 16) !== 'IHDR' || buffer.length < 24) return null;
+  return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+};
+
+// JPEG: walk the marker segments until a start-of-frame (SOFn) marker
+const readJpegSize = (buffer) => {
+  let offset = 2;
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+
+    if (marker === 0xff) { // Fill byte
+      offset++;
+      continue;
+    }
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) { // Standalone markers
+      offset += 2;
+      continue;
+    }
+    if (marker === 0xda || marker === 0xd9) return null; // Image data / end before any frame header
+
+    const length = buffer.readUInt16BE(offset + 2);
+    const isStartOfFrame = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+    if (isStartOfFrame) {
+      if (offset + 9 > buffer.length) return null;
+      return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+    }
+    offset += 2 + length;
+  }
+  return null;
+};
+
+// WebP: the first chunk is VP8 (lossy), VP8L (lossless) or VP8X (extended)
+const readWebpSize = (buffer) => {
+  switch (ascii(buffer, 12, 16)) {
+    case 'VP8 ':
+      if (buffer.length < 30 || !startsWith(buffer, [0x9d, 0x01, 0x2a], 23)) return null;
+      return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+    case 'VP8L': {
+      if (buffer.length < 25 || buffer[20] !== 0x2f) return null;
+      const bits = buffer.readUInt32LE(21);
+      return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    case 'VP8X':
+      if (buffer.length < 30) return null;
+      return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+    default:
+      return null;
+  }
+};
+
+/**
+ * Detect a PNG, JPEG or WebP image. Returns { format, width, height } - width
+ * and height are null if the header is cut short - or null for anything else.
+ */
+const detectImage = (buffer) => {
+  let format = null;
+  let size = null;
+
+  if (startsWith(buffer, PNG_SIGNATURE)) {
+    format = 'png';
+    size = readPngSize(buffer);
+  } else if (startsWith(buffer, [0xff, 0xd8, 0xff])) {
+    format = 'jpeg';
+    size = readJpegSize(buffer);
+  } else if (ascii(buffer, 0, 4) === 'RIFF' && ascii(buffer, 8, 12) === 'WEBP') {
+    format = 'webp';
+    size = readWebpSize(buffer);
+  }
+
+  if (!format) return null;
+  return { format, width: size ? size.width : null, height: size ? size.height : null };
+};
+
+/**
+ * Detect a gzip stream (.unitypackage, .tgz) or a zip archive.
+ * Returns 'gzip', 'zip' or null.
+ */
+const detectArchive = (buffer) => {
+  if (startsWith(buffer, [0x1f, 0x8b, 0x08])) return 'gzip';
+  if (startsWith(buffer, [0x50, 0x4b, 0x03, 0x04])) return 'zip';
+  return null;
+};
+
+module.exports = {
+  detectImage,
+  detectArchive
+};
@@ -0,0 +1,50 @@
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+
+const SALT_ROUNDS = 12;
+
+// bcrypt hashes look like $2a$12$<53 chars>; anything else is a legacy plaintext password
+const BCRYPT_HASH_REGEX = /^\$2[aby]\$\d{2}\$[./A-Za-z0-9]{53}$/;
+
+// Check whether a stored password value is already a bcrypt hash
+const isPasswordHashed = (value) => {
+  return typeof value === 'string' && BCRYPT_HASH_REGEX.test(value);
+};
+
+// Hash a plaintext password. Always hashes - a client-supplied value that
+// merely looks like a bcrypt hash is still a password.
+const hashPassword = async (password) => {
+  const salt = await bcrypt.genSalt(SALT_ROUNDS);
+  return bcrypt.hash(password, salt);
+};
+
+// Compare a candidate password against a stored value.
+// Returns { match, legacy } where legacy is true when the stored value was plaintext.
+const verifyPassword = async (candidate, stored) => {
+  if (!candidate || !stored) {
+    return { match: false, legacy: false };
+  }
+
+  if (isPasswordHashed(stored)) {
+    return { match: await bcrypt.compare(candidate, stored), legacy: false };
+  }
+
+  // Legacy plaintext - compare in constant time
+  const a = Buffer.from(String(candidate));
+  const b = Buffer.from(String(stored));
+  const match = a.length === b.length && crypto.timingSafeEqual(a, b);
+  return { match, legacy: true };
+};
+
+// Mongo query matching users whose password has not been migrated to bcrypt yet
+const unmigratedPasswordQuery = () => ({
+  password: { $not: BCRYPT_HASH_REGEX }
+});
+
+module.exports = {
+  SALT_ROUNDS,
+  isPasswordHashed,
+  hashPassword,
+  verifyPassword,
+  unmigratedPasswordQuery
+};
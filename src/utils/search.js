@@ -0,0 +1,148 @@
+// Catalog search helpers: query parsing, prefix tokens and highlighted snippets
+
+const MAX_QUERY_LENGTH = 200;
+const MIN_WORD_LENGTH = 2;
+const SNIPPET_LENGTH = 160;
+
+const WORD_SPLIT_REGEX = /[^\p{L}\p{N}]+/u;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Lowercase words of a piece of text
+const tokenize = (text) => String(text || '')
+  .toLowerCase()
+  .split(WORD_SPLIT_REGEX)
+  .filter(word => word.length >= MIN_WORD_LENGTH);
+
+// Every distinct word of an asset's name, tags and description - lets prefix
+// queries use an anchored, indexed regex instead of scanning the catalog
+const buildSearchTokens = ({ name, tags, description }) => [...new Set([
+  ...tokenize(name),
+  ...(tags || []).flatMap(tokenize),
+  ...tokenize(description)
+])];
+
+/**
+ * Split a search box query into its parts:
+ *   "low poly" tree shad* -scifi
+ *   -> { phrases: ['low poly'], terms: ['tree'], prefixes: ['shad'], excluded: ['scifi'] }
+ */
+const parseSearchQuery = (search) => {
+  const query = String(search || '').slice(0, MAX_QUERY_LENGTH);
+  const parsed = { phrases: [], terms: [], prefixes: [], excluded: [] };
+
+  const unquoted = query.replace(/"([^"]*)"/g, (match, phrase) => {
+    const words = tokenize(phrase);
+    if (words.length > 1) parsed.phrases.push(words.join(' '));
+    else if (words.length === 1) parsed.terms.push(words[0]);
+    return ' ';
+  });
+
+  for (const part of unquoted.split(/\s+/)) {
+    if (part.startsWith('-')) {
+      parsed.excluded.push(...tokenize(part.slice(1)));
+    } else if (part.endsWith('*')) {
+      const words = tokenize(part);
+      const prefix = words.pop();
+      parsed.terms.push(...words);
+      if (prefix) parsed.prefixes.push(prefix);
+    } else {
+      parsed.terms.push(...tokenize(part));
+    }
+  }
+
+  return parsed;
+};
+
+/**
+ * Regex matching the words and phrases to highlight. Words also match as
+ * prefixes ("tree" highlights "trees"), mirroring stemmed text search.
+ * Returns null when there is nothing to highlight.
+ */
+const buildHighlightRegex = (words, phrases = []) => {
+  const alternatives = [
+    ...phrases.map(phrase => phrase.split(' ').map(escapeRegex).join('[^\\p{L}\\p{N}]+')),
+    ...words.map(word => `${escapeRegex(word)}[\\p{L}\\p{N}]*`)
+  ];
+  if (alternatives.length === 0) return null;
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})`, 'giu');
+};
+
+/**
+ * HTML-escape text and wrap every match of the highlight regex in <mark>
+ */
+const highlightText = (text, regex) => {
+  if (!text) return text;
+  if (!regex) return escapeHtml(text);
+
+  let result = '';
+  let last = 0;
+  for (const match of text.matchAll(regex)) {
+    result += escapeHtml(text.slice(last, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  return result + escapeHtml(text.slice(last));
+};
+
+/**
+ * Highlighted excerpt of a long text around its first match (or its start)
+ */
+const buildSnippet = (text, regex, length = SNIPPET_LENGTH) => {
+  if (!text) return text;
+
+  const first = regex ? text.search(regex) : -1;
+  let start = first > length / 3 ? first - Math.floor(length / 3) : 0;
+  let end = Math.min(text.length, start + length);
+
+  // Don't cut words in half
+  if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+  if (end < text.length) end = text.lastIndexOf(' ', end) > start ? text.lastIndexOf(' ', end) : end;
+
+  return `${start > 0 ? '…' : ''}${highlightText(text.slice(start, end), regex)}${end < text.length ? '…' : ''}`;
+};
+
+/**
+ * Edit distance between two words, counting a swap of adjacent letters as one
+ * edit ("shdaer" -> "shader"). Stops early and returns max + 1 once the
+ * distance is known to exceed max.
+ */
+const editDistance = (a, b, max = Infinity) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        row[j] = Math.min(row[j], prevPrev[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, row[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+};
+
+module.exports = {
+  escapeRegex,
+  tokenize,
+  buildSearchTokens,
+  parseSearchQuery,
+  buildHighlightRegex,
+  highlightText,
+  buildSnippet,
+  editDistance
+};
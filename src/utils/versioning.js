@@ -0,0 +1,62 @@
+// Semantic version helpers for asset versions (MAJOR.MINOR.PATCH[-prerelease])
+const SEMVER_REGEX = /^(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?$/;
+
+// Unity editor versions, e.g. 2021.3, 2022.3.10 or 2022.3.10f1
+const UNITY_VERSION_REGEX = /^(\d{4}|\d)\.(\d+)(?:\.(\d+)([abfp]\d+)?)?$/;
+
+// UPM package names: reverse-domain, lowercase (e.g. com.studio.my-package)
+const UPM_PACKAGE_NAME_REGEX = /^[a-z0-9][a-z0-9-_]*(\.[a-z0-9][a-z0-9-_]*)+$/;
+
+const isValidSemver = (version) => typeof version === 'string' && SEMVER_REGEX.test(version.trim());
+
+const isValidUnityVersion = (version) => typeof version === 'string' && UNITY_VERSION_REGEX.test(version.trim());
+
+const isValidUpmPackageName = (name) => typeof name === 'string' && name.length <= 214 && UPM_PACKAGE_NAME_REGEX.test(name);
+
+// Compare two semver strings: negative if a < b, 0 if equal, positive if a > b
+const compareSemver = (a, b) => {
+  const matchA = SEMVER_REGEX.exec(a);
+  const matchB = SEMVER_REGEX.exec(b);
+
+  for (let i = 1; i <= 3; i++) {
+    const diff = parseInt(matchA[i]) - parseInt(matchB[i]);
+    if (diff !== 0) return diff;
+  }
+
+  // A release ranks above any of its prereleases
+  const preA = matchA[4];
+  const preB = matchB[4];
+  if (!preA && !preB) return 0;
+  if (!preA) return 1;
+  if (!preB) return -1;
+  return preA.localeCompare(preB, undefined, { numeric: true });
+};
+
+// Compare two Unity versions on year/minor/patch (release suffix ignored)
+const compareUnityVersions = (a, b) => {
+  const matchA = UNITY_VERSION_REGEX.exec(a);
+  const matchB = UNITY_VERSION_REGEX.exec(b);
+
+  for (let i = 1; i <= 3; i++) {
+    const diff = parseInt(matchA[i] || '0') - parseInt(matchB[i] || '0');
+    if (diff !== 0) return diff;
+  }
+  return 0;
+};
+
+// Numeric key of a Unity version for range queries. A bare release stream
+// (2022.3) spans all of its patches - `upper` gives the key of its last one.
+const unityVersionKey = (version, { upper = false } = {}) => {
+  const [, year, minor, patch] = UNITY_VERSION_REGEX.exec(version.trim());
+  const patchNumber = patch !== undefined ? parseInt(patch) : (upper ? 999 : 0);
+  return parseInt(year) * 1000000 + parseInt(minor) * 1000 + patchNumber;
+};
+
+module.exports = {
+  isValidSemver,
+  isValidUnityVersion,
+  isValidUpmPackageName,
+  compareSemver,
+  compareUnityVersions,
+  unityVersionKey
+};
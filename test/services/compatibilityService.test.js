@@ -0,0 +1,80 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCompatibility } = require('../../src/services/compatibilityService');
+
+// Run parseCompatibility and return the error it throws
+const parseError = (body) => {
+  try {
+    parseCompatibility(body);
+  } catch (error) {
+    return error;
+  }
+  assert.fail('Expected parseCompatibility to throw');
+};
+
+describe('parseCompatibility', () => {
+  it('parses the comma-separated form sent by multipart forms', () => {
+    assert.deepEqual(parseCompatibility({
+      unityVersions: '2021.3-2022.3, 2023.2+',
+      renderPipelines: 'urp,HDRP,urp',
+      platforms: 'windows',
+      dependencies: 'com.unity.textmeshpro@3.0.6'
+    }), {
+      unityVersions: [{ min: '2021.3', max: '2022.3' }, { min: '2023.2', max: null }],
+      renderPipelines: ['URP', 'HDRP'],
+      platforms: ['WINDOWS'],
+      dependencies: [{ name: 'com.unity.textmeshpro', version: '3.0.6' }]
+    });
+  });
+
+  it('treats a bare release stream as that stream only', () => {
+    assert.deepEqual(parseCompatibility({ unityVersions: '2022.3' }).unityVersions, [{ min: '2022.3', max: '2022.3' }]);
+  });
+
+  it('accepts JSON arrays and objects', () => {
+    assert.deepEqual(parseCompatibility({
+      unityVersions: '[{"min":"2021.3"}]',
+      dependencies: [{ name: 'com.unity.inputsystem', version: '1.7.0' }]
+    }), {
+      unityVersions: [{ min: '2021.3', max: null }],
+      dependencies: [{ name: 'com.unity.inputsystem', version: '1.7.0' }]
+    });
+  });
+
+  it('leaves absent fields out and clears null or empty ones', () => {
+    assert.deepEqual(parseCompatibility({ platforms: null, renderPipelines: '' }), { platforms: [], renderPipelines: [] });
+    assert.deepEqual(parseCompatibility({}), {});
+  });
+
+  it('rejects a range that ends before it starts', () => {
+    const error = parseError({ unityVersions: '2023.1-2022.3' });
+    assert.equal(error.status, 400);
+    assert.deepEqual(error.errors.map(e => e.field), ['unityVersions']);
+  });
+
+  it('accepts a range within one stream', () => {
+    assert.deepEqual(parseCompatibility({ unityVersions: '2022.3.5-2022.3' }).unityVersions, [{ min: '2022.3.5', max: '2022.3' }]);
+  });
+
+  it('reports every invalid field at once', () => {
+    const error = parseError({
+      unityVersions: 'latest',
+      platforms: 'WINDOWS,AMIGA',
+      dependencies: 'com.unity.ugui@1.0.0,com.unity.ugui@1.1.0,TextMeshPro@1.0.0,com.unity.timeline'
+    });
+    assert.equal(error.status, 400);
+    assert.equal(error.message, error.errors[0].message);
+    assert.deepEqual(error.errors.map(e => e.field), [
+      'unityVersions',
+      'platforms',
+      'dependencies',
+      'dependencies',
+      'dependencies'
+    ]);
+    assert.match(error.errors[1].message, /AMIGA/);
+  });
+
+  it('rejects malformed JSON', () => {
+    assert.equal(parseError({ renderPipelines: '[URP' }).errors[0].field, 'renderPipelines');
+  });
+});
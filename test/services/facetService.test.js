@@ -0,0 +1,92 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const {
+  parseFacetFilters,
+  buildFacetConditions,
+  combineFacetConditions
+} = require('../../src/services/facetService');
+
+describe('parseFacetFilters', () => {
+  it('returns empty filters for an empty query', () => {
+    assert.deepEqual(parseFacetFilters({}), {
+      categories: [],
+      tags: [],
+      renderPipelines: [],
+      platforms: [],
+      dependencies: [],
+      unityVersion: null,
+      minFileSize: null,
+      maxFileSize: null,
+      addedAfter: null,
+      addedBefore: null
+    });
+  });
+
+  it('accepts comma-separated and repeated lists', () => {
+    const id = new mongoose.Types.ObjectId().toString();
+    const filters = parseFacetFilters({
+      category: `all,${id}`,
+      tags: ['forest', ' trees ', 'forest'],
+      renderPipeline: 'urp,hdrp',
+      platform: ['android']
+    });
+    assert.deepEqual(filters.categories.map(String), [id]);
+    assert.ok(filters.categories[0] instanceof mongoose.Types.ObjectId);
+    assert.deepEqual(filters.tags, ['forest', 'trees']);
+    assert.deepEqual(filters.renderPipelines, ['URP', 'HDRP']);
+    assert.deepEqual(filters.platforms, ['ANDROID']);
+  });
+
+  it('parses sizes, dates and the Unity version', () => {
+    const filters = parseFacetFilters({
+      minFileSize: '1024',
+      maxFileSize: '0',
+      addedAfter: '2024-01-31',
+      unityVersion: ' 2022.3 '
+    });
+    assert.equal(filters.minFileSize, 1024);
+    assert.equal(filters.maxFileSize, 0);
+    assert.equal(filters.addedAfter.toISOString(), '2024-01-31T00:00:00.000Z');
+    assert.equal(filters.unityVersion, '2022.3');
+  });
+
+  it('rejects malformed values with a 400', () => {
+    for (const query of [
+      { category: 'not-an-id' },
+      { renderPipeline: 'LWRP' },
+      { platform: 'AMIGA' },
+      { unityVersion: '2022' },
+      { minFileSize: '-1' },
+      { maxFileSize: '1.5' },
+      { addedBefore: 'yesterday' }
+    ]) {
+      assert.throws(() => parseFacetFilters(query), { status: 400 }, JSON.stringify(query));
+    }
+  });
+});
+
+describe('facet conditions', () => {
+  it('builds one condition per active facet', async () => {
+    const conditions = await buildFacetConditions(parseFacetFilters({
+      tags: 'forest',
+      platform: 'IOS',
+      minFileSize: '10'
+    }));
+    assert.deepEqual(conditions, {
+      tags: { tags: { $in: ['forest'] } },
+      platforms: { platforms: { $in: ['IOS'] } },
+      fileSize: { fileSize: { $gte: 10 } }
+    });
+  });
+
+  it('leaves a facet\'s own condition out of its counts', () => {
+    const conditions = {
+      tags: { tags: { $in: ['forest'] } },
+      platforms: { platforms: { $in: ['IOS'] } }
+    };
+    assert.deepEqual(combineFacetConditions(conditions), { $and: [conditions.tags, conditions.platforms] });
+    assert.deepEqual(combineFacetConditions(conditions, 'platforms'), { $and: [conditions.tags] });
+    assert.deepEqual(combineFacetConditions({ tags: conditions.tags }, 'tags'), {});
+  });
+});
@@ -0,0 +1,38 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { scoreSimilarity } = require('../../src/services/recommendationService');
+
+const categoryId = new mongoose.Types.ObjectId();
+
+const asset = {
+  tags: ['Forest', 'trees', 'low poly'],
+  categoryId,
+  renderPipelines: ['URP', 'HDRP']
+};
+
+describe('scoreSimilarity', () => {
+  it('weighs shared tags, category, render pipelines and co-downloads', () => {
+    const candidate = {
+      tags: ['forest', 'Low Poly', 'rocks'],
+      categoryId: new mongoose.Types.ObjectId(categoryId.toString()),
+      renderPipelines: ['URP']
+    };
+    // 2 tags * 3 + category 2 + 1 pipeline * 1 + log2(1 + 3) * 1.5
+    assert.deepEqual(scoreSimilarity(asset, candidate, 3), {
+      score: 12,
+      reasons: ['tags', 'category', 'renderPipelines', 'alsoDownloaded']
+    });
+  });
+
+  it('scores unrelated assets zero', () => {
+    assert.deepEqual(scoreSimilarity(asset, { tags: ['space'], categoryId: new mongoose.Types.ObjectId() }), {
+      score: 0,
+      reasons: []
+    });
+  });
+
+  it('handles assets without metadata', () => {
+    assert.deepEqual(scoreSimilarity({}, {}, 1), { score: 1.5, reasons: ['alsoDownloaded'] });
+  });
+});
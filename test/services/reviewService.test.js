@@ -0,0 +1,58 @@
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { Asset, Review } = require('../../src/models/index');
+const { validateReviewInput, refreshAssetRating } = require('../../src/services/reviewService');
+
+describe('validateReviewInput', () => {
+  it('returns the trimmed review with a numeric rating', () => {
+    assert.deepEqual(validateReviewInput({ rating: '4', title: ' Great ', body: ' Works well \n' }), {
+      rating: 4,
+      title: 'Great',
+      body: 'Works well'
+    });
+  });
+
+  it('allows a rating without text', () => {
+    assert.deepEqual(validateReviewInput({ rating: 5 }), { rating: 5, title: '', body: '' });
+  });
+
+  it('requires a whole number of stars from 1 to 5', () => {
+    for (const rating of [0, 6, 4.5, 'five', undefined]) {
+      assert.throws(() => validateReviewInput({ rating }), { status: 400 }, String(rating));
+    }
+  });
+
+  it('limits the title and text', () => {
+    assert.throws(() => validateReviewInput({ rating: 3, title: 'x'.repeat(121) }), { status: 400 });
+    assert.throws(() => validateReviewInput({ rating: 3, body: 'x'.repeat(5001) }), { status: 400 });
+    assert.throws(() => validateReviewInput({ rating: 3, body: ['text'] }), { status: 400 });
+  });
+});
+
+describe('refreshAssetRating', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('stores the average, count and histogram of visible reviews', async () => {
+    const assetId = new mongoose.Types.ObjectId();
+    const aggregate = mock.method(Review, 'aggregate', async () => [{ _id: 5, count: 2 }, { _id: 3, count: 1 }]);
+    const updateOne = mock.method(Asset, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    const rating = await refreshAssetRating(assetId);
+
+    assert.deepEqual(rating, { average: 4.33, count: 3, histogram: [0, 0, 1, 0, 2] });
+    assert.deepEqual(aggregate.mock.calls[0].arguments[0][0], { $match: { assetId, isHidden: false } });
+    assert.deepEqual(updateOne.mock.calls[0].arguments, [{ _id: assetId }, { rating }]);
+  });
+
+  it('resets the rating when no review is visible', async () => {
+    mock.method(Review, 'aggregate', async () => []);
+    mock.method(Asset, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    assert.deepEqual(await refreshAssetRating(new mongoose.Types.ObjectId()), {
+      average: 0,
+      count: 0,
+      histogram: [0, 0, 0, 0, 0]
+    });
+  });
+});
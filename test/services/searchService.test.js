@@ -0,0 +1,32 @@
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Asset } = require('../../src/models/index');
+const { buildTextSearch } = require('../../src/services/searchService');
+
+describe('buildTextSearch', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('returns null for a query with nothing to search for', async () => {
+    assert.equal(await buildTextSearch(' - "" '), null);
+  });
+
+  it('builds a $text search from terms, phrases and exclusions', async () => {
+    const search = await buildTextSearch('"Low Poly" tree -scifi');
+    assert.deepEqual(search.filter, { $text: { $search: 'tree "low poly" -scifi' } });
+    assert.ok(search.highlightRegex.test('Low-poly trees'));
+  });
+
+  it('expands prefixes into indexed words, shortest first', async () => {
+    const distinct = mock.method(Asset, 'distinct', async () => ['shadows', 'shader', 'shaders', 'noise']);
+
+    const search = await buildTextSearch('shad*');
+
+    assert.equal(distinct.mock.calls[0].arguments[0], 'searchTokens');
+    assert.deepEqual(search.filter, { $text: { $search: 'shader shadows shaders' } });
+  });
+
+  it('matches nothing when a prefix expands to no word', async () => {
+    mock.method(Asset, 'distinct', async () => []);
+    assert.deepEqual(await buildTextSearch('zzz*'), { filter: { _id: null }, highlightRegex: null });
+  });
+});
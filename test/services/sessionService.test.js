@@ -0,0 +1,79 @@
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { Session, User } = require('../../src/models/index');
+const { generateRefreshToken } = require('../../src/middleware/auth');
+const { hashToken, rotateSession } = require('../../src/services/sessionService');
+
+const userId = new mongoose.Types.ObjectId();
+const familyId = 'family-1';
+const refreshToken = generateRefreshToken(userId.toString(), familyId);
+
+const storedSession = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  userId,
+  familyId,
+  tokenHash: hashToken(refreshToken),
+  expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+  revokedAt: null,
+  rotatedAt: null,
+  ...fields
+});
+
+// Stub the models rotateSession talks to; returns the revokeFamily and create mocks
+const stubModels = ({ session, user = { isActive: true }, claimed = true }) => ({
+  findOne: mock.method(Session, 'findOne', async () => session),
+  revoke: mock.method(Session, 'updateMany', async () => ({ modifiedCount: 1 })),
+  claim: mock.method(Session, 'findOneAndUpdate', async () => (claimed ? session : null)),
+  create: mock.method(Session, 'create', async (doc) => doc),
+  findUser: mock.method(User, 'findById', () => ({ select: async () => user }))
+});
+
+describe('rotateSession', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('claims the stored token and issues a new pair in the same family', async () => {
+    const session = storedSession();
+    const models = stubModels({ session });
+
+    const result = await rotateSession(refreshToken);
+
+    assert.equal(result.userId, userId);
+    assert.ok(result.access_token);
+    assert.notEqual(result.refresh_token, refreshToken);
+    assert.equal(models.findOne.mock.calls[0].arguments[0].tokenHash, hashToken(refreshToken));
+    assert.equal(models.create.mock.calls[0].arguments[0].familyId, familyId);
+    assert.equal(models.revoke.mock.callCount(), 0);
+  });
+
+  it('revokes the family when an already-rotated token is presented again', async () => {
+    const models = stubModels({ session: storedSession({ rotatedAt: new Date() }) });
+
+    await assert.rejects(rotateSession(refreshToken), { status: 401, message: /reuse detected/ });
+    assert.deepEqual(models.revoke.mock.calls[0].arguments[1].revokedReason, 'reuse_detected');
+    assert.equal(models.revoke.mock.calls[0].arguments[0].familyId, familyId);
+    assert.equal(models.create.mock.callCount(), 0);
+  });
+
+  it('revokes the family when a concurrent refresh claimed the token first', async () => {
+    const models = stubModels({ session: storedSession(), claimed: false });
+
+    await assert.rejects(rotateSession(refreshToken), { status: 401, message: /reuse detected/ });
+    assert.equal(models.revoke.mock.calls[0].arguments[1].revokedReason, 'reuse_detected');
+    assert.equal(models.create.mock.callCount(), 0);
+  });
+
+  it('ends the session of a deactivated user without rotating', async () => {
+    const models = stubModels({ session: storedSession(), user: { isActive: false } });
+
+    await assert.rejects(rotateSession(refreshToken), { status: 401, message: 'User account is deactivated' });
+    assert.equal(models.revoke.mock.calls[0].arguments[1].revokedReason, 'user_deactivated');
+    assert.equal(models.claim.mock.callCount(), 0);
+  });
+
+  it('rejects revoked sessions and tokens that are not refresh tokens', async () => {
+    stubModels({ session: storedSession({ revokedAt: new Date() }) });
+    await assert.rejects(rotateSession(refreshToken), { status: 401, message: 'Session has been revoked' });
+    await assert.rejects(rotateSession('not-a-token'), { status: 401 });
+  });
+});
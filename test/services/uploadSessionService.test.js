@@ -0,0 +1,40 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { toPublicSession } = require('../../src/services/uploadSessionService');
+
+const MB = 1024 * 1024;
+
+// A 20MB file in 8MB chunks: 8MB + 8MB + 4MB
+const session = (receivedChunks) => ({
+  _id: 'upload-1',
+  fileName: 'pack.unitypackage',
+  fileSize: 20 * MB,
+  chunkSize: 8 * MB,
+  totalChunks: 3,
+  receivedChunks,
+  status: 'uploading'
+});
+
+describe('toPublicSession', () => {
+  it('reports missing chunks and received bytes, counting the short last chunk', () => {
+    const upload = toPublicSession(session([2, 0]));
+    assert.deepEqual(upload.receivedChunks, [0, 2]);
+    assert.deepEqual(upload.missingChunks, [1]);
+    assert.equal(upload.receivedBytes, 12 * MB);
+  });
+
+  it('merges adjacent chunks into inclusive byte ranges', () => {
+    assert.deepEqual(toPublicSession(session([2, 0])).receivedRanges, [
+      { start: 0, end: 8 * MB - 1 },
+      { start: 16 * MB, end: 20 * MB - 1 }
+    ]);
+    assert.deepEqual(toPublicSession(session([1, 0, 2])).receivedRanges, [{ start: 0, end: 20 * MB - 1 }]);
+  });
+
+  it('reports nothing received for a new upload', () => {
+    const upload = toPublicSession(session([]));
+    assert.deepEqual(upload.missingChunks, [0, 1, 2]);
+    assert.equal(upload.receivedBytes, 0);
+    assert.deepEqual(upload.receivedRanges, []);
+  });
+});
@@ -0,0 +1,36 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { Readable, Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { createChecksumStream } = require('../../src/utils/checksum');
+
+const sink = () => new Writable({ write(chunk, encoding, done) { done(); } });
+
+describe('createChecksumStream', () => {
+  it('hashes and counts data split over several chunks', async () => {
+    const data = Buffer.from('x'.repeat(1000) + 'y'.repeat(1000));
+    const stream = createChecksumStream();
+    await pipeline(Readable.from([data.subarray(0, 700), data.subarray(700)]), stream, sink());
+
+    assert.equal(stream.bytes, data.length);
+    assert.deepEqual(stream.digests(), {
+      sha256: crypto.createHash('sha256').update(data).digest('hex'),
+      sha1: crypto.createHash('sha1').update(data).digest('hex')
+    });
+    // Digests can be read more than once
+    assert.equal(stream.digests().sha256, crypto.createHash('sha256').update(data).digest('hex'));
+  });
+
+  it('keeps the first headBytes across chunk boundaries', async () => {
+    const stream = createChecksumStream({ headBytes: 5 });
+    await pipeline(Readable.from([Buffer.from('abc'), Buffer.from('defgh')]), stream, sink());
+    assert.equal(stream.head().toString(), 'abcde');
+  });
+
+  it('fails once more than maxBytes pass through', async () => {
+    const tooLarge = new Error('too large');
+    const stream = createChecksumStream({ maxBytes: 4, tooLargeError: () => tooLarge });
+    await assert.rejects(pipeline(Readable.from([Buffer.from('abc'), Buffer.from('de')]), stream, sink()), tooLarge);
+  });
+});
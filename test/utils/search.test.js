@@ -0,0 +1,125 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  escapeRegex,
+  tokenize,
+  buildSearchTokens,
+  parseSearchQuery,
+  buildHighlightRegex,
+  highlightText,
+  buildSnippet,
+  editDistance
+} = require('../../src/utils/search');
+
+describe('tokenize', () => {
+  it('lowercases and splits on anything but letters and digits', () => {
+    assert.deepEqual(tokenize('Low-Poly Trees, v2!'), ['low', 'poly', 'trees', 'v2']);
+  });
+
+  it('drops one-letter words and tolerates empty input', () => {
+    assert.deepEqual(tokenize('a tree'), ['tree']);
+    assert.deepEqual(tokenize(undefined), []);
+  });
+
+  it('keeps non-latin letters', () => {
+    assert.deepEqual(tokenize('Café Ñandú'), ['café', 'ñandú']);
+  });
+});
+
+describe('buildSearchTokens', () => {
+  it('collects distinct words of the name, tags and description', () => {
+    const tokens = buildSearchTokens({
+      name: 'Forest Pack',
+      tags: ['forest', 'Low Poly'],
+      description: 'A low poly forest'
+    });
+    assert.deepEqual(tokens, ['forest', 'pack', 'low', 'poly']);
+  });
+});
+
+describe('parseSearchQuery', () => {
+  it('splits phrases, terms, prefixes and excluded words', () => {
+    assert.deepEqual(parseSearchQuery('"low poly" tree shad* -scifi'), {
+      phrases: ['low poly'],
+      terms: ['tree'],
+      prefixes: ['shad'],
+      excluded: ['scifi']
+    });
+  });
+
+  it('treats a quoted single word as a term', () => {
+    assert.deepEqual(parseSearchQuery('"Tree"').terms, ['tree']);
+  });
+
+  it('only uses the last word of a hyphenated prefix as the prefix', () => {
+    const parsed = parseSearchQuery('low-pol*');
+    assert.deepEqual(parsed.terms, ['low']);
+    assert.deepEqual(parsed.prefixes, ['pol']);
+  });
+
+  it('ignores empty exclusions and prefixes', () => {
+    assert.deepEqual(parseSearchQuery('- * tree'), { phrases: [], terms: ['tree'], prefixes: [], excluded: [] });
+  });
+
+  it('caps the query length', () => {
+    const parsed = parseSearchQuery(`${'x'.repeat(199)} overflow`);
+    assert.deepEqual(parsed.terms, ['x'.repeat(199)]);
+  });
+});
+
+describe('escapeRegex', () => {
+  it('escapes regex metacharacters', () => {
+    assert.equal(escapeRegex('c++ (v1.0)'), 'c\\+\\+ \\(v1\\.0\\)');
+    assert.ok(new RegExp(escapeRegex('a.b*')).test('a.b*'));
+  });
+});
+
+describe('highlighting', () => {
+  it('returns null when there is nothing to highlight', () => {
+    assert.equal(buildHighlightRegex([], []), null);
+  });
+
+  it('marks whole-word prefixes and escapes HTML', () => {
+    const regex = buildHighlightRegex(['tree']);
+    assert.equal(highlightText('<b>Tree</b> trees street', regex), '&lt;b&gt;<mark>Tree</mark>&lt;/b&gt; <mark>trees</mark> street');
+  });
+
+  it('matches phrases across punctuation', () => {
+    const regex = buildHighlightRegex([], ['low poly']);
+    assert.equal(highlightText('Low-poly pack', regex), '<mark>Low-poly</mark> pack');
+  });
+
+  it('escapes text without a regex', () => {
+    assert.equal(highlightText('a & b', null), 'a &amp; b');
+  });
+});
+
+describe('buildSnippet', () => {
+  it('returns short text whole', () => {
+    assert.equal(buildSnippet('A small forest', buildHighlightRegex(['forest'])), 'A small <mark>forest</mark>');
+  });
+
+  it('cuts around the first match without splitting words', () => {
+    const text = `${'word '.repeat(60)}forest ${'more '.repeat(60)}`.trim();
+    const snippet = buildSnippet(text, buildHighlightRegex(['forest']), 60);
+    assert.ok(snippet.startsWith('…word'));
+    assert.ok(snippet.endsWith('…'));
+    assert.ok(snippet.includes('<mark>forest</mark>'));
+  });
+});
+
+describe('editDistance', () => {
+  it('counts insertions, deletions and substitutions', () => {
+    assert.equal(editDistance('kitten', 'sitting'), 3);
+    assert.equal(editDistance('tree', 'tree'), 0);
+  });
+
+  it('counts a swap of adjacent letters as one edit', () => {
+    assert.equal(editDistance('shdaer', 'shader'), 1);
+  });
+
+  it('stops at max + 1', () => {
+    assert.equal(editDistance('abc', 'xyz', 1), 2);
+    assert.equal(editDistance('ab', 'abcdef', 2), 3);
+  });
+});
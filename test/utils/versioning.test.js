@@ -0,0 +1,74 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  isValidSemver,
+  isValidUnityVersion,
+  isValidUpmPackageName,
+  compareSemver,
+  compareUnityVersions,
+  unityVersionKey
+} = require('../../src/utils/versioning');
+
+describe('isValidSemver', () => {
+  it('accepts releases and prereleases', () => {
+    assert.ok(isValidSemver('1.2.3'));
+    assert.ok(isValidSemver('1.0.0-beta.1'));
+  });
+
+  it('rejects anything else', () => {
+    for (const version of ['1.2', 'v1.2.3', '1.2.3.4', '', null]) {
+      assert.equal(isValidSemver(version), false, version);
+    }
+  });
+});
+
+describe('compareSemver', () => {
+  it('compares numerically', () => {
+    assert.ok(compareSemver('1.10.0', '1.9.0') > 0);
+    assert.ok(compareSemver('0.9.9', '1.0.0') < 0);
+    assert.equal(compareSemver('2.0.0', '2.0.0'), 0);
+  });
+
+  it('ranks a release above its prereleases', () => {
+    assert.ok(compareSemver('1.0.0', '1.0.0-rc.1') > 0);
+    assert.ok(compareSemver('1.0.0-rc.2', '1.0.0-rc.10') < 0);
+  });
+});
+
+describe('Unity versions', () => {
+  it('accepts streams, patches and release suffixes', () => {
+    for (const version of ['2021.3', '2022.3.10', '2022.3.10f1', '6.0']) {
+      assert.ok(isValidUnityVersion(version), version);
+    }
+    for (const version of ['2022', '2022.3.10x1', '22.3', 'latest']) {
+      assert.equal(isValidUnityVersion(version), false, version);
+    }
+  });
+
+  it('compares on year, minor and patch only', () => {
+    assert.ok(compareUnityVersions('2022.3.10f1', '2022.3.9') > 0);
+    assert.ok(compareUnityVersions('2021.3', '2022.1') < 0);
+    assert.equal(compareUnityVersions('2022.3', '2022.3.0'), 0);
+  });
+
+  it('gives a bare stream a key range covering every patch', () => {
+    assert.equal(unityVersionKey('2022.3'), 2022003000);
+    assert.equal(unityVersionKey('2022.3', { upper: true }), 2022003999);
+    assert.equal(unityVersionKey('2022.3.10f1'), 2022003010);
+    assert.equal(unityVersionKey('2022.3.10f1', { upper: true }), 2022003010);
+  });
+
+  it('orders keys like the versions they come from', () => {
+    assert.ok(unityVersionKey('2022.3', { upper: true }) < unityVersionKey('2023.1'));
+    assert.ok(unityVersionKey('2022.3.9') < unityVersionKey('2022.3.10'));
+  });
+});
+
+describe('isValidUpmPackageName', () => {
+  it('requires lowercase reverse-domain names', () => {
+    assert.ok(isValidUpmPackageName('com.unity.textmeshpro'));
+    assert.ok(isValidUpmPackageName('com.studio.my-package'));
+    assert.equal(isValidUpmPackageName('textmeshpro'), false);
+    assert.equal(isValidUpmPackageName('Com.Studio.Package'), false);
+  });
+});